@@ -1,41 +1,198 @@
 // app.js
-// Main application glue: UI, wiring data-loader and gru model, plotting.
+// Main application glue: UI and plotting. Data, model and tensors live in the compute worker
+// (worker.js), driven through WorkerClient requests.
 // This is an ES module entry point referenced by index.html
-import { DataLoader } from './data-loader.js';
-import { GRUModel } from './gru.js';
+import { WorkerClient } from './worker-client.js';
+import { downloadArtifacts } from './model-store.js';
+import { MISSING_STRATEGIES } from './missing-data.js';
+import { LAYOUTS, DATE_FORMATS, FIELDS, readSource, importRows } from './formats.js';
+import { CLASS_NAMES, DEFAULT_TARGET, isBinaryTarget, isHit, describeTarget } from './targets.js';
+import { UNCERTAINTY_METHODS } from './uncertainty.js';
+import { buildRun, saveRun, updateRun, listRuns, deleteRuns, runSummary, runsToCSV, runsToJSON } from './runs.js';
+import { rowsToCSV, recordsToJSON, buildHtmlReport } from './report.js';
 
 const fileInput = document.getElementById('file-input');
+const folderInput = document.getElementById('folder-input');
+const dropZone = document.getElementById('drop-zone');
+const importDialog = document.getElementById('import-dialog');
+const importFilesInfo = document.getElementById('import-files');
+const importLayoutSelect = document.getElementById('import-layout');
+const importDateFormatSelect = document.getElementById('import-date-format');
+const importMappingEl = document.getElementById('import-mapping');
+const importDetected = document.getElementById('import-detected');
+const importPreview = document.getElementById('import-preview');
+const importApplyBtn = document.getElementById('import-apply-btn');
+const importCancelBtn = document.getElementById('import-cancel-btn');
 const prepareBtn = document.getElementById('prepare-btn');
 const trainBtn = document.getElementById('train-btn');
+const stopBtn = document.getElementById('stop-btn');
 const predictBtn = document.getElementById('predict-btn');
 const saveBtn = document.getElementById('save-btn');
 const loadBtn = document.getElementById('load-btn');
+const slotNameInput = document.getElementById('slot-name');
+const slotSelect = document.getElementById('slot-select');
+const deleteSlotBtn = document.getElementById('delete-slot-btn');
+const downloadBtn = document.getElementById('download-btn');
+const modelFilesInput = document.getElementById('model-files');
+const uploadBtn = document.getElementById('upload-btn');
+const forecastBtn = document.getElementById('forecast-btn');
+const wfBtn = document.getElementById('wf-btn');
+const wfModeSelect = document.getElementById('wf-mode');
+const wfInitialInput = document.getElementById('wf-initial');
+const wfStepInput = document.getElementById('wf-step');
+const wfRetrainSelect = document.getElementById('wf-retrain');
+const stratBtn = document.getElementById('strat-btn');
+const stratModeSelect = document.getElementById('strat-mode');
+const stratThresholdInput = document.getElementById('strat-threshold');
+const stratTopKInput = document.getElementById('strat-topk');
+const stratHorizonInput = document.getElementById('strat-horizon');
+const stratCostInput = document.getElementById('strat-cost');
+const searchSpaceEl = document.getElementById('search-space');
+const searchStrategySelect = document.getElementById('search-strategy');
+const searchTrialsInput = document.getElementById('search-trials');
+const searchValInput = document.getElementById('search-val');
+const searchMetricSelect = document.getElementById('search-metric');
+const searchHalvingInput = document.getElementById('search-halving');
+const searchBtn = document.getElementById('search-btn');
+const searchBestBtn = document.getElementById('search-best-btn');
+const leaderboardTable = document.getElementById('leaderboard');
 const trainSplitInput = document.getElementById('train-split');
+const seqLengthInput = document.getElementById('seq-length');
+const horizonInput = document.getElementById('horizon');
 const epochsInput = document.getElementById('epochs');
 const batchSizeInput = document.getElementById('batch-size');
+const scalerSelect = document.getElementById('scaler-select');
+const missingStrategySelect = document.getElementById('missing-strategy');
+const missingMaxGapInput = document.getElementById('missing-max-gap');
+const missingMinCoverageInput = document.getElementById('missing-min-coverage');
+const targetModeSelect = document.getElementById('target-mode');
+const targetThresholdInput = document.getElementById('target-threshold');
+const targetDeadBandInput = document.getElementById('target-dead-band');
+const sampleLayoutSelect = document.getElementById('sample-layout');
+const marketContextInput = document.getElementById('market-context');
+const archSelect = document.getElementById('arch-select');
+const unitsInput = document.getElementById('units');
+const depthInput = document.getElementById('depth');
+const dropoutInput = document.getElementById('dropout');
+const recurrentDropoutInput = document.getElementById('recurrent-dropout');
+const headModeSelect = document.getElementById('head-mode');
+const embeddingDimInput = document.getElementById('embedding-dim');
+const learningRateInput = document.getElementById('learning-rate');
+const valSplitInput = document.getElementById('val-split');
+const esPatienceInput = document.getElementById('es-patience');
+const esRestoreInput = document.getElementById('es-restore');
+const lrScheduleSelect = document.getElementById('lr-schedule');
+const lossTypeSelect = document.getElementById('loss-type');
+const classWeightsInput = document.getElementById('class-weights');
+const ensembleSizeInput = document.getElementById('ensemble-size');
+const ensembleBootstrapInput = document.getElementById('ensemble-bootstrap');
+const seedInput = document.getElementById('seed');
+const backendSelect = document.getElementById('backend-select');
+const configExportBtn = document.getElementById('config-export-btn');
+const configImportInput = document.getElementById('config-import');
+const configLinkBtn = document.getElementById('config-link-btn');
+const uncertaintyMethodSelect = document.getElementById('uncertainty-method');
+const mcPassesInput = document.getElementById('mc-passes');
+const uncertaintyHideInput = document.getElementById('uncertainty-hide');
+const uncertaintySummary = document.getElementById('uncertainty-summary');
+const coverageCanvas = document.getElementById('coverage-chart');
 
 const progressBar = document.getElementById('progress-bar');
 const progressText = document.getElementById('progress-text');
 const samplesMeta = document.getElementById('samples-meta');
 const symbolsMeta = document.getElementById('symbols-meta');
+const featuresMeta = document.getElementById('features-meta');
+const normMeta = document.getElementById('norm-meta');
+const featureControls = document.getElementById('feature-controls');
 const warningDiv = document.getElementById('warning');
+const qualitySummary = document.getElementById('quality-summary');
+const qualityTable = document.getElementById('quality-table');
+const qualityWindowsTable = document.getElementById('quality-windows');
 const logEl = document.getElementById('log');
 
 const accuracyBarCanvas = document.getElementById('accuracy-bar');
+const lossCanvas = document.getElementById('loss-chart');
+const accCanvas = document.getElementById('acc-chart');
 const stockSelect = document.getElementById('stock-select');
+const timelineHorizonSelect = document.getElementById('timeline-horizon');
+const horizonHeatmap = document.getElementById('horizon-heatmap');
 const stockTimelineCanvas = document.getElementById('stock-timeline');
+const stockOverviewCanvas = document.getElementById('stock-overview');
+const walkForwardCanvas = document.getElementById('walkforward-chart');
+const walkForwardSummary = document.getElementById('walkforward-summary');
+const equityCanvas = document.getElementById('equity-chart');
+const strategyTable = document.getElementById('strategy-table');
+const metricsThresholdInput = document.getElementById('metrics-threshold');
+const metricsTable = document.getElementById('metrics-table');
+const baselineTable = document.getElementById('baseline-table');
+const predictionsCsvBtn = document.getElementById('predictions-csv-btn');
+const predictionsJsonBtn = document.getElementById('predictions-json-btn');
+const reportBtn = document.getElementById('report-btn');
+const calibrationCanvas = document.getElementById('calibration-chart');
 const stockStats = document.getElementById('stock-stats');
 const timelinesContainer = document.getElementById('timelines-container');
+const forecastTable = document.getElementById('forecast-table');
+const forecastMeta = document.getElementById('forecast-meta');
+const appendFilesInput = document.getElementById('append-files');
+const appendBtn = document.getElementById('append-btn');
+const appendMeta = document.getElementById('append-meta');
+const ftEpochsInput = document.getElementById('ft-epochs');
+const ftLrInput = document.getElementById('ft-lr');
+const ftRecentInput = document.getElementById('ft-recent');
+const fineTuneBtn = document.getElementById('finetune-btn');
+const fineTuneTable = document.getElementById('finetune-table');
+const compareRunSelect = document.getElementById('compare-run');
+const compareSummary = document.getElementById('compare-summary');
+const scoreSymbolsSelect = document.getElementById('score-symbols');
+const scoreBtn = document.getElementById('score-btn');
+const scoreTable = document.getElementById('score-table');
+const symbolPicker = document.getElementById('symbol-picker');
+const symbolFilterInput = document.getElementById('symbol-filter');
+const symbolAllBtn = document.getElementById('symbol-all-btn');
+const symbolNoneBtn = document.getElementById('symbol-none-btn');
+const symbolCount = document.getElementById('symbol-count');
+const accuracyBarBox = document.getElementById('accuracy-bar-box');
+const explainSymbolEl = document.getElementById('explain-symbol');
+const explainSampleSelect = document.getElementById('explain-sample');
+const explainHorizonSelect = document.getElementById('explain-horizon');
+const explainMethodSelect = document.getElementById('explain-method');
+const explainBtn = document.getElementById('explain-btn');
+const explainSummary = document.getElementById('explain-summary');
+const explainHeatmap = document.getElementById('explain-heatmap');
+const importanceGroupSelect = document.getElementById('importance-group');
+const importanceRepeatsInput = document.getElementById('importance-repeats');
+const importanceBtn = document.getElementById('importance-btn');
+const importanceBox = document.getElementById('importance-box');
+const importanceCanvas = document.getElementById('importance-chart');
+const importanceTable = document.getElementById('importance-table');
+const runNameInput = document.getElementById('run-name');
+const runsTable = document.getElementById('runs-table');
+const runsCompareBtn = document.getElementById('runs-compare-btn');
+const runsDeleteBtn = document.getElementById('runs-delete-btn');
+const runsCsvBtn = document.getElementById('runs-csv-btn');
+const runsJsonBtn = document.getElementById('runs-json-btn');
+const runsAccuracyBox = document.getElementById('runs-accuracy-box');
+const runsAccuracyCanvas = document.getElementById('runs-accuracy-chart');
+const runsLossCanvas = document.getElementById('runs-loss-chart');
 
-let dataLoader = new DataLoader({ sequenceLength: 12, forecastHorizon: 3 });
-dataLoader.setLogger((...args) => appLog(...args));
+const engine = new WorkerClient();
+engine.setLogger((...args) => appLog(...args));
 
-let model = new GRUModel({ inputShape: [12, 20], gruUnits: 64, denseUnits: 30, learningRate: 0.001 });
-
-let charts = { accuracyBar: null, stockTimeline: null, perStockSmall: [] };
-let preparedMeta = null;
-let tensors = null;
-let evalResults = null;
+let charts = { accuracyBar: null, stockTimeline: null, stockOverview: null, walkForward: null, equity: null, calibration: null, loss: null, acc: null, importance: null, runsAccuracy: null, runsLoss: null, coverage: null };
+let dataLoaded = false; // the worker holds imported data
+let configSymbols = null; // symbols from an imported config, ticked once data is loaded
+let dataset = null; // prepared dataset from the worker: { meta, sampleDatesTest, featureSpecNames, normalization, missingStrategy, quality, pendingWindows }
+let preparedMeta = null; // dataset.meta
+let modelInfo = null; // worker's model: { architecture, target, metricName, params, fromStore, ensembleSize, hasDropout }, null before one exists
+let evalResults = null; // { perStockAcc, overallAcc, perStockTimeline, targetMode, metrics, uncertainty }
+let importance = null; // last permutation importance result (see explain.js)
+let stockDetail = null; // drill-down prices of the selected stock: { symbol, close, windowStart, realized }
+let timelineRange = null; // [from, to] test-sample indices shown in the drill-down chart, null = all
+let leaderboard = [];
+let leaderboardSort = { key: null, desc: true };
+let pendingSources = []; // files read for the import dialog, loaded on "Load"
+let runs = []; // stored experiment runs, newest first (see runs.js)
+let currentRunId = null; // run record of the model trained in this session, updated on evaluation
 
 // simple logger
 function appLog(...args) {
@@ -46,92 +203,636 @@ function appLog(...args) {
   logEl.scrollTop = logEl.scrollHeight;
 }
 
+// text from the user's files (symbols, column names, cells) inside innerHTML templates and attributes
+const escapeHtml = v => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// model architecture and hyperparameters from the model controls (see models.js)
+function readModelSettings() {
+  return {
+    architecture: archSelect.value,
+    gruUnits: Number(unitsInput.value || 64),
+    learningRate: Number(learningRateInput.value || 0.001),
+    depth: Number(depthInput.value || 2),
+    dropout: Number(dropoutInput.value || 0),
+    recurrentDropout: Number(recurrentDropoutInput.value || 0),
+    headMode: headModeSelect.value,
+    embeddingDim: Number(embeddingDimInput.value || 8)
+  };
+}
+
+// the settings plus the shapes of the prepared dataset
+function readModelConfig() {
+  return {
+    ...readModelSettings(),
+    inputShape: [preparedMeta.sequenceLength, preparedMeta.featuresPerStep],
+    denseUnits: preparedMeta.outputDim,
+    target: preparedMeta.target
+  };
+}
+
+// fit() options from the training controls (validation split, early stopping, LR schedule, loss)
+function readTrainingOptions() {
+  const patience = Number(esPatienceInput.value || 0);
+  const schedule = lrScheduleSelect.value;
+  return {
+    validationSplit: Number(valSplitInput.value || 0) / 100,
+    earlyStopping: patience > 0 ? { patience, restoreBestWeights: esRestoreInput.checked } : null,
+    lrSchedule: schedule === 'plateau' ? { type: 'plateau', factor: 0.5, patience: Math.max(1, Math.floor(patience / 2) || 2) }
+      : schedule === 'cosine' ? { type: 'cosine', minLr: 0 } : null,
+    lossOptions: { type: lossTypeSelect.value, gamma: 2, classWeights: classWeightsInput.checked ? 'balanced' : null }
+  };
+}
+
+// ensemble training and uncertainty sampling from the controls (see uncertainty.js)
+function readEnsembleConfig() {
+  return { size: Math.max(1, Number(ensembleSizeInput.value || 1)), bootstrap: ensembleBootstrapInput.checked };
+}
+
+// global seed for every job that initializes weights or samples (null: native Math.random, see random.js)
+function readSeed() {
+  return seedInput.value === '' ? null : Number(seedInput.value);
+}
+
+// worker compute backend; CPU reproduces the command-line runner's numbers for the same seed
+async function applyBackend(name) {
+  try {
+    const { backend } = await engine.setBackend(name);
+    backendSelect.value = backend;
+    appLog(`Compute backend: ${backend}`);
+  } catch (err) {
+    appLog('Backend error:', err.message || err);
+    const { backend } = await engine.setBackend(null);
+    backendSelect.value = backend;
+  }
+}
+
+backendSelect.addEventListener('change', () => applyBackend(backendSelect.value));
+applyBackend(null);
+
+function readUncertainty() {
+  const method = uncertaintyMethodSelect.value;
+  return method ? { method, passes: Number(mcPassesInput.value || 20) } : null;
+}
+
+// Stop button state around long-running jobs
+function startJob() {
+  stopBtn.disabled = false;
+}
+
+function endJob() {
+  stopBtn.disabled = true;
+}
+
+// read the feature pipeline config from the feature checkboxes (see features.js)
+function readFeatureConfig() {
+  const raw = [...featureControls.querySelectorAll('input[data-raw]:checked')].map(el => el.dataset.raw);
+  const derived = [...featureControls.querySelectorAll('input[data-derived]:checked')].map(el => {
+    const type = el.dataset.derived;
+    const win = featureControls.querySelector(`input[data-window="${type}"]`);
+    return win ? { type, window: Number(win.value) } : { type };
+  });
+  return { raw, derived };
+}
+
+// missing-data strategy from the data controls (see missing-data.js)
+function readMissingConfig() {
+  return {
+    strategy: missingStrategySelect.value,
+    maxGap: Number(missingMaxGapInput.value || 3),
+    minCoverage: Number(missingMinCoverageInput.value || 0) / 100
+  };
+}
+
+// prediction target from the target controls (see targets.js); percentages in the UI
+function readTargetConfig() {
+  return {
+    mode: targetModeSelect.value,
+    threshold: Number(targetThresholdInput.value || 0) / 100,
+    deadBand: Number(targetDeadBandInput.value || 0) / 100
+  };
+}
+
+function setTargetControls(target) {
+  targetModeSelect.value = target.mode;
+  targetThresholdInput.value = +(target.threshold * 100).toFixed(4);
+  targetDeadBandInput.value = +(target.deadBand * 100).toFixed(4);
+  updateTargetControls();
+}
+
+// threshold/dead-band only apply to their modes; BCE/focal loss and class weights only to 0/1 targets
+function updateTargetControls() {
+  const mode = targetModeSelect.value;
+  targetThresholdInput.disabled = mode !== 'threshold';
+  targetDeadBandInput.disabled = mode !== 'threeClass';
+  lossTypeSelect.disabled = !isBinaryTarget({ mode });
+  classWeightsInput.disabled = !isBinaryTarget({ mode });
+}
+
+targetModeSelect.addEventListener('change', updateTargetControls);
+updateTargetControls();
+
+// market context and the symbol embedding only exist in the pooled layout
+function updateLayoutControls() {
+  const pooled = sampleLayoutSelect.value === 'pooled';
+  marketContextInput.disabled = !pooled;
+  embeddingDimInput.disabled = !pooled;
+}
+
+sampleLayoutSelect.addEventListener('change', updateLayoutControls);
+updateLayoutControls();
+
+// Configuration files: every setting behind a run in the command-line runner's config.json format
+// (see cli.js), exported / imported as JSON or carried in the page URL (#config=<JSON>)
+function readConfig() {
+  const symbols = readSelectedSymbols();
+  return {
+    seed: readSeed(),
+    data: {
+      sequenceLength: Number(seqLengthInput.value || 12),
+      forecastHorizon: Number(horizonInput.value || 3),
+      trainSplitPercent: Number(trainSplitInput.value || 80),
+      ...(symbols.length ? { symbols } : {}),
+      features: readFeatureConfig(),
+      scaler: scalerSelect.value,
+      missing: readMissingConfig(),
+      target: readTargetConfig(),
+      sampleLayout: sampleLayoutSelect.value,
+      marketContext: marketContextInput.checked
+    },
+    model: readModelSettings(),
+    training: {
+      epochs: Number(epochsInput.value || 30),
+      batchSize: Number(batchSizeInput.value || 32),
+      ...readTrainingOptions(),
+      ensemble: readEnsembleConfig()
+    },
+    evaluation: { threshold: Number(metricsThresholdInput.value || 0.5), uncertainty: readUncertainty() }
+  };
+}
+
+function setFeatureControls({ raw = [], derived = [] }) {
+  featureControls.querySelectorAll('input[data-raw]').forEach(el => { el.checked = raw.includes(el.dataset.raw); });
+  featureControls.querySelectorAll('input[data-derived]').forEach(el => {
+    const spec = derived.find(d => d.type === el.dataset.derived);
+    el.checked = !!spec;
+    const win = featureControls.querySelector(`input[data-window="${el.dataset.derived}"]`);
+    if (spec && win && spec.window) win.value = spec.window;
+  });
+}
+
+// set the controls from a config; sections and fields that are left out keep their current values
+function applyConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('Configuration must be a JSON object');
+  const { data = {}, model = {}, training = {}, evaluation = {} } = config;
+  const set = (el, value) => { if (value !== undefined && value !== null) el.value = value; };
+  if (config.seed !== undefined) seedInput.value = config.seed === null ? '' : config.seed;
+
+  set(seqLengthInput, data.sequenceLength);
+  set(horizonInput, data.forecastHorizon);
+  set(trainSplitInput, data.trainSplitPercent);
+  set(scalerSelect, data.scaler);
+  if (data.features) setFeatureControls(data.features);
+  if (data.missing) {
+    set(missingStrategySelect, data.missing.strategy);
+    set(missingMaxGapInput, data.missing.maxGap);
+    if (data.missing.minCoverage !== undefined) missingMinCoverageInput.value = +(data.missing.minCoverage * 100).toFixed(2);
+  }
+  if (data.target) setTargetControls({ ...DEFAULT_TARGET, ...data.target });
+  set(sampleLayoutSelect, data.sampleLayout);
+  if (data.marketContext !== undefined) marketContextInput.checked = !!data.marketContext;
+  updateLayoutControls();
+  if (data.symbols) {
+    if (symbolPicker.querySelector('input')) setSelectedSymbols(data.symbols);
+    else configSymbols = data.symbols;
+  }
+
+  set(archSelect, model.architecture);
+  set(unitsInput, model.gruUnits);
+  set(learningRateInput, model.learningRate);
+  set(depthInput, model.depth);
+  set(dropoutInput, model.dropout);
+  set(recurrentDropoutInput, model.recurrentDropout);
+  set(headModeSelect, model.headMode);
+  set(embeddingDimInput, model.embeddingDim);
+
+  set(epochsInput, training.epochs);
+  set(batchSizeInput, training.batchSize);
+  if (training.validationSplit !== undefined) valSplitInput.value = +(training.validationSplit * 100).toFixed(2);
+  if (training.earlyStopping !== undefined) {
+    esPatienceInput.value = training.earlyStopping ? training.earlyStopping.patience : 0;
+    if (training.earlyStopping) esRestoreInput.checked = training.earlyStopping.restoreBestWeights !== false;
+  }
+  if (training.lrSchedule !== undefined) lrScheduleSelect.value = training.lrSchedule ? training.lrSchedule.type : 'none';
+  if (training.lossOptions) {
+    set(lossTypeSelect, training.lossOptions.type);
+    classWeightsInput.checked = training.lossOptions.classWeights === 'balanced';
+  }
+  if (training.ensemble !== undefined) {
+    ensembleSizeInput.value = training.ensemble ? training.ensemble.size : 1;
+    ensembleBootstrapInput.checked = !!(training.ensemble && training.ensemble.bootstrap);
+  }
+
+  set(metricsThresholdInput, evaluation.threshold);
+  if (evaluation.uncertainty !== undefined) {
+    uncertaintyMethodSelect.value = evaluation.uncertainty ? evaluation.uncertainty.method : '';
+    if (evaluation.uncertainty) set(mcPassesInput, evaluation.uncertainty.passes);
+  }
+}
+
+configExportBtn.addEventListener('click', () => {
+  downloadFile('config.json', JSON.stringify(readConfig(), null, 2), 'application/json');
+});
+
+configImportInput.addEventListener('change', async () => {
+  const file = configImportInput.files[0];
+  if (!file) return;
+  try {
+    applyConfig(JSON.parse(await file.text()));
+    appLog(`Applied configuration from ${file.name}${dataset ? '; prepare the dataset again to use the data options' : ''}.`);
+  } catch (err) {
+    appLog('Config import error:', err.message || err);
+    alert('Config import error: ' + (err.message || err));
+  }
+  configImportInput.value = '';
+});
+
+configLinkBtn.addEventListener('click', async () => {
+  const url = `${location.origin}${location.pathname}#config=${encodeURIComponent(JSON.stringify(readConfig()))}`;
+  history.replaceState(null, '', url);
+  try {
+    await navigator.clipboard.writeText(url);
+    appLog('Copied a link with the current configuration.');
+  } catch (err) {
+    appLog('Configuration link (copy it from the address bar):', url);
+  }
+});
+
+// a shared link opens with its configuration
+if (location.hash.startsWith('#config=')) {
+  try {
+    applyConfig(JSON.parse(decodeURIComponent(location.hash.slice('#config='.length))));
+    appLog('Applied the configuration from the page URL.');
+  } catch (err) {
+    appLog('Could not read the configuration in the page URL:', err.message || err);
+  }
+}
+
+function renderNormMeta(fromSaved = false) {
+  const { scaler, range: r } = dataset.normalization;
+  normMeta.textContent = `${scaler}, fitted on ${r.start}..${r.end}${fromSaved ? ' (from saved model)' : ' (train split)'}`;
+}
+
 // UI helpers
 function setProgress(pct, text='') {
   progressBar.style.width = `${Math.round(pct)}%`;
   progressText.textContent = text || `${Math.round(pct)}%`;
 }
 
+function downloadFile(name, text, type = 'text/plain') {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// Data import: chosen files, a folder or a drop are read into sources, then the import dialog shows
+// the detected layout, column mapping and date format with a preview before loading (see formats.js)
+const DATA_FILE_RE = /\.(csv|txt|json|ndjson|jsonl)$/i;
+importLayoutSelect.innerHTML = Object.entries(LAYOUTS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+importDateFormatSelect.innerHTML = Object.entries(DATE_FORMATS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+
+fileInput.addEventListener('change', () => openImport(fileInput.files));
+folderInput.addEventListener('change', () => openImport(folderInput.files));
+dropZone.addEventListener('dragover', evt => { evt.preventDefault(); dropZone.classList.add('dragover'); });
+dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+dropZone.addEventListener('drop', evt => {
+  evt.preventDefault();
+  dropZone.classList.remove('dragover');
+  filesFromDataTransfer(evt.dataTransfer).then(openImport);
+});
+
+// dropped files and folders (walked recursively) -> File[]
+async function filesFromDataTransfer(dt) {
+  // entries must be taken synchronously, the DataTransfer is cleared after the event
+  const entries = [...dt.items].map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+  if (!entries.length) return [...dt.files];
+  const files = [];
+  const walk = async entry => {
+    if (entry.isFile) files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const e of batch) await walk(e);
+      } while (batch.length);
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+}
+
+async function openImport(fileList) {
+  try {
+    const files = [...fileList].filter(f => DATA_FILE_RE.test(f.name));
+    if (!files.length) throw new Error('No .csv, .json or .ndjson files selected');
+    pendingSources = [];
+    for (const file of files) pendingSources.push(readSource(await file.text(), file.webkitRelativePath || file.name));
+    const fields = [...new Set(pendingSources.flatMap(src => src.fields))];
+    const names = files.map(f => f.name);
+    importFilesInfo.textContent = `${files.length} file(s): ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', ...' : ''}`;
+    importLayoutSelect.value = 'auto';
+    importDateFormatSelect.value = 'auto';
+    importMappingEl.innerHTML = Object.keys(FIELDS).map(field =>
+      `<label>${field}: <select data-field="${field}"><option value="">(auto)</option>` +
+      fields.map(f => `<option value="${escapeHtml(f)}">${escapeHtml(f)}</option>`).join('') + '</select></label>').join('');
+    renderImportPreview();
+    importDialog.showModal();
+  } catch (err) {
+    appLog("Error reading files:", err.message || err);
+    alert("Error reading files: " + (err.message || err));
+  }
+}
+
+function readImportOptions() {
+  const mapping = {};
+  importMappingEl.querySelectorAll('select[data-field]').forEach(el => { if (el.value) mapping[el.dataset.field] = el.value; });
+  return { layout: importLayoutSelect.value, dateFormat: importDateFormatSelect.value, mapping };
+}
+
+// detected settings and the first parsed rows for the current dialog options
+function renderImportPreview() {
+  try {
+    const res = importRows(pendingSources, readImportOptions());
+    const guessed = res.mappings[0];
+    importMappingEl.querySelectorAll('select[data-field]').forEach(el => {
+      el.options[0].textContent = `(auto: ${guessed[el.dataset.field] || 'none'})`;
+    });
+    importDetected.textContent = `Layout: ${[...new Set(res.layouts)].map(l => LAYOUTS[l]).join(', ')}. ` +
+      `Date format: ${DATE_FORMATS[res.dateFormat]}${res.ambiguousDates ? ' (day/month order is ambiguous, choose it explicitly)' : ''}. ` +
+      `Rows: ${res.rows.length} of ${res.totalRows}${res.unparseableDates ? `, ${res.unparseableDates} unparseable dates` : ''}.`;
+    const cols = ['Date', 'Symbol', 'Open', 'High', 'Low', 'Close', 'AdjClose', 'Volume'];
+    const cell = v => (typeof v === 'number' && Number.isNaN(v)) ? '' : escapeHtml(v);
+    importPreview.innerHTML = `<thead><tr>${cols.map(c => `<th>${c}</th>`).join('')}</tr></thead><tbody>` +
+      res.rows.slice(0, 20).map(r => `<tr>${cols.map(c => `<td>${cell(r[c])}</td>`).join('')}</tr>`).join('') + '</tbody>';
+    importApplyBtn.disabled = !res.rows.length;
+  } catch (err) {
+    importDetected.textContent = `Cannot import with these settings: ${err.message || err}`;
+    importPreview.innerHTML = '';
+    importApplyBtn.disabled = true;
+  }
+}
+
+importLayoutSelect.addEventListener('change', renderImportPreview);
+importDateFormatSelect.addEventListener('change', renderImportPreview);
+importMappingEl.addEventListener('change', renderImportPreview);
+importCancelBtn.addEventListener('click', () => importDialog.close());
+
+// load the previewed sources so the symbol picker can be filled before preparing
+importApplyBtn.addEventListener('click', async () => {
+  importDialog.close();
+  try {
+    setProgress(0, 'Loading data...');
+    clearState();
+    dataLoaded = false;
+    const { allSymbols } = await engine.call('load', { sources: pendingSources, options: readImportOptions() });
+    dataLoaded = true;
+    renderSymbolPicker(allSymbols);
+    setProgress(10, 'Data loaded');
+  } catch (err) {
+    appLog("Error loading data:", err.message || err);
+    alert("Error loading data: " + (err.message || err));
+    setProgress(0, 'Error');
+  }
+});
+
+// symbol picker: one checkbox per loaded symbol, filterable; All/None act on the visible ones
+function renderSymbolPicker(symbols) {
+  symbolPicker.innerHTML = symbols.map(sym =>
+    `<label data-symbol="${escapeHtml(sym)}"><input type="checkbox" value="${escapeHtml(sym)}" checked /> ${escapeHtml(sym)}</label>`).join('');
+  symbolFilterInput.value = '';
+  if (configSymbols) {
+    setSelectedSymbols(configSymbols.filter(sym => symbols.includes(sym)));
+    configSymbols = null;
+  }
+  updateSymbolCount();
+}
+
+function readSelectedSymbols() {
+  return [...symbolPicker.querySelectorAll('input:checked')].map(el => el.value);
+}
+
+function setSelectedSymbols(symbols) {
+  const picked = new Set(symbols);
+  symbolPicker.querySelectorAll('input').forEach(el => { el.checked = picked.has(el.value); });
+  updateSymbolCount();
+}
+
+function updateSymbolCount() {
+  const total = symbolPicker.querySelectorAll('input').length;
+  symbolCount.textContent = `${readSelectedSymbols().length} of ${total} selected`;
+}
+
+function visibleSymbolInputs() {
+  return [...symbolPicker.querySelectorAll('label')].filter(el => el.style.display !== 'none').map(el => el.querySelector('input'));
+}
+
+symbolPicker.addEventListener('change', updateSymbolCount);
+symbolFilterInput.addEventListener('input', () => {
+  const q = symbolFilterInput.value.trim().toUpperCase();
+  symbolPicker.querySelectorAll('label').forEach(el => {
+    el.style.display = !q || el.dataset.symbol.toUpperCase().includes(q) ? '' : 'none';
+  });
+});
+symbolAllBtn.addEventListener('click', () => { visibleSymbolInputs().forEach(el => { el.checked = true; }); updateSymbolCount(); });
+symbolNoneBtn.addEventListener('click', () => { visibleSymbolInputs().forEach(el => { el.checked = false; }); updateSymbolCount(); });
+
+// dataset summary and the stock dropdown for the prepared symbols
+function renderPreparedMeta() {
+  const S = preparedMeta.symbols.length;
+  if (preparedMeta.sampleLayout === 'pooled') {
+    featuresMeta.textContent = `${preparedMeta.featuresPerStep} per symbol (${preparedMeta.featureNames.join(', ')})`;
+    samplesMeta.textContent = `${preparedMeta.samples} dates × ${S} symbols (train ${preparedMeta.trainSamples} / test ${preparedMeta.testSamples} dates)`;
+  } else {
+    featuresMeta.textContent = `${preparedMeta.featuresPerStep} (${dataset.featureSpecNames.join(', ')} × ${S})`;
+    samplesMeta.textContent = `${preparedMeta.samples} (train ${preparedMeta.trainSamples} / test ${preparedMeta.testSamples})`;
+  }
+  symbolsMeta.textContent = S > 20 ? `${S} (${preparedMeta.symbols.slice(0, 20).join(', ')}, ...)` : preparedMeta.symbols.join(', ');
+  stockSelect.innerHTML = preparedMeta.symbols.map(sym => `<option value="${escapeHtml(sym)}">${escapeHtml(sym)}</option>`).join('');
+  explainSymbolEl.textContent = stockSelect.value || '-';
+  explainSampleSelect.innerHTML = dataset.sampleDatesTest.map((d, i) => `<option value="${i}">${d}</option>`).join('');
+  const horizonOptions = Array.from({ length: preparedMeta.forecastHorizon }, (_, k) => `<option value="${k}">t+${k+1}</option>`).join('');
+  explainHorizonSelect.innerHTML = '<option value="">All (mean)</option>' + horizonOptions;
+  timelineHorizonSelect.innerHTML = '<option value="">All (majority)</option>' + horizonOptions;
+  // loaded symbols outside the prepared set are candidates for scoring with a pooled model
+  const prepared = new Set(preparedMeta.symbols);
+  scoreSymbolsSelect.innerHTML = [...symbolPicker.querySelectorAll('input')].map(el => el.value)
+    .filter(sym => !prepared.has(sym)).map(sym => `<option value="${escapeHtml(sym)}">${escapeHtml(sym)}</option>`).join('');
+  renderCompareOptions();
+}
+
 // prepare data
-prepareBtn.addEventListener('click', async () => {
+prepareBtn.addEventListener('click', () => prepareData());
+
+async function prepareData() {
   try {
-    if (!fileInput.files.length) { alert('Please choose a CSV file first'); return; }
-    setProgress(0, 'Parsing CSV...');
+    if (!dataLoaded) { alert('Please load a data file first'); return; }
     clearState();
-    const file = fileInput.files[0];
-    await dataLoader.loadFromFile(file);
     setProgress(20, 'Preparing dataset...');
     const trainSplitPercent = Number(trainSplitInput.value || 80);
-    preparedMeta = dataLoader.prepareDataset({ trainSplitPercent });
-    tensors = dataLoader.getTensors();
-    samplesMeta.textContent = `${preparedMeta.samples} (train ${preparedMeta.trainSamples} / test ${preparedMeta.testSamples})`;
-    symbolsMeta.textContent = preparedMeta.symbols.join(', ');
-    warningDiv.textContent = preparedMeta.symbols.length !== 10 ? `Found ${preparedMeta.symbols.length} symbols (expected 10)` : '';
+    setDataset(await engine.call('prepare', {
+      sequenceLength: Number(seqLengthInput.value || 12),
+      forecastHorizon: Number(horizonInput.value || 3),
+      trainSplitPercent,
+      features: readFeatureConfig(),
+      scaler: scalerSelect.value,
+      missing: readMissingConfig(),
+      symbols: readSelectedSymbols(),
+      target: readTargetConfig(),
+      sampleLayout: sampleLayoutSelect.value,
+      marketContext: marketContextInput.checked
+    }));
+    renderNormMeta();
+    warningDiv.textContent = '';
     setProgress(100,'Dataset ready');
     trainBtn.disabled = false;
+    wfBtn.disabled = false;
+    searchBtn.disabled = false;
     predictBtn.disabled = true;
     saveBtn.disabled = true;
-    // populate stock select
-    stockSelect.innerHTML = '';
-    for (const s of preparedMeta.symbols) {
-      const opt = document.createElement('option'); opt.value = s; opt.textContent = s; stockSelect.appendChild(opt);
-    }
+    downloadBtn.disabled = true;
+    forecastBtn.disabled = true;
+    appendBtn.disabled = false;
     renderEmptyAccuracy();
+    // a model loaded from storage must match the new dataset (a model trained here is simply retrained)
+    if (modelInfo && modelInfo.fromStore) await checkModelCompatibility();
   } catch (err) {
     appLog("Error preparing data:", err.message || err);
+    // the quality report usually explains why no windows could be built
+    if (dataLoaded) {
+      try {
+        const { quality, missingStrategy } = await engine.call('quality');
+        renderDataQuality(quality, missingStrategy);
+      } catch (e) { /* data itself unusable */ }
+    }
     alert("Error preparing data: " + (err.message || err));
     setProgress(0, 'Error');
   }
-});
+}
+
+// new prepared dataset from the worker: meta text, quality report, selects
+function setDataset(info) {
+  dataset = info;
+  preparedMeta = info.meta;
+  stockDetail = null;
+  timelineRange = null;
+  renderDataQuality(info.quality, info.missingStrategy);
+  renderPreparedMeta();
+  updateFineTuneBtn();
+}
+
+// fine-tuning needs a model and test windows appended since the last fine-tune
+function updateFineTuneBtn() {
+  fineTuneBtn.disabled = !(dataset && dataset.pendingWindows && modelInfo);
+  scoreBtn.disabled = !(dataset && modelInfo && modelInfo.sampleLayout === 'pooled');
+}
 
 // build and train model
-trainBtn.addEventListener('click', async () => {
+trainBtn.addEventListener('click', () => trainModel());
+
+async function trainModel() {
   try {
-    if (!tensors) { alert('Prepare dataset first'); return; }
+    if (!dataset) { alert('Prepare dataset first'); return; }
     trainBtn.disabled = true;
     setProgress(0, 'Building model...');
-    model.buildModel();
-    setProgress(5, 'Starting training...');
     const epochs = Number(epochsInput.value || 30);
     const batchSize = Number(batchSizeInput.value || 32);
 
-    const onEpochEnd = (epoch, logs) => {
-      const pct = Math.min(90, 5 + ((epoch+1) / epochs) * 85);
-      setProgress(pct, `Epoch ${epoch+1}/${epochs} — loss:${(logs.loss||0).toFixed(4)} acc:${(logs.binaryAccuracy||0).toFixed(4)}`);
+    const ensemble = readEnsembleConfig();
+    // curves of the first ensemble member (the model that is saved, exported and explained)
+    const curves = [];
+    const onEvent = (name, data) => {
+      if (name === 'built') {
+        modelInfo = data;
+        setProgress(5, 'Starting training...');
+        renderTrainingCurves(curves);
+      } else if (name === 'epoch') {
+        const done = (data.member * epochs + data.epoch) / (ensemble.size * epochs);
+        const member = ensemble.size > 1 ? `Member ${data.member + 1}/${ensemble.size}, ` : '';
+        setProgress(Math.min(90, 5 + done * 85), `${member}Epoch ${data.epoch}/${epochs}`);
+        if (data.member > 0) return;
+        curves.push(data);
+        renderTrainingCurves(curves);
+      }
     };
 
-    await model.fit(tensors.X_train, tensors.y_train, { epochs, batchSize, onEpochEnd });
-    setProgress(95, 'Training finished');
+    startJob();
+    setExportEnabled(false);
+    const modelConfig = readModelConfig();
+    const trainingOptions = readTrainingOptions();
+    const seed = readSeed();
+    currentRunId = null;
+    const history = await engine.call('train', { modelConfig, epochs, batchSize, trainingOptions, ensemble, seed }, { onEvent });
+    endJob();
+    modelInfo = history.model;
+    if (modelInfo.ensembleSize > 1) appLog(`Trained an ensemble of ${modelInfo.ensembleSize} models.`);
+    await recordRun({ model: modelConfig, training: { epochs, batchSize, ...trainingOptions, ensemble, seed } }, curves, history);
+    if (history.cancelled) appLog(`Training stopped by user after ${history.epochs} epochs.`);
+    else if (history.stoppedEarly) appLog(`Early stopping after ${history.epochs} epochs.`);
+    if (history.bestEpoch >= 0 && history.bestEpoch < history.epochs - 1) appLog(`Restored best weights from epoch ${history.bestEpoch + 1}.`);
+    setProgress(95, history.cancelled ? 'Training stopped' : 'Training finished');
     predictBtn.disabled = false;
     saveBtn.disabled = false;
+    downloadBtn.disabled = false;
+    forecastBtn.disabled = false;
+    updateFineTuneBtn();
     appLog('Training completed');
   } catch (err) {
+    endJob();
     appLog('Training error:', err.message || err);
     alert('Training error: ' + (err.message || err));
     trainBtn.disabled = false;
     setProgress(0,'Error');
   }
+}
+
+stopBtn.addEventListener('click', () => {
+  engine.stop();
+  appLog('Stop requested...');
 });
 
 // evaluate/predict
 predictBtn.addEventListener('click', async () => {
   try {
-    if (!tensors) { alert('Prepare dataset first'); return; }
-    if (!model.model) { alert('Model not built/trained'); return; }
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    if (!modelInfo) { alert('Model not built/trained'); return; }
 
-    setProgress(0, 'Predicting on test set...');
-    const res = await model.evaluateTestSet(tensors.X_test, tensors.y_test, preparedMeta.symbols, 3);
+    const res = await engine.call('evaluate', {
+      threshold: Number(metricsThresholdInput.value || 0.5),
+      uncertainty: readUncertainty(),
+      seed: readSeed()
+    }, { onProgress: setProgress });
     evalResults = res;
-    setProgress(60, 'Computing visuals...');
+    setExportEnabled(true);
+    if (res.dataWarning) warningDiv.textContent = res.dataWarning;
+    setProgress(80, 'Computing visuals...');
     // compute averaged accuracy per stock (already provided)
     const perStockAcc = res.perStockAcc.map(v => Number((v*100).toFixed(2)));
     const zipped = preparedMeta.symbols.map((s,i) => ({ symbol: s, acc: perStockAcc[i], idx: i }));
     const sorted = zipped.slice().sort((a,b) => b.acc - a.acc);
     renderAccuracyBar(sorted);
-    renderPerStockTimelines(res.perStockTimeline, preparedMeta.symbols, preparedMeta.sampleDatesTest);
-    renderStockTimelineForSelected(preparedMeta.symbols, res.perStockTimeline, res.perStockAcc, preparedMeta.sampleDatesTest);
+    renderCompareSummary();
+    renderHorizonHeatmap(res.perStockHorizonAcc, res.perHorizonAcc, preparedMeta.symbols, res.targetMode);
+    renderTimelines();
+    renderMetrics(res.metrics);
+    renderUncertainty(res.uncertainty);
+    await recordEvaluation(res);
     setProgress(100, 'Evaluation complete');
-    appLog(`Overall accuracy: ${(res.overallAcc*100).toFixed(2)}%`);
+    // the strategy ranks symbols by P(up); regression outputs have no probabilities
+    stratBtn.disabled = res.targetMode === 'regression';
+    if (res.targetMode === 'regression') appLog('Strategy backtest needs probabilities; not available for regression targets.');
+    appLog(`Overall ${res.targetMode === 'regression' ? 'directional accuracy' : 'accuracy'}: ${(res.overallAcc*100).toFixed(2)}%`);
   } catch (err) {
     appLog('Prediction error:', err.message || err);
     alert('Prediction error: ' + (err.message || err));
@@ -139,13 +840,450 @@ predictBtn.addEventListener('click', async () => {
   }
 });
 
-// save / load weights
+// forecast: predict the next days from the latest data window
+forecastBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    if (!modelInfo) { alert('Model not built/trained'); return; }
+    setProgress(0, 'Forecasting from latest window...');
+    const { rows, anchorDate } = await engine.call('forecast', { uncertainty: readUncertainty(), seed: readSeed() });
+    renderForecastTable(rows, anchorDate);
+    setProgress(100, 'Forecast complete');
+    appLog(`Forecast from anchor ${anchorDate} for ${rows.length} symbols.`);
+  } catch (err) {
+    appLog('Forecast error:', err.message || err);
+    alert('Forecast error: ' + (err.message || err));
+    setProgress(0,'Error');
+  }
+});
+
+// score loaded symbols outside the prepared set with the pooled model (no retraining)
+scoreBtn.addEventListener('click', async () => {
+  const symbols = [...scoreSymbolsSelect.selectedOptions].map(opt => opt.value);
+  if (!symbols.length) { alert('Select one or more new symbols to score'); return; }
+  try {
+    setProgress(0, `Scoring ${symbols.length} new symbol(s)...`);
+    const res = await engine.call('scoreSymbols', { symbols });
+    renderScoreTable(res.rows);
+    setProgress(100, 'Scoring complete');
+  } catch (err) {
+    appLog('Scoring error:', err.message || err);
+    alert('Scoring error: ' + (err.message || err));
+    setProgress(0, 'Error');
+  }
+});
+
+// one row per scored symbol: test accuracy (overall, per horizon) and its latest forecast
+function renderScoreTable(rows) {
+  const h = preparedMeta.forecastHorizon;
+  const pct = v => Number.isNaN(v) ? '-' : `${(v*100).toFixed(2)}%`;
+  const arrows = { up: '▲', above: '▲', down: '▼', below: '▼', flat: '▬' };
+  const horizons = Array.from({ length: h }, (_, k) => `t+${k+1}`);
+  const head = `<tr><th>Symbol</th><th>Test windows</th><th>Accuracy</th>${horizons.map(k => `<th>Acc ${k}</th>`).join('')}` +
+    `<th>Anchor</th>${horizons.map(k => `<th>Forecast ${k}</th>`).join('')}</tr>`;
+  const body = rows.map(r => {
+    const acc = horizons.map((_, k) => `<td>${r.testWindows ? pct(r.perHorizonAcc[k]) : '-'}</td>`).join('');
+    const f = r.forecast;
+    const cells = horizons.map((_, k) => {
+      if (!f) return '<td>-</td>';
+      const value = f.returns ? `${(f.returns[k]*100).toFixed(2)}%` : `${(f.confidence[k]*100).toFixed(1)}%`;
+      return `<td>${arrows[f.direction[k]]} ${value}</td>`;
+    }).join('');
+    return `<tr><td>${escapeHtml(r.symbol)}</td><td>${r.testWindows}</td><td>${r.testWindows ? pct(r.overallAcc) : '-'}</td>${acc}` +
+      `<td>${f ? f.anchorDate : '-'}</td>${cells}</tr>`;
+  });
+  scoreTable.innerHTML = `<thead>${head}</thead><tbody>${body.join('')}</tbody>`;
+}
+
+// append rows for days after the loaded data: the new windows join the test split (normalizers and
+// the train split stay as prepared) and wait for "Fine-tune"
+appendBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    const files = [...appendFilesInput.files].filter(f => DATA_FILE_RE.test(f.name));
+    if (!files.length) { alert('Choose .csv, .json or .ndjson files with the new rows'); return; }
+    setProgress(0, 'Appending rows...');
+    const sources = [];
+    for (const file of files) sources.push(readSource(await file.text(), file.name));
+    const res = await engine.call('append', { sources, options: readImportOptions() });
+    // earlier results cover a shorter test split
+    clearState();
+    setDataset(res.dataset);
+    appendBtn.disabled = false;
+    renderEmptyAccuracy();
+    const skipped = [
+      res.duplicates ? `${res.duplicates} duplicates` : '',
+      res.earlier ? `${res.earlier} before the last loaded date` : '',
+      res.unknownSymbols.length ? `unknown symbols ${res.unknownSymbols.join(', ')}` : ''
+    ].filter(Boolean);
+    appendMeta.textContent = `Appended ${res.rows} rows over ${res.dates} new dates (${res.samples} new test windows` +
+      `${res.sampleDates.length ? `, ${res.sampleDates[0]} – ${res.sampleDates[res.sampleDates.length - 1]}` : ''}).` +
+      `${skipped.length ? ` Skipped: ${skipped.join('; ')}.` : ''} Waiting for fine-tuning: ${res.dataset.pendingWindows} windows.`;
+    appLog(appendMeta.textContent);
+    appendFilesInput.value = '';
+    setProgress(100, 'Rows appended');
+  } catch (err) {
+    appLog('Append error:', err.message || err);
+    alert('Append error: ' + (err.message || err));
+    setProgress(0, 'Error');
+  }
+});
+
+// fine-tune the model on the appended windows and compare recent accuracy before/after
+fineTuneBtn.addEventListener('click', async () => {
+  try {
+    const epochs = Number(ftEpochsInput.value || 3);
+    fineTuneBtn.disabled = true;
+    trainBtn.disabled = true;
+    startJob();
+    setProgress(0, 'Fine-tuning...');
+    const res = await engine.call('fineTune', {
+      epochs,
+      learningRate: ftLrInput.value === '' ? null : Number(ftLrInput.value),
+      recentWindows: Number(ftRecentInput.value || 20),
+      seed: readSeed()
+    }, {
+      onProgress: setProgress,
+      onEvent: (name, data) => {
+        if (name !== 'epoch') return;
+        const size = modelInfo.ensembleSize;
+        setProgress(100 * (data.member * epochs + data.epoch) / (size * epochs), `${size > 1 ? `Member ${data.member + 1}/${size}, ` : ''}Epoch ${data.epoch}/${epochs}`);
+      }
+    });
+    endJob();
+    modelInfo = res.model;
+    dataset.pendingWindows = res.pendingWindows;
+    evalResults = null;
+    setExportEnabled(false);
+    renderFineTuneSummary(res);
+    appendMeta.textContent = `Fine-tuned on ${res.windows} new windows (learning rate ${res.learningRate}, ${res.epochs} epochs${res.cancelled ? ', stopped' : ''}).`;
+    setProgress(100, res.cancelled ? 'Fine-tuning stopped' : 'Fine-tuning finished');
+  } catch (err) {
+    endJob();
+    appLog('Fine-tune error:', err.message || err);
+    alert('Fine-tune error: ' + (err.message || err));
+    setProgress(0, 'Error');
+  }
+  trainBtn.disabled = !dataset;
+  updateFineTuneBtn();
+});
+
+// recent accuracy before/after fine-tuning: the new windows (now trained on) and the earlier ones
+// (still out-of-sample), overall and per horizon
+function renderFineTuneSummary(res) {
+  const pct = v => Number.isNaN(v) ? '-' : `${(v*100).toFixed(2)}%`;
+  const delta = (a, b) => Number.isNaN(a) || Number.isNaN(b) ? '' : `${b >= a ? '+' : ''}${((b - a)*100).toFixed(2)}`;
+  const row = (label, n, a, b) => `<tr><td>${label}</td><td>${n}</td><td>${pct(a)}</td><td>${pct(b)}</td><td>${delta(a, b)}</td></tr>`;
+  const { earlier, new: fresh } = res.groups;
+  const n = earlier.windows + fresh.windows;
+  const rows = [
+    row('New windows (trained on)', fresh.windows, fresh.before, fresh.after),
+    earlier.windows ? row('Earlier test windows', earlier.windows, earlier.before, earlier.after) : '',
+    row(`Last ${n} windows`, n, res.before.overall, res.after.overall),
+    ...res.before.perHorizon.map((a, k) => row(`&nbsp;&nbsp;t+${k+1}`, n, a, res.after.perHorizon[k]))
+  ];
+  fineTuneTable.innerHTML = '<thead><tr><th>Windows</th><th>n</th><th>Before</th><th>After</th><th>Δ (pts)</th></tr></thead>' +
+    `<tbody>${rows.join('')}</tbody>`;
+}
+
+// walk-forward backtest: retrain per fold and evaluate each next out-of-sample block
+wfBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    wfBtn.disabled = true;
+    trainBtn.disabled = true;
+    startJob();
+    setProgress(0, 'Walk-forward: starting...');
+    const foldResults = [];
+    const res = await engine.call('walkForward', {
+      modelConfig: readModelConfig(),
+      mode: wfModeSelect.value,
+      initialTrainPercent: Number(wfInitialInput.value || 50),
+      step: Number(wfStepInput.value || 20),
+      retrain: wfRetrainSelect.value,
+      epochs: Number(epochsInput.value || 30),
+      batchSize: Number(batchSizeInput.value || 32),
+      seed: readSeed()
+    }, {
+      onProgress: setProgress,
+      onEvent: (name, fold) => {
+        foldResults.push(fold);
+        renderWalkForwardChart(foldResults);
+      }
+    });
+    renderWalkForwardSummary(res.summary);
+    setProgress(100, 'Walk-forward complete');
+    appLog(`Walk-forward accuracy: ${(res.summary.overall.mean*100).toFixed(2)}% ± ${(res.summary.overall.std*100).toFixed(2)}% over ${res.folds} folds`);
+  } catch (err) {
+    appLog('Walk-forward error:', err.message || err);
+    alert('Walk-forward error: ' + (err.message || err));
+    setProgress(0,'Error');
+  } finally {
+    endJob();
+    wfBtn.disabled = false;
+    trainBtn.disabled = false;
+  }
+});
+
+metricsThresholdInput.addEventListener('change', async () => {
+  if (!evalResults) return;
+  try {
+    evalResults.metrics = await engine.call('metrics', { threshold: Number(metricsThresholdInput.value || 0.5) });
+    renderMetrics(evalResults.metrics);
+  } catch (err) {
+    appLog('Metrics error:', err.message || err);
+  }
+});
+
+// Exports of the last evaluation (see report.js): per date / symbol / horizon predictions as CSV or
+// JSON, and a self-contained HTML report
+function setExportEnabled(on) {
+  predictionsCsvBtn.disabled = !on;
+  predictionsJsonBtn.disabled = !on;
+  reportBtn.disabled = !on;
+}
+
+// file name stem for exports: run name or id when the model was trained in this session
+function exportName() {
+  const run = runs.find(r => r.id === currentRunId);
+  const stem = run ? (run.name || `run-${run.id}`) : 'evaluation';
+  return stem.replace(/[^\w.-]+/g, '_');
+}
+
+async function exportPredictions(format) {
+  try {
+    const { records, targetMode, target } = await engine.call('predictions');
+    if (format === 'csv') {
+      downloadFile(`${exportName()}-predictions.csv`, rowsToCSV(records), 'text/csv');
+    } else {
+      const info = { generatedAt: new Date().toISOString(), targetMode, target, symbols: preparedMeta.symbols,
+        forecastHorizon: preparedMeta.forecastHorizon, fingerprint: preparedMeta.fingerprint, config: reportConfig() };
+      downloadFile(`${exportName()}-predictions.json`, recordsToJSON(records, info), 'application/json');
+    }
+    appLog(`Exported ${records.length} prediction rows (${format.toUpperCase()}).`);
+  } catch (err) {
+    appLog('Export error:', err.message || err);
+    alert('Export error: ' + (err.message || err));
+  }
+}
+
+predictionsCsvBtn.addEventListener('click', () => exportPredictions('csv'));
+predictionsJsonBtn.addEventListener('click', () => exportPredictions('json'));
+
+// settings behind the evaluated model: the run record when it was trained in this session, otherwise the
+// prepared data settings and the loaded model's summary
+function reportConfig() {
+  const run = runs.find(r => r.id === currentRunId);
+  const evaluation = {
+    threshold: Number(metricsThresholdInput.value || 0.5),
+    uncertainty: evalResults && evalResults.uncertainty ? { method: evalResults.uncertainty.method, samples: evalResults.uncertainty.samples } : null
+  };
+  if (run) return { ...run.config, evaluation };
+  const { sequenceLength, forecastHorizon, scaler, missingData, target, sampleLayout, marketContext } = preparedMeta;
+  return {
+    data: { sequenceLength, forecastHorizon, trainSplitPercent: Number(trainSplitInput.value || 80), featureNames: dataset.featureSpecNames,
+      scaler, missingData, target, sampleLayout, marketContext },
+    model: modelInfo,
+    evaluation
+  };
+}
+
+// chart images for the report, in page order
+const REPORT_CHARTS = {
+  loss: 'Training loss', acc: 'Training accuracy', accuracyBar: 'Sorted accuracy (per stock)',
+  stockTimeline: 'Selected stock prediction timeline', calibration: 'Reliability diagram',
+  coverage: 'Accuracy vs coverage', walkForward: 'Walk-forward accuracy (per fold)', equity: 'Strategy backtest',
+  importance: 'Permutation importance'
+};
+
+reportBtn.addEventListener('click', () => {
+  if (!evalResults) { alert('Evaluate the model first'); return; }
+  const pct = v => Number.isNaN(v) ? '-' : `${(v*100).toFixed(2)}%`;
+  const meta = preparedMeta;
+  const fp = meta.fingerprint;
+  const perStock = '<table><tr><th>Symbol</th><th>Accuracy</th>' +
+    Array.from({ length: meta.forecastHorizon }, (_, k) => `<th>t+${k+1}</th>`).join('') + '</tr>' +
+    meta.symbols.map((sym, s) => `<tr><td>${escapeHtml(sym)}</td><td>${pct(evalResults.perStockAcc[s])}</td>` +
+      evalResults.perStockHorizonAcc[s].map(a => `<td>${pct(a)}</td>`).join('') + '</tr>').join('') + '</table>';
+  const tables = [{ title: 'Accuracy per symbol and horizon', html: perStock }];
+  if (baselineTable.innerHTML) tables.push({ title: 'Model vs baselines (per horizon)', html: baselineTable.outerHTML });
+  if (metricsTable.innerHTML) tables.push({ title: 'Metrics per symbol × horizon', html: metricsTable.outerHTML });
+  if (strategyTable.innerHTML) tables.push({ title: 'Strategy backtest', html: strategyTable.outerHTML });
+  const images = Object.entries(REPORT_CHARTS).filter(([key]) => charts[key])
+    .map(([key, title]) => ({ title, src: charts[key].toBase64Image() }));
+  const html = buildHtmlReport({
+    title: `Evaluation report: ${exportName()}`,
+    config: reportConfig(),
+    dataset: [
+      ['Symbols', meta.symbols.join(', ')],
+      ['Dates', `${fp.firstDate} .. ${fp.lastDate} (${fp.dates} days)`],
+      ['Samples', `${meta.samples} (train ${meta.trainSamples} / test ${meta.testSamples})`],
+      ['Test period', `${dataset.sampleDatesTest[0]} .. ${dataset.sampleDatesTest[dataset.sampleDatesTest.length - 1]}`],
+      ['Features per step', `${meta.featuresPerStep} (${dataset.featureSpecNames.join(', ')})`],
+      ['Sample layout', meta.sampleLayout + (meta.marketContext ? ' + market context' : '')],
+      ['Target', describeTarget(meta.target)],
+      ['Normalization', `${meta.scaler}, fitted on ${meta.normalizerFitRange.start}..${meta.normalizerFitRange.end}`],
+      ['Missing data', meta.missingData.strategy],
+      ['Fingerprint', fp.hash]
+    ],
+    results: [
+      [evalResults.targetMode === 'regression' ? 'Directional accuracy' : 'Accuracy', pct(evalResults.overallAcc)],
+      ...evalResults.perHorizonAcc.map((a, k) => [`t+${k+1}`, pct(a)]),
+      ...(evalResults.uncertainty ? [[`Uncertainty (${evalResults.uncertainty.method})`, `mean std ${evalResults.uncertainty.meanStd.toFixed(4)}`]] : [])
+    ],
+    tables,
+    images
+  });
+  downloadFile(`${exportName()}-report.html`, html, 'text/html');
+  appLog(`Exported HTML report with ${images.length} charts.`);
+});
+
+// explain one test sample for the selected symbol: attribution over the [sequenceLength, features] window
+explainBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    if (!modelInfo) { alert('Model not built/trained'); return; }
+    const symbols = preparedMeta.symbols;
+    const s = Math.max(0, symbols.indexOf(stockSelect.value));
+    const sample = Number(explainSampleSelect.value || 0);
+    const horizon = explainHorizonSelect.value === '' ? null : Number(explainHorizonSelect.value);
+    const res = await engine.call('explain', { s, sample, horizon, method: explainMethodSelect.value });
+    // flat Float32Array [T * C] -> rows per time step
+    const [T, C] = res.shape;
+    const values = Array.from({ length: T }, (_, t) => Array.from(res.values.subarray(t * C, (t + 1) * C)));
+    const note = res.delta === null ? '' : ` (completeness gap ${res.delta.toExponential(1)})`;
+    renderAttribution(values, symbols[s], dataset.sampleDatesTest[sample], horizon, note);
+  } catch (err) {
+    appLog('Explain error:', err.message || err);
+    alert('Explain error: ' + (err.message || err));
+  }
+});
+
+// permutation importance of input groups for every output symbol over the test set
+importanceBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    if (!modelInfo) { alert('Model not built/trained'); return; }
+    importanceBtn.disabled = true;
+    startJob();
+    setProgress(0, 'Permutation importance...');
+    importance = await engine.call('importance', {
+      by: importanceGroupSelect.value,
+      repeats: Number(importanceRepeatsInput.value || 3),
+      seed: readSeed()
+    }, { onProgress: setProgress });
+    renderImportance();
+    setProgress(100, 'Permutation importance complete');
+    appLog(`Permutation importance over ${importance.groups.length}/${importance.total} input groups (${importanceGroupSelect.value}).`);
+  } catch (err) {
+    appLog('Importance error:', err.message || err);
+    alert('Importance error: ' + (err.message || err));
+    setProgress(0,'Error');
+  } finally {
+    endJob();
+    importanceBtn.disabled = false;
+  }
+});
+
+// strategy backtest on the evaluated test set vs buy-and-hold
+stratBtn.addEventListener('click', async () => {
+  try {
+    if (!evalResults) { alert('Evaluate the model first'); return; }
+    const rules = {
+      mode: stratModeSelect.value,
+      threshold: Number(stratThresholdInput.value || 0.5),
+      topK: Number(stratTopKInput.value || 0),
+      horizon: Number(stratHorizonInput.value || 1),
+      costBps: Number(stratCostInput.value || 0)
+    };
+    const { strategy, benchmark } = await engine.call('strategy', { rules });
+    renderEquityChart(strategy, benchmark);
+    renderStrategyTable(strategy, benchmark);
+    appLog(`Strategy return ${(strategy.cumulativeReturn*100).toFixed(2)}% vs buy-and-hold ${(benchmark.cumulativeReturn*100).toFixed(2)}%`);
+  } catch (err) {
+    appLog('Strategy error:', err.message || err);
+    alert('Strategy error: ' + (err.message || err));
+  }
+});
+
+// hyperparameter search over the comma-separated search space inputs
+function readSearchSpace() {
+  const space = {};
+  searchSpaceEl.querySelectorAll('input[data-space]').forEach(el => {
+    const values = el.value.split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length) space[el.dataset.space] = 'numeric' in el.dataset ? values.map(Number) : values;
+  });
+  return space;
+}
+
+searchBtn.addEventListener('click', async () => {
+  try {
+    if (!dataset) { alert('Prepare dataset first'); return; }
+    searchBtn.disabled = true;
+    trainBtn.disabled = true;
+    leaderboard = [];
+    renderLeaderboard();
+    setProgress(0, 'Search: starting...');
+    startJob();
+    // data params change the input/output shapes; the worker derives them per trial
+    leaderboard = await engine.call('search', {
+      modelConfig: readModelConfig(),
+      space: readSearchSpace(),
+      strategy: searchStrategySelect.value,
+      nTrials: Number(searchTrialsInput.value || 8),
+      metric: searchMetricSelect.value,
+      halving: searchHalvingInput.checked ? { eta: 3, minEpochs: 2 } : null,
+      epochs: Number(epochsInput.value || 30),
+      batchSize: Number(batchSizeInput.value || 32),
+      trainSplitPercent: Number(trainSplitInput.value || 80),
+      valPercent: Number(searchValInput.value || 20),
+      seed: readSeed()
+    }, {
+      onProgress: setProgress,
+      onEvent: (name, result) => {
+        leaderboard.push(result);
+        renderLeaderboard();
+      }
+    });
+    leaderboardSort = { key: null, desc: true };
+    renderLeaderboard();
+    searchBestBtn.disabled = !leaderboard.length;
+    setProgress(100, 'Search complete');
+  } catch (err) {
+    appLog('Search error:', err.message || err);
+    alert('Search error: ' + (err.message || err));
+    setProgress(0,'Error');
+  } finally {
+    endJob();
+    searchBtn.disabled = false;
+    trainBtn.disabled = false;
+  }
+});
+
+// copy the best config into the controls, re-prepare the data and train it
+searchBestBtn.addEventListener('click', async () => {
+  if (!leaderboard.length) return;
+  const best = leaderboard[0].config;
+  const fields = {
+    architecture: archSelect, gruUnits: unitsInput, depth: depthInput, dropout: dropoutInput,
+    recurrentDropout: recurrentDropoutInput, headMode: headModeSelect, learningRate: learningRateInput, batchSize: batchSizeInput,
+    sequenceLength: seqLengthInput, forecastHorizon: horizonInput
+  };
+  Object.entries(best).forEach(([k, v]) => { if (fields[k]) fields[k].value = v; });
+  appLog(`Retraining best config: ${JSON.stringify(best)}`);
+  await prepareData();
+  await trainModel();
+});
+
+// save / load model bundles (weights + manifest with symbols, window, features and normalization)
 saveBtn.addEventListener('click', async () => {
   try {
-    setProgress(0,'Saving weights...');
-    await model.saveToLocalStorage('gru-multi-stock-model');
-    setProgress(100,'Saved to localstorage');
-    appLog('Model weights saved to localstorage.');
+    const name = slotNameInput.value.trim();
+    if (!name) { alert('Enter a slot name'); return; }
+    setProgress(0,'Saving model...');
+    renderSlots(await engine.call('saveSlot', { name }), name);
+    setProgress(100,`Saved to slot "${name}"`);
+    appLog(`Model saved to IndexedDB slot "${name}".`);
   } catch (err) {
     appLog('Save error:', err.message || err);
     alert('Save error: ' + (err.message || err));
@@ -153,110 +1291,1165 @@ saveBtn.addEventListener('click', async () => {
   }
 });
 
+downloadBtn.addEventListener('click', async () => {
+  try {
+    const name = slotNameInput.value.trim() || 'gru-multi-stock-model';
+    downloadArtifacts(name, await engine.call('exportModel'));
+    appLog(`Downloaded bundle "${name}" (model.json, weights, manifest).`);
+  } catch (err) {
+    appLog('Download error:', err.message || err);
+    alert('Download error: ' + (err.message || err));
+  }
+});
+
 loadBtn.addEventListener('click', async () => {
+  const name = slotSelect.value;
+  if (!name) { alert('No saved slots'); return; }
+  await loadModelFrom(`slot "${name}"`, () => engine.call('loadSlot', { name }));
+});
+
+uploadBtn.addEventListener('click', async () => {
+  if (!modelFilesInput.files.length) { alert('Choose the model .json and .bin files first'); return; }
+  await loadModelFrom('uploaded files', () => engine.call('loadFiles', { files: [...modelFilesInput.files] }));
+});
+
+deleteSlotBtn.addEventListener('click', async () => {
+  const name = slotSelect.value;
+  if (!name || !confirm(`Delete saved model "${name}"?`)) return;
   try {
-    setProgress(0,'Loading model from localstorage (if present)...');
-    await model.loadFromLocalStorage('gru-multi-stock-model');
-    setProgress(100,'Loaded (if present)');
-    appLog('Model loaded from localstorage (if exists).');
-    predictBtn.disabled = false;
+    renderSlots(await engine.call('deleteSlot', { name }));
+    appLog(`Deleted slot "${name}".`);
+  } catch (err) {
+    appLog('Delete error:', err.message || err);
+  }
+});
+
+async function loadModelFrom(label, loadFn) {
+  try {
+    setProgress(0,`Loading model from ${label}...`);
+    modelInfo = await loadFn();
+    evalResults = null;
+    setExportEnabled(false);
+    currentRunId = null; // evaluations of a stored model are not attached to a run
+    appLog(`Model (${modelInfo.architecture}) loaded from ${label}.`);
     saveBtn.disabled = false;
+    downloadBtn.disabled = false;
+    if (dataset) await checkModelCompatibility();
+    else warningDiv.textContent = 'Model loaded; prepare a dataset to check it against.';
+    setProgress(100,'Model loaded');
+  } catch (err) {
+    appLog('Load error:', err.message || err);
+    setProgress(0,'Load failed');
+    alert('Load failed: ' + (err.message || err));
+  }
+}
+
+// Validate the worker's model against the prepared dataset. The worker switches to the model's symbols
+// and target when needed and, on success, re-prepares the data with the model's own normalization
+// so inputs are scaled exactly as in training; the controls are updated to match.
+async function checkModelCompatibility() {
+  const res = await engine.call('checkModel', { trainSplitPercent: Number(trainSplitInput.value || 80) });
+  modelInfo = res.model;
+  setDataset(res.dataset);
+  if (res.switchedSymbols) {
+    setSelectedSymbols(res.switchedSymbols);
+    appLog(`Selected the model's ${res.switchedSymbols.length} symbols.`);
+  }
+  if (res.switchedTarget) {
+    setTargetControls(modelInfo.target);
+    appLog(`Switched target to the model's: ${describeTarget(modelInfo.target)}.`);
+  }
+  if (res.switchedLayout) {
+    sampleLayoutSelect.value = res.switchedLayout.sampleLayout;
+    marketContextInput.checked = res.switchedLayout.marketContext;
+    updateLayoutControls();
+    appLog(`Switched to the model's ${res.switchedLayout.sampleLayout} sample layout${res.switchedLayout.marketContext ? ' with market context' : ''}.`);
+  }
+  if (res.problems.length) {
+    warningDiv.textContent = `Model is incompatible with this dataset: ${res.problems.join('; ')}`;
+    res.problems.forEach(p => appLog('Incompatible:', p));
+    predictBtn.disabled = true;
+    forecastBtn.disabled = true;
+    fineTuneBtn.disabled = true;
+    return false;
+  }
+  if (res.normalizationApplied) {
+    renderNormMeta(true);
+    appLog('Applied normalization saved with the model.');
+  }
+  warningDiv.textContent = '';
+  predictBtn.disabled = false;
+  forecastBtn.disabled = false;
+  updateFineTuneBtn();
+  return true;
+}
+
+async function refreshSlots(selected = slotSelect.value) {
+  renderSlots(await engine.call('listSlots'), selected);
+}
+
+function renderSlots(slots, selected = slotSelect.value) {
+  slotSelect.innerHTML = '';
+  for (const slot of slots) {
+    const opt = document.createElement('option');
+    opt.value = slot.name;
+    opt.textContent = `${slot.name} (${new Date(slot.dateSaved).toLocaleString()}, ${Math.round(slot.sizeBytes/1024)} KB)`;
+    slotSelect.appendChild(opt);
+  }
+  if (slots.some(s => s.name === selected)) slotSelect.value = selected;
+}
+
+refreshSlots().catch(err => appLog('Could not list saved models:', err.message || err));
+
+// Experiment runs (see runs.js): each training run is stored with its settings and curves, and
+// the test evaluation is attached when that model is evaluated
+async function recordRun(config, curves, history) {
+  try {
+    const { model, ...outcome } = history;
+    const run = buildRun({
+      name: runNameInput.value.trim(),
+      config: {
+        ...config,
+        data: {
+          sequenceLength: preparedMeta.sequenceLength,
+          forecastHorizon: preparedMeta.forecastHorizon,
+          trainSplitPercent: Number(trainSplitInput.value || 80),
+          featureNames: dataset.featureSpecNames,
+          scaler: preparedMeta.scaler,
+          missingData: preparedMeta.missingData,
+          target: preparedMeta.target,
+          sampleLayout: preparedMeta.sampleLayout,
+          marketContext: preparedMeta.marketContext
+        }
+      },
+      meta: preparedMeta,
+      model,
+      curves,
+      history: outcome
+    });
+    currentRunId = await saveRun(run);
+    appLog(`Saved run #${currentRunId}.`);
+    await refreshRuns();
   } catch (err) {
-    appLog('Load error (may be no saved model):', err.message || err);
-    setProgress(0,'No saved model found / load failed');
-    alert('Load failed (no saved model or incompatible): ' + (err.message || err));
+    appLog('Could not save run:', err.message || err);
   }
+}
+
+async function recordEvaluation(res) {
+  if (currentRunId === null) return;
+  try {
+    const { overallAcc, perStockAcc, perHorizonAcc, perStockHorizonAcc, targetMode, summary, predictions, uncertainty } = res;
+    await updateRun(currentRunId, {
+      evaluation: {
+        evaluatedAt: new Date().toISOString(),
+        overallAcc, perStockAcc, perHorizonAcc, perStockHorizonAcc, targetMode, summary, predictions,
+        uncertainty: uncertainty && { method: uncertainty.method, samples: uncertainty.samples, meanStd: uncertainty.meanStd, coverage: uncertainty.coverage },
+        sampleDates: dataset.sampleDatesTest
+      }
+    });
+    await refreshRuns();
+  } catch (err) {
+    appLog('Could not update run:', err.message || err);
+  }
+}
+
+async function refreshRuns() {
+  runs = await listRuns();
+  renderRuns();
+  renderCompareOptions();
+}
+
+// suffix for the model column (shared heads show none)
+const HEAD_LABELS = { perHorizon: ', head per horizon', perHorizonModel: ', model per horizon' };
+const layoutLabel = r => (r.sampleLayout === 'pooled' ? `, pooled${r.marketContext ? ' + market' : ''}` : '');
+
+function renderRuns() {
+  const f = (v, d=4) => Number.isNaN(v) ? '-' : v.toFixed(d);
+  const pct = v => Number.isNaN(v) ? '-' : `${(v*100).toFixed(2)}%`;
+  const checked = new Set(selectedRunIds());
+  const head = '<tr><th></th><th>#</th><th>Name</th><th>Date</th><th>Model</th><th>Params</th><th>Target</th><th>Symbols</th>' +
+    '<th>Seq / h</th><th>Epochs</th><th>Val loss</th><th>Test acc</th><th>AUC</th><th>RMSE</th><th>Data</th></tr>';
+  const body = runs.map(run => {
+    const r = runSummary(run);
+    return `<tr><td><input type="checkbox" data-run="${r.id}"${checked.has(r.id) ? ' checked' : ''} /></td>` +
+      `<td>${r.id}</td><td>${r.name ? escapeHtml(r.name) : '-'}</td><td>${new Date(r.createdAt).toLocaleString()}</td>` +
+      `<td>${r.architecture} ${r.units}×${r.depth}${HEAD_LABELS[r.headMode] || ''}${layoutLabel(r)}${r.ensembleSize > 1 ? ` (ensemble of ${r.ensembleSize})` : ''}</td><td>${r.params}</td><td>${r.target}</td><td>${r.symbols}</td>` +
+      `<td>${r.sequenceLength} / ${r.forecastHorizon}</td><td>${r.epochs}${run.history.cancelled ? ' (stopped)' : ''}</td>` +
+      `<td>${f(r.valLoss)}</td><td title="${r.testAccuracyByHorizon ? `per horizon: ${r.testAccuracyByHorizon}` : ''}">${pct(r.testAccuracy)}</td><td>${f(r.testAuc, 3)}</td><td>${f(r.testRmse)}</td>` +
+      `<td title="${r.fingerprint}">${r.fingerprint.slice(0, 6)}</td></tr>`;
+  });
+  runsTable.innerHTML = `<thead>${head}</thead><tbody>${body.join('')}</tbody>`;
+}
+
+function selectedRunIds() {
+  return [...runsTable.querySelectorAll('input[data-run]:checked')].map(el => Number(el.dataset.run));
+}
+
+// distinct colour per run; train and validation curves of a run share it
+const runColor = i => `hsl(${(i * 67) % 360}, 65%, 45%)`;
+
+// overlay per-symbol test accuracy (grouped bars) and loss curves of the selected runs
+function renderRunComparison(selected) {
+  const evaluated = selected.filter(run => run.evaluation);
+  const symbols = [...new Set(evaluated.flatMap(run => run.symbols))];
+  runsAccuracyBox.style.height = `${Math.max(240, symbols.length * 10 * Math.max(1, evaluated.length))}px`;
+  if (charts.runsAccuracy) charts.runsAccuracy.destroy();
+  charts.runsAccuracy = new Chart(runsAccuracyCanvas, {
+    type: 'bar',
+    data: {
+      labels: symbols,
+      datasets: evaluated.map(run => {
+        const i = selected.indexOf(run);
+        return {
+          label: `#${run.id} ${run.name || run.architecture}`,
+          data: symbols.map(sym => {
+            const s = run.symbols.indexOf(sym);
+            return s < 0 ? null : run.evaluation.perStockAcc[s] * 100;
+          }),
+          backgroundColor: runColor(i)
+        };
+      })
+    },
+    options: {
+      indexAxis: 'y',
+      maintainAspectRatio: false,
+      animation: false,
+      scales: { x: { min: 0, max: 100, title: { display: true, text: 'Test accuracy (%)' } }, y: { ticks: { autoSkip: false, font: { size: 10 } } } }
+    }
+  });
+
+  const epochs = Math.max(0, ...selected.map(run => run.curves.length));
+  if (charts.runsLoss) charts.runsLoss.destroy();
+  charts.runsLoss = new Chart(runsLossCanvas, {
+    type: 'line',
+    data: {
+      labels: Array.from({ length: epochs }, (_, k) => k + 1),
+      datasets: selected.flatMap((run, i) => {
+        const sets = [{ label: `#${run.id} train`, data: run.curves.map(c => c.loss), borderColor: runColor(i), pointRadius: 0 }];
+        if (run.curves.some(c => c.val_loss !== undefined)) {
+          sets.push({ label: `#${run.id} val`, data: run.curves.map(c => c.val_loss), borderColor: runColor(i), borderDash: [4,3], pointRadius: 0 });
+        }
+        return sets;
+      })
+    },
+    options: { animation: false, maintainAspectRatio: false, scales: { x: { title: { display:true, text:'Epoch' } } } }
+  });
+
+  const skipped = selected.filter(run => !run.evaluation).map(run => `#${run.id}`);
+  if (skipped.length) appLog(`Runs not evaluated (no accuracy bars): ${skipped.join(', ')}`);
+  evaluated.filter(run => run.evaluation.perHorizonAcc).forEach(run => {
+    const byHorizon = run.evaluation.perHorizonAcc.map((a, k) => `t+${k+1} ${(a*100).toFixed(2)}%`).join(', ');
+    appLog(`#${run.id} (${run.config.model.headMode || 'shared'} head) accuracy by horizon: ${byHorizon}`);
+  });
+  const hashes = new Set(selected.map(run => run.fingerprint && run.fingerprint.hash));
+  if (hashes.size > 1) appLog('Compared runs were trained on different data (dataset fingerprints differ).');
+}
+
+runsCompareBtn.addEventListener('click', () => {
+  const ids = selectedRunIds();
+  if (ids.length < 2) { alert('Select two or more runs to compare'); return; }
+  renderRunComparison(runs.filter(run => ids.includes(run.id)));
 });
 
+runsDeleteBtn.addEventListener('click', async () => {
+  const ids = selectedRunIds();
+  if (!ids.length) { alert('No runs selected'); return; }
+  if (!confirm(`Delete ${ids.length} run(s)?`)) return;
+  try {
+    await deleteRuns(ids);
+    if (ids.includes(currentRunId)) currentRunId = null;
+    runsTable.querySelectorAll('input[data-run]').forEach(el => { el.checked = false; });
+    await refreshRuns();
+    appLog(`Deleted runs: ${ids.map(id => `#${id}`).join(', ')}`);
+  } catch (err) {
+    appLog('Delete error:', err.message || err);
+  }
+});
+
+// export the selected runs, or all of them when none are ticked
+function runsForExport() {
+  const ids = selectedRunIds();
+  return ids.length ? runs.filter(run => ids.includes(run.id)) : runs;
+}
+
+runsCsvBtn.addEventListener('click', () => {
+  if (!runs.length) { alert('No runs recorded yet'); return; }
+  downloadFile('runs.csv', runsToCSV(runsForExport()), 'text/csv');
+});
+
+runsJsonBtn.addEventListener('click', () => {
+  if (!runs.length) { alert('No runs recorded yet'); return; }
+  downloadFile('runs.json', runsToJSON(runsForExport()), 'application/json');
+});
+
+refreshRuns().catch(err => appLog('Could not list runs:', err.message || err));
+
 // when selecting a stock in dropdown, update timeline panel
 stockSelect.addEventListener('change', () => {
+  explainSymbolEl.textContent = stockSelect.value;
+  if (importance) renderImportance();
   if (!evalResults) return;
-  renderStockTimelineForSelected(preparedMeta.symbols, evalResults.perStockTimeline, evalResults.perStockAcc, preparedMeta.sampleDatesTest);
+  renderSelectedStock(lowConfidenceMask());
 });
 
+uncertaintyHideInput.addEventListener('change', () => { if (evalResults) renderTimelines(); });
+timelineHorizonSelect.addEventListener('change', () => { if (evalResults) renderTimelines(); });
+
+// select a stock from the accuracy bars or the timelines grid
+function selectStock(symbol) {
+  if (!evalResults || stockSelect.value === symbol) return;
+  stockSelect.value = symbol;
+  stockSelect.dispatchEvent(new Event('change'));
+}
+
 // render accuracy bar chart
 function renderAccuracyBar(sorted) {
   // sorted: [{symbol, acc, idx}] best->worst
   const labels = sorted.map(s => s.symbol);
-  const data = sorted.map(s => s.acc);
+  const datasets = [{ label: 'Accuracy (%)', data: sorted.map(s => s.acc) }];
+  // the compared run's bars sit next to ours, matched by symbol
+  const compare = comparedRun();
+  if (compare) {
+    datasets[0].label = 'This model (%)';
+    datasets.push({
+      label: `#${compare.id} ${runLabel(compare)} (%)`,
+      data: labels.map(sym => {
+        const s = compare.symbols.indexOf(sym);
+        return s < 0 ? null : compare.evaluation.perStockAcc[s] * 100;
+      }),
+      backgroundColor: 'rgba(150,150,150,0.7)'
+    });
+  }
+  // one bar every ~14px (per run); the box scrolls for large universes
+  accuracyBarBox.style.height = `${Math.max(240, labels.length * 14 * datasets.length)}px`;
   if (charts.accuracyBar) charts.accuracyBar.destroy();
   charts.accuracyBar = new Chart(accuracyBarCanvas, {
     type: 'bar',
-    data: { labels, datasets: [{ label: 'Accuracy (%)', data }] },
+    data: { labels, datasets },
     options: {
       indexAxis: 'y',
-      scales: { x: { min:0, max:100 } },
-      plugins: { legend: { display:false } }
+      maintainAspectRatio: false,
+      animation: false,
+      scales: { x: { min:0, max:100 }, y: { ticks: { autoSkip: false, font: { size: 10 } } } },
+      plugins: { legend: { display: !!compare } },
+      onClick: (evt, elements) => { if (elements.length) selectStock(labels[elements[0].index]); }
+    }
+  });
+}
+
+// Evaluation comparison: an earlier evaluated run on the same symbols, horizon and target mode
+// (e.g. the joint model next to the pooled one) overlaid on the accuracy bars
+const runLabel = run => run.name || `${run.architecture}, ${(run.config.data.sampleLayout || 'joint')}`;
+
+function comparableRuns() {
+  if (!preparedMeta) return [];
+  const symbols = preparedMeta.symbols.slice().sort().join(',');
+  return runs.filter(run => run.evaluation && run.id !== currentRunId &&
+    run.config.data.forecastHorizon === preparedMeta.forecastHorizon &&
+    run.evaluation.targetMode === preparedMeta.target.mode &&
+    run.symbols.slice().sort().join(',') === symbols);
+}
+
+function renderCompareOptions() {
+  const selected = compareRunSelect.value;
+  const options = comparableRuns();
+  compareRunSelect.innerHTML = '<option value="">(none)</option>' +
+    options.map(run => `<option value="${run.id}">#${run.id} ${escapeHtml(runLabel(run))}</option>`).join('');
+  if (options.some(run => String(run.id) === selected)) compareRunSelect.value = selected;
+}
+
+function comparedRun() {
+  if (compareRunSelect.value === '') return null;
+  return runs.find(run => run.id === Number(compareRunSelect.value)) || null;
+}
+
+// overall and per-horizon accuracy of this evaluation against the compared run, in points
+function renderCompareSummary() {
+  const compare = comparedRun();
+  if (!compare || !evalResults) { compareSummary.textContent = ''; return; }
+  const pct = v => `${(v*100).toFixed(2)}%`;
+  const delta = (a, b) => `${a >= b ? '+' : ''}${((a - b)*100).toFixed(2)}`;
+  const other = compare.evaluation;
+  const byHorizon = evalResults.perHorizonAcc.map((a, k) => (other.perHorizonAcc && other.perHorizonAcc[k] !== undefined
+    ? `t+${k+1} ${pct(a)} vs ${pct(other.perHorizonAcc[k])} (${delta(a, other.perHorizonAcc[k])})` : `t+${k+1} ${pct(a)}`));
+  compareSummary.textContent = `This model ${pct(evalResults.overallAcc)} vs #${compare.id} ${pct(other.overallAcc)} ` +
+    `(${delta(evalResults.overallAcc, other.overallAcc)} points). By horizon: ${byHorizon.join(', ')}`;
+}
+
+compareRunSelect.addEventListener('change', () => {
+  if (!evalResults) return;
+  const sorted = preparedMeta.symbols.map((symbol, idx) => ({ symbol, acc: Number((evalResults.perStockAcc[idx]*100).toFixed(2)), idx }))
+    .sort((a, b) => b.acc - a.acc);
+  renderAccuracyBar(sorted);
+  renderCompareSummary();
+});
+
+// fold-by-fold accuracy: overall plus one line per horizon
+function renderWalkForwardChart(folds) {
+  const labels = folds.map(f => f.testStart);
+  const h = folds.length ? folds[0].perHorizonAcc.length : 0;
+  const datasets = [{ label: 'Overall', data: folds.map(f => f.overallAcc*100), borderWidth: 3 }];
+  for (let k = 0; k < h; k++) {
+    datasets.push({ label: `t+${k+1}`, data: folds.map(f => f.perHorizonAcc[k]*100), borderWidth: 1, borderDash: [4,3] });
+  }
+  if (charts.walkForward) charts.walkForward.destroy();
+  charts.walkForward = new Chart(walkForwardCanvas, {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      animation: false,
+      scales: { y: { min:0, max:100, title: { display:true, text:'Accuracy (%)' } }, x: { title: { display:true, text:'Fold test start' } } }
     }
   });
 }
 
+// mean ± std across folds, per horizon and per symbol
+function renderWalkForwardSummary(summary) {
+  const pct = ({ mean, std }) => `${(mean*100).toFixed(2)}% ± ${(std*100).toFixed(2)}`;
+  const rows = [`<tr><th>Overall</th><td>${pct(summary.overall)}</td></tr>`];
+  summary.perHorizon.forEach(r => rows.push(`<tr><th>t+${r.horizon}</th><td>${pct(r)}</td></tr>`));
+  summary.perSymbol.forEach(r => rows.push(`<tr><td>${escapeHtml(r.symbol)}</td><td>${pct(r)}</td></tr>`));
+  walkForwardSummary.innerHTML = `<tbody>${rows.join('')}</tbody>`;
+}
+
+// metrics section: baseline comparison, reliability diagram, per symbol × horizon table.
+// Columns follow the target mode: classification scores for binary/threshold and three-class targets,
+// MAE/RMSE/directional accuracy for regression.
+function renderMetrics(report) {
+  const symbols = preparedMeta.symbols;
+  const h = preparedMeta.forecastHorizon;
+  const mode = report.mode;
+  metricsThresholdInput.disabled = !isBinaryTarget({ mode });
+
+  const f = (v, d=3) => Number.isNaN(v) ? '-' : v.toFixed(d);
+  const pct = v => Number.isNaN(v) ? '-' : `${(v*100).toFixed(2)}%`;
+  const names = ['Model', ...Object.keys(report.baselines)];
+  const rowsFor = (label, getter) => `<tr><td>${label}</td>${names.map(n => `<td>${getter(n)}</td>`).join('')}</tr>`;
+  const metricOf = (n, k) => n === 'Model' ? (k === null ? report.overall : report.perHorizon[k]) : (k === null ? report.baselines[n].overall : report.baselines[n].perHorizon[k]);
+  // [label, format(metrics)] rows of the baseline table
+  const summaryRows = mode === 'regression'
+    ? [['MAE', m => f(m.mae, 4)], ['RMSE', m => f(m.rmse, 4)], ['direction', m => pct(m.directionalAccuracy)]]
+    : mode === 'threeClass'
+      ? [['accuracy', m => pct(m.accuracy)], ['macro F1', m => f(m.macroF1)], ['MCC', m => f(m.mcc)]]
+      : [['accuracy', m => pct(m.accuracy)], ['MCC', m => f(m.mcc)]];
+  const bRows = [];
+  for (let k = 0; k < h; k++) {
+    summaryRows.forEach(([label, fmt]) => bRows.push(rowsFor(`t+${k+1} ${label}`, n => fmt(metricOf(n, k)))));
+  }
+  summaryRows.forEach(([label, fmt]) => bRows.push(rowsFor(`All ${label}`, n => fmt(metricOf(n, null)))));
+  baselineTable.innerHTML = `<thead><tr><th></th>${names.map(n => `<th>${n}</th>`).join('')}</tr></thead><tbody>${bRows.join('')}</tbody>`;
+
+  const [cols, cells] = mode === 'regression'
+    ? [['MAE','RMSE','Direction','Corr'], m => [f(m.mae, 4), f(m.rmse, 4), pct(m.directionalAccuracy), f(m.corr)]]
+    : mode === 'threeClass'
+      ? [['Acc','Macro F1','MCC','LogLoss', ...CLASS_NAMES.map(c => `F1 ${c}`)],
+         m => [pct(m.accuracy), f(m.macroF1), f(m.mcc), f(m.logLoss), ...m.perClass.map(c => f(c.f1))]]
+      : [['TP','FP','TN','FN','Acc','Prec','Recall','F1','MCC','LogLoss','Brier','AUC'],
+         m => [m.tp, m.fp, m.tn, m.fn, pct(m.accuracy), f(m.precision), f(m.recall), f(m.f1), f(m.mcc), f(m.logLoss), f(m.brier), f(m.auc)]];
+  const mRows = [];
+  symbols.forEach((sym, s) => report.perSymbolHorizon[s].forEach((m, k) => {
+    mRows.push(`<tr><td>${escapeHtml(sym)}</td><td>t+${k+1}</td>${cells(m).map(c => `<td>${c}</td>`).join('')}</tr>`);
+  }));
+  metricsTable.innerHTML = `<thead><tr>${['Symbol','Horizon', ...cols].map(c => `<th>${c}</th>`).join('')}</tr></thead><tbody>${mRows.join('')}</tbody>`;
+
+  if (charts.calibration) { charts.calibration.destroy(); charts.calibration = null; }
+  if (!report.calibration) return; // regression: no probabilities to calibrate
+  const bins = report.calibration.filter(b => b.count);
+  charts.calibration = new Chart(calibrationCanvas, {
+    type: 'scatter',
+    data: {
+      datasets: [
+        { label: 'Model', data: bins.map(b => ({ x: b.meanPred, y: b.fracPos })), showLine: true },
+        { label: 'Perfect calibration', data: [{ x:0, y:0 }, { x:1, y:1 }], showLine: true, pointRadius: 0, borderDash: [4,3] }
+      ]
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { min:0, max:1, title: { display:true, text: mode === 'threshold' ? 'Mean predicted P(above)' : 'Mean predicted P(up)' } },
+        y: { min:0, max:1, title: { display:true, text: mode === 'threshold' ? 'Observed above-rate' : 'Observed up-rate' } }
+      }
+    }
+  });
+}
+
+// sortable leaderboard; click a header to sort by that column
+const LEADERBOARD_COLUMNS = [
+  { key: 'architecture', label: 'Model', get: r => r.config.architecture || archSelect.value },
+  { key: 'gruUnits', label: 'Units', get: r => r.config.gruUnits },
+  { key: 'depth', label: 'Depth', get: r => r.config.depth },
+  { key: 'dropout', label: 'Dropout', get: r => r.config.dropout },
+  { key: 'learningRate', label: 'LR', get: r => r.config.learningRate },
+  { key: 'sequenceLength', label: 'Seq', get: r => r.config.sequenceLength },
+  { key: 'forecastHorizon', label: 'Horizon', get: r => r.config.forecastHorizon },
+  { key: 'batchSize', label: 'Batch', get: r => r.config.batchSize },
+  { key: 'epochs', label: 'Epochs', get: r => r.epochs },
+  { key: 'valAccuracy', label: 'Val acc', get: r => r.valAccuracy, fmt: v => `${(v*100).toFixed(2)}%` },
+  { key: 'valAuc', label: 'Val AUC', get: r => r.valAuc, fmt: v => Number.isNaN(v) ? '-' : v.toFixed(3) },
+  { key: 'valMcc', label: 'Val MCC', get: r => r.valMcc, fmt: v => Number.isNaN(v) ? '-' : v.toFixed(3) },
+  { key: 'valLogLoss', label: 'Val log loss', get: r => r.valLogLoss, fmt: v => Number.isNaN(v) ? '-' : v.toFixed(4) },
+  { key: 'valRmse', label: 'Val RMSE', get: r => r.valRmse, fmt: v => Number.isNaN(v) ? '-' : v.toFixed(4) },
+  { key: 'seconds', label: 'Time (s)', get: r => r.seconds, fmt: v => v.toFixed(1) }
+];
+
+function renderLeaderboard() {
+  const rows = leaderboard.slice();
+  const col = LEADERBOARD_COLUMNS.find(c => c.key === leaderboardSort.key);
+  if (col) {
+    rows.sort((a, b) => {
+      const va = col.get(a), vb = col.get(b);
+      const cmp = typeof va === 'number' && typeof vb === 'number' ? va - vb : String(va).localeCompare(String(vb));
+      return leaderboardSort.desc ? -cmp : cmp;
+    });
+  }
+  const head = LEADERBOARD_COLUMNS.map(c => `<th data-key="${c.key}" style="cursor:pointer;">${c.label}${c === col ? (leaderboardSort.desc ? ' ▼' : ' ▲') : ''}</th>`);
+  const body = rows.map((r, i) => `<tr><td>${i+1}</td>${LEADERBOARD_COLUMNS.map(c => {
+    const v = c.get(r);
+    return `<td>${v === undefined ? '-' : (c.fmt ? c.fmt(v) : v)}</td>`;
+  }).join('')}</tr>`);
+  leaderboardTable.innerHTML = `<thead><tr><th>#</th>${head.join('')}</tr></thead><tbody>${body.join('')}</tbody>`;
+}
+
+leaderboardTable.addEventListener('click', e => {
+  const key = e.target.dataset && e.target.dataset.key;
+  if (!key) return;
+  leaderboardSort = { key, desc: leaderboardSort.key === key ? !leaderboardSort.desc : true };
+  renderLeaderboard();
+});
+
+// live loss / accuracy curves for train and validation
+function renderTrainingCurves(curves) {
+  const labels = curves.map(c => c.epoch);
+  const hasVal = curves.some(c => c.val_loss !== undefined);
+  const lineChart = (key, canvas, metric, title) => {
+    const datasets = [{ label: `train ${title}`, data: curves.map(c => c[metric]), pointRadius: 0 }];
+    if (hasVal) datasets.push({ label: `val ${title}`, data: curves.map(c => c[`val_${metric}`]), pointRadius: 0, borderDash: [4,3] });
+    if (charts[key]) {
+      charts[key].data.labels = labels;
+      charts[key].data.datasets = datasets;
+      charts[key].update('none');
+      return;
+    }
+    charts[key] = new Chart(canvas, {
+      type: 'line',
+      data: { labels, datasets },
+      options: { animation: false, scales: { x: { title: { display:true, text:'Epoch' } } } }
+    });
+  };
+  lineChart('loss', lossCanvas, 'loss', 'loss');
+  lineChart('acc', accCanvas, modelInfo.metricName, modelInfo.target.mode === 'regression' ? 'direction' : 'accuracy');
+}
+
+// strategy vs buy-and-hold equity curves
+function renderEquityChart(strategy, benchmark) {
+  if (charts.equity) charts.equity.destroy();
+  charts.equity = new Chart(equityCanvas, {
+    type: 'line',
+    data: {
+      labels: strategy.dates,
+      datasets: [
+        { label: 'Strategy', data: strategy.equity, pointRadius: 0, borderWidth: 2 },
+        { label: 'Buy & hold', data: benchmark.equity, pointRadius: 0, borderWidth: 1, borderDash: [4,3] }
+      ]
+    },
+    options: { animation: false, scales: { y: { title: { display:true, text:'Equity (start = 1)' } } } }
+  });
+}
+
+// spread summary and accuracy-vs-coverage curves of an uncertainty evaluation (see worker.js)
+function renderUncertainty(u) {
+  if (charts.coverage) { charts.coverage.destroy(); charts.coverage = null; }
+  if (!u) { uncertaintySummary.textContent = ''; return; }
+  const at = (curve, coverage) => curve.find(p => p.coverage >= coverage - 1e-9) || curve[curve.length - 1];
+  const top = at(u.coverage.spread, 0.2);
+  const all = u.coverage.spread[u.coverage.spread.length - 1];
+  uncertaintySummary.textContent = `${UNCERTAINTY_METHODS[u.method]}, ${u.samples} samples per prediction. Mean std: ${u.meanStd.toFixed(4)}. ` +
+    `Accuracy on the ${(top.coverage*100).toFixed(0)}% most certain predictions: ${(top.accuracy*100).toFixed(2)}% (all: ${(all.accuracy*100).toFixed(2)}%).`;
+  charts.coverage = new Chart(coverageCanvas, {
+    type: 'line',
+    data: {
+      labels: u.coverage.spread.map(p => `${(p.coverage*100).toFixed(0)}%`),
+      datasets: [
+        { label: 'Ranked by spread (std)', data: u.coverage.spread.map(p => p.accuracy*100), borderWidth: 2 },
+        { label: 'Ranked by mean confidence', data: u.coverage.confidence.map(p => p.accuracy*100), borderWidth: 1, borderDash: [4,3] }
+      ]
+    },
+    options: {
+      animation: false,
+      scales: { x: { title: { display:true, text:'Coverage (share of predictions kept)' } }, y: { title: { display:true, text:'Accuracy (%)' } } }
+    }
+  });
+}
+
+// Data-quality report (see DataLoader.dataQualityReport)
+function renderDataQuality(report, current) {
+  qualitySummary.textContent = `${report.csvRows} CSV rows, ${report.dates} dates. ` +
+    `Invalid rows (no symbol/date/open/close): ${report.invalidRows}. Unparseable dates: ${report.unparseableDates}. ` +
+    `Duplicate symbol/date rows: ${report.duplicates}.`;
+  qualityTable.innerHTML = '<thead><tr><th>Symbol</th><th>Rows</th><th>Coverage</th><th>First</th><th>Last</th><th>Gaps</th><th>Longest gap</th><th>Used</th></tr></thead><tbody>' +
+    report.symbols.map(q => `<tr${q.used ? '' : ' style="color:#999;"'}><td>${escapeHtml(q.symbol)}</td><td>${q.rows}</td><td>${(q.coverage*100).toFixed(1)}%</td>` +
+      `<td>${q.firstDate || '-'}</td><td>${q.lastDate || '-'}</td><td>${q.gaps}</td><td>${q.longestGap}</td><td>${q.used ? 'yes' : q.selected ? 'low coverage' : 'not selected'}</td></tr>`).join('') +
+    '</tbody>';
+  qualityWindowsTable.innerHTML = '<thead><tr><th>Strategy</th><th>Windows</th></tr></thead><tbody>' +
+    Object.entries(report.windowsByStrategy).map(([strategy, n]) =>
+      `<tr${strategy === current ? ' style="font-weight:bold;"' : ''}><td>${MISSING_STRATEGIES[strategy]}</td><td>${n}</td></tr>`).join('') +
+    '</tbody>';
+}
+
+function renderStrategyTable(strategy, benchmark) {
+  const pct = v => `${(v*100).toFixed(2)}%`;
+  const rows = [
+    ['Cumulative return', pct(strategy.cumulativeReturn), pct(benchmark.cumulativeReturn)],
+    ['Sharpe (ann.)', strategy.sharpe.toFixed(2), benchmark.sharpe.toFixed(2)],
+    ['Max drawdown', pct(strategy.maxDrawdown), pct(benchmark.maxDrawdown)],
+    ['Hit rate', pct(strategy.hitRate), '-'],
+    ['Turnover (total)', strategy.turnover.toFixed(2), '-'],
+    ['Trades', String(strategy.trades), '-']
+  ];
+  strategyTable.innerHTML = '<thead><tr><th></th><th>Strategy</th><th>Buy &amp; hold</th></tr></thead><tbody>' +
+    rows.map(r => `<tr><td>${r[0]}</td><td>${r[1]}</td><td>${r[2]}</td></tr>`).join('') + '</tbody>';
+}
+
 // empty placeholder
 function renderEmptyAccuracy() {
+  accuracyBarBox.style.height = '240px';
   if (charts.accuracyBar) charts.accuracyBar.destroy();
   charts.accuracyBar = new Chart(accuracyBarCanvas, {
     type: 'bar',
     data: { labels: [], datasets: [{ label: 'Accuracy (%)', data: [] }] },
-    options: { indexAxis: 'y', plugins: { legend: { display:false } } }
+    options: { indexAxis: 'y', maintainAspectRatio: false, plugins: { legend: { display:false } } }
   });
 }
 
-// Render per-stock timelines (compact rows)
-function renderPerStockTimelines(perStockTimeline, symbols, sampleDates) {
-  // perStockTimeline: [S arrays of length testSamples] values 0/1
-  timelinesContainer.innerHTML = '';
-  // dispose old small charts
-  charts.perStockSmall.forEach(c => { try { c.destroy(); } catch (e){} });
-  charts.perStockSmall = [];
+function renderTimelines() {
+  const mask = lowConfidenceMask();
+  renderPerStockTimelines(timelineHits(), preparedMeta.symbols, dataset.sampleDatesTest, mask);
+  renderSelectedStock(mask);
+}
 
-  const S = symbols.length;
-  for (let s = 0; s < S; s++) {
-    const row = document.createElement('div');
-    row.className = 'timeline-row';
-    const label = document.createElement('div');
-    label.style.minWidth = '72px';
-    label.textContent = symbols[s];
-    const canvas = document.createElement('canvas');
-    canvas.height = 40;
-    // small width based on number of points
-    canvas.style.width = '100%';
-    canvas.style.flex = '1 1 auto';
-    row.appendChild(label);
-    row.appendChild(canvas);
-    timelinesContainer.appendChild(row);
-
-    const data = perStockTimeline[s].map(v => v ? 1 : 0);
-    // colors: map 1->green, 0->red. Chart.js allows segment coloring per bar via backgroundColor array.
-    const bg = data.map(v => v ? 'rgba(0,160,80,0.9)' : 'rgba(200,40,40,0.9)');
-    const chart = new Chart(canvas.getContext('2d'), {
-      type: 'bar',
-      data: {
-        labels: sampleDates.map(d=>d),
-        datasets: [{ data, backgroundColor: bg, barPercentage: 1.0, categoryPercentage: 1.0 }]
-      },
-      options: {
-        animation: false,
-        plugins: { legend: { display:false }, tooltip: { enabled: false } },
-        scales: { x: { display: false }, y: { display: false, min:0, max:1 } }
+function renderSelectedStock(lowConfidence) {
+  const k = timelineHorizon();
+  const perStockAcc = k === null ? evalResults.perStockAcc : evalResults.perStockHorizonAcc.map(row => row[k]);
+  renderStockTimelineForSelected(preparedMeta.symbols, timelineHits(), perStockAcc, dataset.sampleDatesTest, lowConfidence, k);
+}
+
+// horizon index picked for the timelines, null for the majority over all horizons
+function timelineHorizon() {
+  return timelineHorizonSelect.value === '' ? null : Number(timelineHorizonSelect.value);
+}
+
+// per-stock correctness [S][samples] for the timelines: majority over horizons, or the picked horizon's hits
+function timelineHits() {
+  const k = timelineHorizon();
+  if (k === null) return evalResults.perStockTimeline;
+  const { shape: [n, S, h], hit } = evalResults.predictions;
+  return Array.from({ length: S }, (_, s) => Array.from({ length: n }, (_, t) => hit[(t * S + s) * h + k]));
+}
+
+// [S][samples] true for the least certain "grey out %" of timeline cells, ranked by the spread of the
+// sampled predictions (mean over horizons, or the picked horizon's); null without an uncertainty evaluation
+function lowConfidenceMask() {
+  const u = evalResults && evalResults.uncertainty;
+  const hide = Number(uncertaintyHideInput.value || 0) / 100;
+  if (!u || hide <= 0) return null;
+  const k = timelineHorizon();
+  const { shape: [n, S, h], std } = evalResults.predictions;
+  const spread = k === null ? u.perStockStd
+    : Array.from({ length: S }, (_, s) => Array.from({ length: n }, (_, t) => std[(t * S + s) * h + k]));
+  const values = spread.flat().sort((a, b) => a - b);
+  const kept = Math.round(values.length * (1 - Math.min(hide, 1)));
+  const cutoff = kept ? values[kept - 1] : -Infinity;
+  return spread.map(row => row.map(v => v > cutoff));
+}
+
+// Symbol × horizon accuracy grid with an "All symbols" row on top. Cells are colored around chance
+// (1/3 for three classes, 1/2 otherwise): green above, red below, white at chance. Click opens the
+// stock and horizon in the timelines.
+function renderHorizonHeatmap(perStockHorizonAcc, perHorizonAcc, symbols, targetMode) {
+  horizonHeatmap.innerHTML = '';
+  const h = perHorizonAcc.length;
+  if (!h) return;
+  const rows = [{ label: 'All symbols', acc: perHorizonAcc }, ...symbols.map((sym, s) => ({ label: sym, acc: perStockHorizonAcc[s] }))];
+  const chance = targetMode === 'threeClass' ? 1 / 3 : 0.5;
+  const allAcc = rows.flatMap(r => r.acc);
+  const spread = Math.max(0.05, ...allAcc.map(a => Math.abs(a - chance)));
+  const rowH = rows.length <= 30 ? 18 : rows.length <= 150 ? 10 : 5;
+  const labelW = 80;
+  const headH = 16;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(horizonHeatmap.clientWidth || 600, labelW + h * 40);
+  canvas.height = headH + rows.length * rowH;
+  canvas.style.width = '100%';
+  canvas.style.cursor = 'pointer';
+  horizonHeatmap.appendChild(canvas);
+
+  const ctx = canvas.getContext('2d');
+  const cellW = (canvas.width - labelW) / h;
+  ctx.textBaseline = 'middle';
+  ctx.font = '11px Arial';
+  ctx.fillStyle = '#333';
+  ctx.textAlign = 'center';
+  for (let k = 0; k < h; k++) ctx.fillText(`t+${k+1}`, labelW + (k + 0.5) * cellW, headH / 2);
+  ctx.font = `${Math.min(11, rowH - 2)}px Arial`;
+  rows.forEach((row, r) => {
+    const y = headH + r * rowH;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#333';
+    if (rowH >= 8) ctx.fillText(row.label, 2, y + rowH / 2);
+    row.acc.forEach((a, k) => {
+      const d = Math.max(-1, Math.min(1, (a - chance) / spread));
+      ctx.fillStyle = d >= 0 ? `rgba(0,160,80,${d})` : `rgba(200,40,40,${-d})`;
+      ctx.fillRect(labelW + k * cellW, y, cellW - 1, rowH - 1);
+      if (rowH >= 14) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#222';
+        ctx.fillText(`${(a * 100).toFixed(1)}%`, labelW + (k + 0.5) * cellW, y + rowH / 2);
       }
     });
-    charts.perStockSmall.push(chart);
+    if (r === 0) { ctx.fillStyle = '#999'; ctx.fillRect(0, y + rowH - 1, canvas.width, 1); }
+  });
+  ctx.textAlign = 'left';
+
+  const cellAt = evt => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (evt.clientX - rect.left) * canvas.width / rect.width;
+    const y = (evt.clientY - rect.top) * canvas.height / rect.height;
+    return { r: Math.floor((y - headH) / rowH), k: Math.floor((x - labelW) / cellW) };
+  };
+  canvas.addEventListener('mousemove', evt => {
+    const { r, k } = cellAt(evt);
+    canvas.title = r >= 0 && r < rows.length && k >= 0 && k < h
+      ? `${rows[r].label} t+${k+1}: ${(rows[r].acc[k] * 100).toFixed(2)}%` : '';
+  });
+  canvas.addEventListener('click', evt => {
+    const { r, k } = cellAt(evt);
+    if (r < 0 || r >= rows.length || k < 0 || k >= h) return;
+    timelineHorizonSelect.value = String(k);
+    if (r > 0 && stockSelect.value !== symbols[r - 1]) {
+      selectStock(symbols[r - 1]); // redraws the drill-down
+      renderPerStockTimelines(timelineHits(), symbols, dataset.sampleDatesTest, lowConfidenceMask());
+    } else {
+      renderTimelines();
+    }
+  });
+}
+
+// Render per-stock timelines as one grid: a row per stock, a cell per test sample
+// (green correct, red wrong). Drawn directly on a canvas so hundreds of symbols stay cheap;
+// hover shows symbol/date, click selects the stock.
+function renderPerStockTimelines(perStockTimeline, symbols, sampleDates, lowConfidence = null) {
+  timelinesContainer.innerHTML = '';
+  const S = symbols.length;
+  const N = sampleDates.length;
+  if (!S || !N) return;
+  const rowH = S <= 30 ? 16 : S <= 150 ? 8 : 4;
+  const labelW = rowH >= 8 ? 72 : 0; // labels only when rows are tall enough to read
+  const axisH = 16; // date ticks under the grid
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(timelinesContainer.clientWidth || 800, labelW + N);
+  canvas.height = S * rowH + axisH;
+  canvas.style.width = '100%';
+  canvas.style.cursor = 'pointer';
+  timelinesContainer.appendChild(canvas);
+
+  const ctx = canvas.getContext('2d');
+  const cellW = (canvas.width - labelW) / N;
+  ctx.font = `${Math.min(12, rowH - 2)}px Arial`;
+  ctx.textBaseline = 'middle';
+  for (let s = 0; s < S; s++) {
+    const y = s * rowH;
+    if (labelW) { ctx.fillStyle = '#333'; ctx.fillText(symbols[s], 2, y + rowH / 2); }
+    for (let t = 0; t < N; t++) {
+      ctx.fillStyle = lowConfidence && lowConfidence[s][t] ? 'rgba(180,180,180,0.5)'
+        : perStockTimeline[s][t] ? 'rgba(0,160,80,0.9)' : 'rgba(200,40,40,0.9)';
+      ctx.fillRect(labelW + t * cellW, y + (rowH > 4 ? 1 : 0), Math.max(1, cellW), rowH > 4 ? rowH - 2 : rowH);
+    }
   }
+  // about one date tick per 120px
+  ctx.font = '11px Arial';
+  ctx.fillStyle = '#333';
+  const ticks = Math.max(2, Math.floor((canvas.width - labelW) / 120));
+  for (let i = 0; i < ticks; i++) {
+    const t = Math.round(i * (N - 1) / (ticks - 1));
+    const x = labelW + t * cellW;
+    ctx.textAlign = i === 0 ? 'left' : i === ticks - 1 ? 'right' : 'center';
+    ctx.fillRect(x, S * rowH, 1, 3);
+    ctx.fillText(sampleDates[t], x, S * rowH + axisH / 2 + 2);
+  }
+  ctx.textAlign = 'left';
+
+  const cellAt = evt => {
+    const rect = canvas.getBoundingClientRect();
+    const x = (evt.clientX - rect.left) * canvas.width / rect.width;
+    const y = (evt.clientY - rect.top) * canvas.height / rect.height;
+    return { s: Math.floor(y / rowH), t: Math.floor((x - labelW) / cellW) };
+  };
+  canvas.addEventListener('mousemove', evt => {
+    const { s, t } = cellAt(evt);
+    if (s < 0 || s >= S) return;
+    const unsure = lowConfidence && lowConfidence[s][t] ? ' (low confidence)' : '';
+    canvas.title = t >= 0 && t < N ? `${symbols[s]} ${sampleDates[t]}: ${perStockTimeline[s][t] ? 'correct' : 'wrong'}${unsure}` : symbols[s];
+  });
+  canvas.addEventListener('click', evt => {
+    const { s, t } = cellAt(evt);
+    if (s >= 0 && s < S) selectStock(symbols[s]);
+    if (t >= 0 && t < N) explainSampleSelect.value = String(t); // the explainability panel uses the clicked day
+  });
 }
 
-// Render selected stock timeline in bigger chart and show stats
-function renderStockTimelineForSelected(symbols, perStockTimeline, perStockAcc, sampleDates) {
+// Selected-stock drill-down: the close on each test anchor date (points green/red by majority
+// correctness, or the picked horizon's, faded when low-confidence) with the predicted probability
+// (regression: return) per horizon. Hover shows the input window, predictions and realized returns
+// for t+1..t+h. Wheel zooms, drag pans, double-click resets; dragging on the strip below picks a date range.
+async function renderStockTimelineForSelected(symbols, perStockTimeline, perStockAcc, sampleDates, lowConfidence = null, horizon = null) {
   const selected = stockSelect.value || symbols[0];
   const idx = symbols.indexOf(selected);
   if (idx < 0) return;
-  const arr = perStockTimeline[idx];
-  const data = arr.map(v => v ? 1 : 0);
-  const bg = data.map(v => v ? 'rgba(0,160,80,0.9)' : 'rgba(200,40,40,0.9)');
+  if (!stockDetail || stockDetail.symbol !== selected) {
+    try {
+      stockDetail = await engine.call('drilldown', { symbol: selected });
+    } catch (err) {
+      appLog('Drill-down error:', err.message || err);
+      return;
+    }
+    if ((stockSelect.value || symbols[0]) !== selected) return; // another stock was picked meanwhile
+  }
+  const detail = stockDetail;
+  const { predictions, targetMode } = evalResults;
+  const [n, S, h] = predictions.shape;
+  const at = (arr, t, k) => arr[(t * S + idx) * h + k];
+  const regression = targetMode === 'regression';
+  const scores = regression ? predictions.pred : predictions.prob;
+  const predName = regression ? 'Pred. return' : targetMode === 'threshold' ? 'P(above)' : 'P(up)';
+
+  const data = perStockTimeline[idx].map(v => v ? 1 : 0);
+  const scope = horizon === null ? 'majority of horizons' : `t+${horizon+1}`;
+  const unsure = lowConfidence ? lowConfidence[idx] : data.map(() => false);
+  // low-confidence days stay visible but faded
+  const pointColors = data.map((v, t) => `rgba(${v ? '0,160,80' : '200,40,40'},${unsure[t] ? 0.2 : 0.9})`);
+  const datasets = [{
+    label: `${selected} close`, data: detail.close, yAxisID: 'price',
+    borderColor: '#666', borderWidth: 1, pointRadius: n > 300 ? 1.5 : 3,
+    pointBackgroundColor: pointColors, pointBorderColor: pointColors
+  }];
+  for (let k = 0; k < h; k++) {
+    datasets.push({
+      label: `${predName} t+${k+1}`,
+      data: Array.from({ length: n }, (_, t) => regression ? at(scores, t, k) * 100 : at(scores, t, k)),
+      yAxisID: 'pred', pointRadius: 0, borderWidth: k === horizon ? 2.5 : 1,
+      borderColor: `hsla(${210 + k * 50}, 70%, 45%, ${horizon === null || k === horizon ? 0.8 : 0.3})`
+    });
+  }
+
+  const footer = items => {
+    const t = items[0].dataIndex;
+    return Array.from({ length: h }, (_, k) => {
+      const p = at(predictions.pred, t, k);
+      const hit = isHit(p, at(predictions.truth, t, k), preparedMeta.target);
+      const spread = predictions.std ? ` ± ${regression ? `${(at(predictions.std, t, k) * 100).toFixed(2)}%` : at(predictions.std, t, k).toFixed(3)}` : '';
+      const pred = regression ? `${(p * 100).toFixed(2)}%`
+        : targetMode === 'threeClass' ? `${CLASS_NAMES[p]} (P(up) ${at(scores, t, k).toFixed(2)})`
+        : `${predName} ${at(scores, t, k).toFixed(3)}`;
+      return `t+${k+1}: ${pred}${spread}, realized ${(detail.realized[t][k] * 100).toFixed(2)}% ${hit ? '✓' : '✗'}`;
+    });
+  };
 
   if (charts.stockTimeline) charts.stockTimeline.destroy();
   charts.stockTimeline = new Chart(stockTimelineCanvas.getContext('2d'), {
+    type: 'line',
+    data: { labels: sampleDates.slice(), datasets },
+    options: {
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { min: timelineRange ? timelineRange[0] : undefined, max: timelineRange ? timelineRange[1] : undefined, ticks: { maxTicksLimit: 8 } },
+        price: { position: 'left', title: { display: true, text: 'Close' } },
+        pred: regression
+          ? { position: 'right', title: { display: true, text: 'Predicted return (%)' }, grid: { drawOnChartArea: false } }
+          : { position: 'right', min: 0, max: 1, title: { display: true, text: predName }, grid: { drawOnChartArea: false } }
+      },
+      plugins: {
+        tooltip: {
+          filter: item => item.datasetIndex === 0,
+          callbacks: {
+            title: items => `Anchor ${sampleDates[items[0].dataIndex]}`,
+            afterTitle: items => `Input window: ${detail.windowStart[items[0].dataIndex]} … ${sampleDates[items[0].dataIndex]} (${preparedMeta.sequenceLength} days)`,
+            label: item => `Close ${item.parsed.y.toFixed(2)} — ${data[item.dataIndex] ? 'correct' : 'wrong'} (${scope})${unsure[item.dataIndex] ? ', low confidence' : ''}`,
+            footer
+          }
+        }
+      },
+      // clicking a day picks it for the explainability panel
+      onClick: (evt, elements) => { if (elements.length) explainSampleSelect.value = String(elements[0].index); }
+    }
+  });
+  renderStockOverview(detail.close, sampleDates);
+
+  const correct = data.reduce((a,b) => a+b, 0);
+  stockStats.textContent = horizon === null
+    ? `${selected}: accuracy ${(perStockAcc[idx]*100).toFixed(2)}% (all horizons) — majority-correct on ${correct}/${data.length} test days`
+    : `${selected}: t+${horizon+1} accuracy ${(perStockAcc[idx]*100).toFixed(2)}% — correct on ${correct}/${data.length} test days`;
+  const kept = data.filter((v, t) => !unsure[t]);
+  if (kept.length < data.length) {
+    stockStats.textContent += `; ${kept.reduce((a, b) => a + b, 0)}/${kept.length} on the more certain days`;
+  }
+}
+
+// shaded date range on the overview strip: the range being brushed, else the chart's zoom range
+const rangeBrushPlugin = {
+  id: 'rangeBrush',
+  afterDraw(chart) {
+    const range = brushDrag || timelineRange;
+    if (!range) return;
+    const { ctx, chartArea, scales } = chart;
+    const x0 = scales.x.getPixelForValue(Math.min(range[0], range[1]));
+    const x1 = scales.x.getPixelForValue(Math.max(range[0], range[1]));
+    ctx.save();
+    ctx.fillStyle = 'rgba(30,90,220,0.15)';
+    ctx.strokeStyle = 'rgba(30,90,220,0.6)';
+    ctx.fillRect(x0, chartArea.top, Math.max(1, x1 - x0), chartArea.bottom - chartArea.top);
+    ctx.strokeRect(x0, chartArea.top, Math.max(1, x1 - x0), chartArea.bottom - chartArea.top);
+    ctx.restore();
+  }
+};
+
+function renderStockOverview(close, sampleDates) {
+  if (charts.stockOverview) charts.stockOverview.destroy();
+  charts.stockOverview = new Chart(stockOverviewCanvas.getContext('2d'), {
+    type: 'line',
+    data: { labels: sampleDates.slice(), datasets: [{ data: close, borderColor: '#888', borderWidth: 1, pointRadius: 0 }] },
+    options: {
+      animation: false,
+      events: [],
+      scales: { x: { display: false }, y: { display: false } },
+      plugins: { legend: { display: false }, tooltip: { enabled: false } }
+    },
+    plugins: [rangeBrushPlugin]
+  });
+}
+
+// Show sample indices [from, to] in the drill-down chart (null = everything), kept at least 5 samples wide
+function setTimelineRange(range) {
+  const chart = charts.stockTimeline;
+  if (!chart) return;
+  const last = chart.data.labels.length - 1;
+  if (range) {
+    const span = Math.min(last, Math.max(4, Math.round(range[1] - range[0])));
+    const from = Math.max(0, Math.min(last - span, Math.round(range[0])));
+    range = span >= last ? null : [from, from + span];
+  }
+  timelineRange = range;
+  chart.options.scales.x.min = range ? range[0] : undefined;
+  chart.options.scales.x.max = range ? range[1] : undefined;
+  chart.update('none');
+  if (charts.stockOverview) charts.stockOverview.update('none');
+}
+
+function currentTimelineRange() {
+  return timelineRange || [0, charts.stockTimeline.data.labels.length - 1];
+}
+
+stockTimelineCanvas.addEventListener('wheel', evt => {
+  const chart = charts.stockTimeline;
+  if (!chart) return;
+  evt.preventDefault();
+  const [lo, hi] = currentTimelineRange();
+  const center = Math.min(hi, Math.max(lo, chart.scales.x.getValueForPixel(evt.offsetX)));
+  const factor = evt.deltaY < 0 ? 0.8 : 1.25;
+  setTimelineRange([center - (center - lo) * factor, center - (center - lo) * factor + (hi - lo) * factor]);
+}, { passive: false });
+
+let timelinePan = null; // { x, range } while dragging the drill-down chart
+stockTimelineCanvas.addEventListener('mousedown', evt => {
+  if (charts.stockTimeline && timelineRange) timelinePan = { x: evt.offsetX, range: timelineRange };
+});
+stockTimelineCanvas.addEventListener('mousemove', evt => {
+  if (!timelinePan) return;
+  const [lo, hi] = timelinePan.range;
+  const shift = (timelinePan.x - evt.offsetX) / charts.stockTimeline.chartArea.width * (hi - lo);
+  setTimelineRange([lo + shift, hi + shift]);
+});
+window.addEventListener('mouseup', () => { timelinePan = null; });
+stockTimelineCanvas.addEventListener('dblclick', () => setTimelineRange(null));
+
+// brushing: drag across the overview strip to pick the date range shown above
+let brushDrag = null; // [start, end] sample indices while brushing
+const overviewIndex = evt => Math.round(charts.stockOverview.scales.x.getValueForPixel(evt.offsetX));
+stockOverviewCanvas.addEventListener('mousedown', evt => {
+  if (!charts.stockOverview) return;
+  brushDrag = [overviewIndex(evt), overviewIndex(evt)];
+});
+stockOverviewCanvas.addEventListener('mousemove', evt => {
+  if (!brushDrag) return;
+  brushDrag[1] = overviewIndex(evt);
+  charts.stockOverview.update('none');
+});
+stockOverviewCanvas.addEventListener('mouseup', () => {
+  if (!brushDrag) return;
+  const [a, b] = brushDrag;
+  brushDrag = null;
+  setTimelineRange(Math.abs(b - a) >= 2 ? [Math.min(a, b), Math.max(a, b)] : null);
+});
+stockOverviewCanvas.addEventListener('mouseleave', () => {
+  if (brushDrag) { brushDrag = null; charts.stockOverview.update('none'); }
+});
+
+// Attribution heatmap: one row per input column (symbol_feature), one cell per time step (oldest left).
+// Blue pushes the explained score up, red pushes it down; shading is relative to the largest |value|.
+function renderAttribution(values, symbol, date, horizon, note = '') {
+  explainHeatmap.innerHTML = '';
+  const names = preparedMeta.featureNames;
+  const T = values.length, C = names.length;
+  const maxAbs = Math.max(1e-12, ...values.flat().map(Math.abs));
+  const pooled = preparedMeta.sampleLayout === 'pooled';
+  // pooled inputs hold the explained symbol's own features plus market context and its id
+  const ownColumn = name => (pooled ? !name.startsWith('market_') && name !== 'symbol' : name.startsWith(`${symbol}_`));
+  const rowH = C <= 60 ? 14 : 6;
+  const labelW = rowH >= 14 ? 110 : 0;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(explainHeatmap.clientWidth || 800, labelW + T * 4);
+  canvas.height = C * rowH + 16;
+  canvas.style.width = '100%';
+  explainHeatmap.appendChild(canvas);
+
+  const ctx = canvas.getContext('2d');
+  const cellW = (canvas.width - labelW) / T;
+  ctx.font = '11px Arial';
+  ctx.textBaseline = 'middle';
+  for (let c = 0; c < C; c++) {
+    const y = c * rowH;
+    if (labelW) { ctx.fillStyle = ownColumn(names[c]) ? '#000' : '#777'; ctx.fillText(names[c], 2, y + rowH / 2); }
+    for (let t = 0; t < T; t++) {
+      const v = values[t][c];
+      ctx.fillStyle = `rgba(${v >= 0 ? '30,90,220' : '210,40,40'},${(Math.abs(v) / maxAbs).toFixed(3)})`;
+      ctx.fillRect(labelW + t * cellW, y, Math.max(1, cellW - 1), rowH - 1);
+    }
+  }
+  ctx.fillStyle = '#333';
+  ctx.fillText(`t-${T-1}`, labelW, C * rowH + 8);
+  ctx.fillText('t', canvas.width - 10, C * rowH + 8);
+
+  canvas.addEventListener('mousemove', evt => {
+    const rect = canvas.getBoundingClientRect();
+    const c = Math.floor((evt.clientY - rect.top) * canvas.height / rect.height / rowH);
+    const t = Math.floor(((evt.clientX - rect.left) * canvas.width / rect.width - labelW) / cellW);
+    canvas.title = c >= 0 && c < C && t >= 0 && t < T ? `${names[c]} t-${T-1-t}: ${values[t][c].toExponential(2)}` : '';
+  });
+
+  if (pooled) {
+    const columnTotal = c => values.reduce((acc, row) => acc + Math.abs(row[c]), 0);
+    // share of total |attribution| on the symbol's own history vs the market context
+    const own = names.reduce((acc, name, c) => acc + (ownColumn(name) ? columnTotal(c) : 0), 0);
+    const market = names.reduce((acc, name, c) => acc + (name.startsWith('market_') ? columnTotal(c) : 0), 0);
+    const total = own + market || 1;
+    explainSummary.textContent = `${symbol} on ${date}, ${horizon === null ? 'all horizons' : `t+${horizon + 1}`}${note}. ` +
+      `Attribution: own features ${(own / total * 100).toFixed(1)}%` +
+      (preparedMeta.marketContext ? `, market context ${(market / total * 100).toFixed(1)}%` : '') + ' (symbol id not attributed)';
+    return;
+  }
+
+  // share of total |attribution| per input symbol, to show whether the prediction leans on other stocks
+  const F = C / preparedMeta.symbols.length;
+  const bySymbol = preparedMeta.symbols.map((sym, s) => ({
+    sym, total: values.reduce((acc, row) => acc + row.slice(s * F, (s + 1) * F).reduce((a, v) => a + Math.abs(v), 0), 0)
+  }));
+  const total = bySymbol.reduce((a, b) => a + b.total, 0) || 1;
+  const top = bySymbol.sort((a, b) => b.total - a.total).slice(0, 5).map(b => `${b.sym} ${(b.total / total * 100).toFixed(1)}%`);
+  explainSummary.textContent = `${symbol} on ${date}, ${horizon === null ? 'all horizons' : `t+${horizon + 1}`}${note}. ` +
+    `Attribution by input symbol: ${top.join(', ')}`;
+}
+
+// importance bars for the selected output symbol plus a table of the mean over all output symbols
+function renderImportance() {
+  const s = Math.max(0, preparedMeta.symbols.indexOf(stockSelect.value));
+  const rows = importance.groups.map(g => ({ name: g.name, value: g.increase[s], mean: g.mean }))
+    .sort((a, b) => b.value - a.value);
+  const labels = rows.map(r => r.name);
+  importanceBox.style.height = `${Math.max(240, labels.length * 14)}px`;
+  if (charts.importance) charts.importance.destroy();
+  charts.importance = new Chart(importanceCanvas, {
     type: 'bar',
-    data: { labels: sampleDates.map(d=>d), datasets: [{ label: `${selected} correctness`, data, backgroundColor: bg }] },
+    data: { labels, datasets: [{ label: `Loss increase for ${preparedMeta.symbols[s]}`, data: rows.map(r => r.value) }] },
     options: {
-      animation:false,
-      plugins: { leg
+      indexAxis: 'y',
+      maintainAspectRatio: false,
+      animation: false,
+      scales: { y: { ticks: { autoSkip: false, font: { size: 10 } } } }
+    }
+  });
+  const byMean = importance.groups.slice().sort((a, b) => b.mean - a.mean);
+  importanceTable.innerHTML = '<thead><tr><th>Input</th><th>Mean loss increase (all symbols)</th></tr></thead><tbody>' +
+    byMean.map(g => `<tr><td>${escapeHtml(g.name)}</td><td>${g.mean.toExponential(2)}</td></tr>`).join('') + '</tbody>';
+}
+
+// Render forward forecast table: one row per symbol, one column per horizon. Cells show the
+// predicted direction/class with its probability, or the predicted return for regression.
+function renderForecastTable(rows, anchorDate) {
+  const h = rows.length ? rows[0].direction.length : 0;
+  forecastMeta.textContent = `Anchor date: ${anchorDate} (forecasting t+1..t+${h} trading days; target ${describeTarget(preparedMeta.target)})`;
+  const head = ['<tr><th>Symbol</th>'];
+  for (let k = 1; k <= h; k++) head.push(`<th>t+${k}</th>`);
+  head.push('</tr>');
+  const arrows = { up: '▲', above: '▲', down: '▼', below: '▼', flat: '▬' };
+  const body = rows.map(r => {
+    const cells = r.direction.map((dir, k) => {
+      const color = dir === 'flat' ? 'rgba(120,120,120,' : (arrows[dir] === '▲' ? 'rgba(0,160,80,' : 'rgba(200,40,40,');
+      if (r.returns) {
+        // shade by the size of the predicted move (2% or more -> solid)
+        const alpha = (Math.min(Math.abs(r.returns[k]) / 0.02, 1) * 0.6 + 0.1).toFixed(2);
+        const spread = r.std ? ` ± ${(r.std[k]*100).toFixed(2)}%` : '';
+        return `<td style="background:${color}${alpha})">${arrows[dir]} ${(r.returns[k]*100).toFixed(2)}%${spread}</td>`;
+      }
+      // shade cell by confidence (chance level -> transparent, 1.0 -> solid)
+      const chance = r.classProbs ? 1 / 3 : 0.5;
+      const alpha = ((r.confidence[k] - chance) / (1 - chance) * 0.6 + 0.1).toFixed(2);
+      const detail = r.classProbs
+        ? r.classProbs[k].map((p, c) => `P(${CLASS_NAMES[c]})=${p.toFixed(2)}`).join(', ')
+        : `P(${preparedMeta.target.mode === 'threshold' ? 'above' : 'up'})=${r.probs[k].toFixed(3)}, conf ${(r.confidence[k]*100).toFixed(1)}%`;
+      const spread = r.std ? `, std ${r.std[k].toFixed(3)}` : '';
+      return `<td style="background:${color}${alpha})">${arrows[dir]} ${dir} <span class="small">${detail}${spread}</span></td>`;
+    });
+    return `<tr><td>${escapeHtml(r.symbol)}</td>${cells.join('')}</tr>`;
+  });
+  forecastTable.innerHTML = `<thead>${head.join('')}</thead><tbody>${body.join('')}</tbody>`;
+}
+
+// Clear the prepared dataset and results (the worker keeps the loaded data until the next import;
+// its tensors are replaced when the next dataset is prepared)
+function clearState() {
+  dataset = null;
+  preparedMeta = null;
+  evalResults = null;
+  if (charts.accuracyBar) { charts.accuracyBar.destroy(); charts.accuracyBar = null; }
+  if (charts.stockTimeline) { charts.stockTimeline.destroy(); charts.stockTimeline = null; }
+  if (charts.stockOverview) { charts.stockOverview.destroy(); charts.stockOverview = null; }
+  if (charts.walkForward) { charts.walkForward.destroy(); charts.walkForward = null; }
+  walkForwardSummary.innerHTML = '';
+  if (charts.equity) { charts.equity.destroy(); charts.equity = null; }
+  if (charts.calibration) { charts.calibration.destroy(); charts.calibration = null; }
+  metricsTable.innerHTML = '';
+  baselineTable.innerHTML = '';
+  strategyTable.innerHTML = '';
+  stratBtn.disabled = true;
+  timelinesContainer.innerHTML = '';
+  horizonHeatmap.innerHTML = '';
+  stockStats.textContent = '';
+  forecastTable.innerHTML = '';
+  forecastMeta.textContent = '';
+  importance = null;
+  if (charts.importance) { charts.importance.destroy(); charts.importance = null; }
+  importanceTable.innerHTML = '';
+  explainHeatmap.innerHTML = '';
+  explainSummary.textContent = '';
+  qualityTable.innerHTML = '';
+  qualityWindowsTable.innerHTML = '';
+  appendMeta.textContent = '';
+  fineTuneTable.innerHTML = '';
+  appendBtn.disabled = true;
+  fineTuneBtn.disabled = true;
+  setExportEnabled(false);
+  compareSummary.textContent = '';
+  scoreTable.innerHTML = '';
+  scoreBtn.disabled = true;
+  renderUncertainty(null);
+}
@@ -0,0 +1,130 @@
+// backtest.js
+// ES module: trading strategy simulator driven by model probabilities, plus a buy-and-hold benchmark.
+// Exports: DEFAULT_STRATEGY, simulateStrategy, simulateBuyAndHold
+
+// Rules:
+// mode: 'longOnly' (long when P(up) > threshold) or 'longShort' (also short when P(up) < 1 - threshold)
+// topK: keep only the k most confident signals per rebalance (0 = no limit)
+// horizon: which model horizon (1..h) drives the signal; positions are held for that many days
+// costBps: transaction cost in basis points per unit of turnover
+export const DEFAULT_STRATEGY = { mode: 'longOnly', threshold: 0.5, topK: 0, horizon: 1, costBps: 10 };
+
+const TRADING_DAYS = 252;
+
+// equal-weight target positions for one rebalance from per-symbol probabilities
+function targetWeights(probs, { mode, threshold, topK }) {
+  let picks = [];
+  probs.forEach((p, s) => {
+    if (p > threshold) picks.push({ s, side: 1, conf: p });
+    else if (mode === 'longShort' && p < 1 - threshold) picks.push({ s, side: -1, conf: 1 - p });
+  });
+  if (topK > 0) picks = picks.sort((a, b) => b.conf - a.conf).slice(0, topK);
+  const w = new Array(probs.length).fill(0);
+  picks.forEach(({ s, side }) => { w[s] = side / picks.length; });
+  return w;
+}
+
+// close-to-close simple return for symbol series on day index d -> d+1 (0 when either close is missing)
+function dayReturn(series, d) {
+  const a = series[d], b = series[d + 1];
+  if (!a || !b || Number.isNaN(a.close) || Number.isNaN(b.close)) return 0;
+  return b.close / a.close - 1;
+}
+
+// equity curve statistics from daily portfolio returns
+function summarize(dailyReturns, dates) {
+  const equity = [1];
+  for (const r of dailyReturns) equity.push(equity[equity.length - 1] * (1 + r));
+  let peak = 1, maxDrawdown = 0;
+  for (const v of equity) { peak = Math.max(peak, v); maxDrawdown = Math.max(maxDrawdown, 1 - v / peak); }
+  const n = dailyReturns.length;
+  const mean = n ? dailyReturns.reduce((a, b) => a + b, 0) / n : 0;
+  const std = n ? Math.sqrt(dailyReturns.reduce((a, b) => a + (b - mean) ** 2, 0) / n) : 0;
+  return {
+    dates,
+    equity,
+    cumulativeReturn: equity[equity.length - 1] - 1,
+    sharpe: std > 0 ? (mean / std) * Math.sqrt(TRADING_DAYS) : 0,
+    maxDrawdown
+  };
+}
+
+// Simulate a strategy over the test period.
+// probArr: [N, S, h] predicted P(up) per test sample; anchors: [N] date index of each sample in
+// dataLoader.dates (chronological); dataLoader supplies symbols, dates and realized closes.
+// Positions are set at the close of a rebalance day and held for `horizon` trading days; the next
+// rebalance uses the first test sample on or after that day. Days without a test sample (gaps in the
+// anchors) are held through, so every day from the first anchor to the end is accrued, as in buy-and-hold.
+// Returns { dates, equity, cumulativeReturn, sharpe, maxDrawdown, hitRate, turnover, trades }
+export function simulateStrategy({ probArr, anchors, dataLoader, rules = DEFAULT_STRATEGY }) {
+  const cfg = { ...DEFAULT_STRATEGY, ...rules };
+  const h = probArr[0][0].length;
+  if (cfg.horizon < 1 || cfg.horizon > h) throw new Error(`Strategy horizon must be between 1 and ${h}`);
+  const series = dataLoader.symbols.map(sym => dataLoader.perSymbolSeries[sym]);
+  const lastDay = Math.min(anchors[anchors.length - 1] + cfg.horizon, dataLoader.dates.length - 1);
+
+  let weights = new Array(series.length).fill(0);
+  const dailyReturns = [];
+  const dates = [dataLoader.dates[anchors[0]]];
+  let turnover = 0, trades = 0, hits = 0, positions = 0;
+
+  let n = 0;
+  let day = anchors[0];
+  while (n < anchors.length && day < lastDay) {
+    // rebalance at the close of `day`
+    const target = targetWeights(probArr[n].map(p => p[cfg.horizon - 1]), cfg);
+    const traded = target.reduce((acc, w, s) => acc + Math.abs(w - weights[s]), 0);
+    turnover += traded;
+    trades += target.filter((w, s) => w !== weights[s]).length;
+    weights = target;
+    let cost = traded * cfg.costBps / 1e4;
+
+    // hold for `horizon` days, and on until the next rebalance day
+    const holdEnd = Math.min(day + cfg.horizon, lastDay);
+    while (n < anchors.length && anchors[n] < holdEnd) n++;
+    const nextDay = n < anchors.length ? Math.min(anchors[n], lastDay) : lastDay;
+    const periodReturn = new Array(series.length).fill(1);
+    for (let d = day; d < nextDay; d++) {
+      let r = 0;
+      series.forEach((ser, s) => {
+        const rs = dayReturn(ser, d);
+        r += weights[s] * rs;
+        periodReturn[s] *= 1 + rs;
+      });
+      dailyReturns.push(r - cost);
+      dates.push(dataLoader.dates[d + 1]);
+      cost = 0; // charged once, on the first day of the holding period
+    }
+    weights.forEach((w, s) => {
+      if (!w) return;
+      positions++;
+      if (Math.sign(w) === Math.sign(periodReturn[s] - 1)) hits++;
+    });
+
+    day = nextDay;
+  }
+
+  return {
+    ...summarize(dailyReturns, dates),
+    hitRate: positions ? hits / positions : 0,
+    turnover,
+    trades
+  };
+}
+
+// Equal-weight buy-and-hold of the same symbols over the same test period (no rebalancing)
+export function simulateBuyAndHold({ anchors, dataLoader, horizon = 1 }) {
+  const series = dataLoader.symbols.map(sym => dataLoader.perSymbolSeries[sym]);
+  const start = anchors[0];
+  const lastDay = Math.min(anchors[anchors.length - 1] + horizon, dataLoader.dates.length - 1);
+  const holdings = new Array(series.length).fill(1 / series.length);
+  const dailyReturns = [];
+  const dates = [dataLoader.dates[start]];
+  for (let d = start; d < lastDay; d++) {
+    const before = holdings.reduce((a, b) => a + b, 0);
+    series.forEach((ser, s) => { holdings[s] *= 1 + dayReturn(ser, d); });
+    dailyReturns.push(holdings.reduce((a, b) => a + b, 0) / before - 1);
+    dates.push(dataLoader.dates[d + 1]);
+  }
+  return summarize(dailyReturns, dates);
+}
@@ -0,0 +1,183 @@
+// cli.js
+// Node command-line runner for the same pipeline the page drives through the worker (pipeline.js).
+// Uses the CPU backend of @tensorflow/tfjs and papaparse from npm (pinned in package.json):
+//   npm install
+//
+// Usage: node cli.js <command> --data prices.csv [--data more.csv ...] [--config config.json]
+//                   [--model path/name] [--seed n] [--predictions out.csv|out.json]
+//   prepare   load + prepare the dataset, print its summary
+//   train     prepare + train, write <model>.json, <model>.weights.bin and <model>.manifest.json
+//             (the files the page's download button produces, so either side can load them)
+//   evaluate  prepare + load <model> + evaluate on the test split, print accuracies and metrics;
+//             --predictions also writes one row per test date, symbol and horizon (see report.js)
+//   forecast  prepare + load <model> + forecast from the latest window
+// Results are printed to stdout as JSON; log lines and progress go to stderr.
+//
+// config.json (every section and field optional; defaults match the page's controls; the page's
+// Configuration > Export JSON writes this format):
+//   { "seed": 42,
+//     "import": { "layout": "auto", "dateFormat": "auto", "mapping": {} },
+//     "data": { "sequenceLength": 12, "forecastHorizon": 3, "trainSplitPercent": 80, "symbols": [...],
+//               "features": {...}, "scaler": "...", "missing": {...}, "target": { "mode": "binary" },
+//               "sampleLayout": "joint" | "pooled", "marketContext": false },
+//     "model": { "architecture": "gru", "gruUnits": 64, "depth": 2, "dropout": 0, "recurrentDropout": 0,
+//                "learningRate": 0.001, "headMode": "shared", "embeddingDim": 8 },
+//     "training": { "epochs": 30, "batchSize": 32, "validationSplit": 0.1, "earlyStopping": null,
+//                   "lrSchedule": null, "lossOptions": null, "ensemble": null },
+//     "evaluation": { "threshold": 0.5, "uncertainty": null } }
+//   evaluation.uncertainty: null or { "method": "ensemble" | "mcDropout", "passes": 20 }; any other method
+//   is an error. evaluate/forecast load one saved model, so "ensemble" fails there: use "mcDropout"
+//   (passes = stochastic forward passes) with a model trained with dropout > 0.
+// The same config and seed give the same model as the page when its Backend setting is CPU
+// (WebGL float math differs in the last digits).
+import * as tf from '@tensorflow/tfjs';
+import Papa from 'papaparse';
+import { readFile, writeFile } from 'fs/promises';
+import { basename } from 'path';
+import { setRuntime } from './runtime.js';
+import { readSource } from './formats.js';
+import { runRequest, setLogger } from './pipeline.js';
+import { rowsToCSV, recordsToJSON } from './report.js';
+
+const COMMANDS = ['prepare', 'train', 'evaluate', 'forecast'];
+const DATA_DEFAULTS = { sequenceLength: 12, forecastHorizon: 3, trainSplitPercent: 80 };
+const TRAINING_DEFAULTS = { epochs: 30, batchSize: 32, ensemble: null };
+
+const log = (...args) => process.stderr.write(args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ') + '\n');
+
+// argv -> { command, data: string[], config, model, seed, predictions }
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command: ${command || '(none)'} (use ${COMMANDS.join(', ')})`);
+  const args = { command, data: [], config: null, model: 'model', seed: undefined, predictions: null };
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    const value = rest[++i];
+    if (value === undefined) throw new Error(`Missing value for ${flag}`);
+    if (flag === '--data') args.data.push(value);
+    else if (flag === '--config') args.config = value;
+    else if (flag === '--model') args.model = value.replace(/\.json$/, '');
+    else if (flag === '--seed') args.seed = value;
+    else if (flag === '--predictions') args.predictions = value;
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  if (!args.data.length) throw new Error('Pass at least one --data file');
+  return args;
+}
+
+// one pipeline request; progress lines go to stderr
+function call(type, payload = {}) {
+  let lastText = '';
+  return runRequest(type, payload, {
+    progress: (pct, text) => { if (text && text !== lastText) log(`[${Math.round(pct)}%] ${text}`); lastText = text; },
+    event: (name, data) => {
+      if (name === 'epoch') log(`epoch ${data.epoch}${data.member ? ` (member ${data.member + 1})` : ''}: loss ${data.loss.toFixed(4)}${data.val_loss !== undefined ? `, val_loss ${data.val_loss.toFixed(4)}` : ''}`);
+    },
+    transfer: () => {}
+  });
+}
+
+async function loadData(files, config) {
+  const sources = await Promise.all(files.map(async file => readSource(await readFile(file, 'utf8'), basename(file))));
+  await call('load', { sources, options: config.import || {} });
+  return call('prepare', { ...DATA_DEFAULTS, ...(config.data || {}) });
+}
+
+// the page's download layout: <name>.json (topology + weight manifest), <name>.weights.bin, <name>.manifest.json
+async function writeBundle(name, { artifacts, manifest }) {
+  const modelJson = {
+    modelTopology: artifacts.modelTopology,
+    format: artifacts.format,
+    generatedBy: artifacts.generatedBy,
+    convertedBy: artifacts.convertedBy,
+    userDefinedMetadata: artifacts.userDefinedMetadata,
+    weightsManifest: [{ paths: [`./${basename(name)}.weights.bin`], weights: artifacts.weightSpecs }]
+  };
+  const weights = Buffer.concat([].concat(artifacts.weightData).map(buf => Buffer.from(buf)));
+  await writeFile(`${name}.json`, JSON.stringify(modelJson));
+  await writeFile(`${name}.weights.bin`, weights);
+  await writeFile(`${name}.manifest.json`, JSON.stringify(manifest, null, 2));
+}
+
+async function readBundle(name) {
+  const modelJson = JSON.parse(await readFile(`${name}.json`, 'utf8'));
+  const weights = await readFile(`${name}.weights.bin`);
+  const manifest = await readFile(`${name}.manifest.json`, 'utf8').then(JSON.parse, () => null);
+  const artifacts = {
+    modelTopology: modelJson.modelTopology,
+    format: modelJson.format,
+    generatedBy: modelJson.generatedBy,
+    convertedBy: modelJson.convertedBy,
+    userDefinedMetadata: modelJson.userDefinedMetadata,
+    weightSpecs: modelJson.weightsManifest.flatMap(group => group.weights),
+    weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+  };
+  return { artifacts, manifest };
+}
+
+// load the model bundle and check it against the prepared data (re-prepared with the model's
+// symbols, target and normalization, as on the page)
+async function loadModel(name, trainSplitPercent) {
+  await call('loadArtifacts', await readBundle(name));
+  const check = await call('checkModel', { trainSplitPercent });
+  if (check.problems.length) throw new Error(`Model is incompatible with this dataset: ${check.problems.join('; ')}`);
+  return check;
+}
+
+const perSymbol = (symbols, values) => Object.fromEntries(symbols.map((sym, s) => [sym, values[s]]));
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = args.config ? JSON.parse(await readFile(args.config, 'utf8')) : {};
+  const seed = args.seed !== undefined ? args.seed : config.seed;
+  setRuntime({ tf, Papa });
+  setLogger(log);
+  await call('backend', { name: 'cpu' });
+
+  const prepared = await loadData(args.data, config);
+  const { meta } = prepared;
+  const trainSplitPercent = { ...DATA_DEFAULTS, ...(config.data || {}) }.trainSplitPercent;
+  const evaluation = { threshold: 0.5, uncertainty: null, ...(config.evaluation || {}) };
+  let result;
+  if (args.command === 'prepare') {
+    result = { meta, normalization: prepared.normalization, missingStrategy: prepared.missingStrategy, quality: prepared.quality };
+  } else if (args.command === 'train') {
+    const { epochs, batchSize, ensemble, ...trainingOptions } = { ...TRAINING_DEFAULTS, ...(config.training || {}) };
+    const history = await call('train', { modelConfig: config.model || {}, epochs, batchSize, trainingOptions, ensemble, seed });
+    await writeBundle(args.model, await call('exportModel'));
+    log(`Wrote ${args.model}.json, ${args.model}.weights.bin and ${args.model}.manifest.json`);
+    result = { ...history, fingerprint: meta.fingerprint.hash, modelFiles: `${args.model}.json` };
+  } else if (args.command === 'evaluate') {
+    const { dataset } = await loadModel(args.model, trainSplitPercent);
+    const res = await call('evaluate', { ...evaluation, seed });
+    const symbols = dataset.meta.symbols;
+    result = {
+      targetMode: res.targetMode,
+      testSamples: dataset.meta.testSamples,
+      dataWarning: res.dataWarning,
+      overallAcc: res.overallAcc,
+      perHorizonAcc: res.perHorizonAcc,
+      perStockAcc: perSymbol(symbols, res.perStockAcc),
+      perStockHorizonAcc: perSymbol(symbols, res.perStockHorizonAcc),
+      summary: res.summary,
+      metrics: res.metrics,
+      uncertainty: res.uncertainty && { method: res.uncertainty.method, samples: res.uncertainty.samples, meanStd: res.uncertainty.meanStd, coverage: res.uncertainty.coverage }
+    };
+    if (args.predictions) {
+      const { records, targetMode, target } = await call('predictions');
+      await writeFile(args.predictions, /\.json$/i.test(args.predictions)
+        ? recordsToJSON(records, { targetMode, target, symbols, forecastHorizon: dataset.meta.forecastHorizon, fingerprint: dataset.meta.fingerprint, config })
+        : rowsToCSV(records));
+      log(`Wrote ${records.length} prediction rows to ${args.predictions}`);
+    }
+  } else {
+    await loadModel(args.model, trainSplitPercent);
+    result = await call('forecast', { uncertainty: evaluation.uncertainty, seed });
+  }
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+main().catch(err => {
+  log(`Error: ${err.message || err}`);
+  process.exitCode = 1;
+});
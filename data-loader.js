@@ -1,15 +1,57 @@
 // data-loader.js
-// ES module that parses CSV, pivots data, normalizes and prepares sliding-window tensors.
-// Exports: DataLoader class
+// ES module that parses CSV/JSON input (layouts in formats.js), pivots data, builds features, normalizes and prepares sliding-window tensors.
+// Exports: DataLoader class, SAMPLE_LAYOUTS
+import { RAW_COLUMNS, DEFAULT_FEATURE_CONFIG, normalizeFeatureConfig, featureSpecs, computeFeatureMatrix } from './features.js';
+import { SCALERS, fitScaler, applyScaler } from './scalers.js';
+import { MISSING_STRATEGIES, DEFAULT_MISSING_CONFIG, fillSeries, symbolQuality } from './missing-data.js';
+import { readSource, importRows } from './formats.js';
+import { DEFAULT_TARGET, TARGET_MODES, outputsPerStep, targetLabel, encodeLabel, describeTarget } from './targets.js';
+import { tf } from './runtime.js';
+
+// How windows become samples:
+//   joint:  one sample per date, all symbols side by side ([seq, S*F] -> S*h*K outputs)
+//   pooled: one sample per date and symbol ([seq, F (+ F market context) + 1 symbol id] -> h*K outputs),
+//           rows date-major so S consecutive rows are one joint sample
+export const SAMPLE_LAYOUTS = {
+  joint: 'Joint (all symbols per sample)',
+  pooled: 'Pooled (one sample per symbol and date)'
+};
+
+// Whether a symbol can anchor a sample at date index i: parsed (unfilled) closes on the anchor day and the
+// h target days, and no value on the anchor day filled from a later day (lookahead, see fillSeries)
+function observedAnchor(raw, lookahead, i, h) {
+  if (i + h >= raw.length || lookahead[i]) return false;
+  for (let k = 0; k <= h; k++) {
+    if (Number.isNaN(raw[i + k].close)) return false;
+  }
+  return true;
+}
+
 export class DataLoader {
-  constructor({ sequenceLength = 12, forecastHorizon = 3 } = {}) {
+  constructor({ sequenceLength = 12, forecastHorizon = 3, features = DEFAULT_FEATURE_CONFIG, scaler = 'minmax', missing = DEFAULT_MISSING_CONFIG,
+                target = DEFAULT_TARGET, sampleLayout = 'joint', marketContext = false } = {}) {
     this.sequenceLength = sequenceLength;
     this.forecastHorizon = forecastHorizon; // 3
+    this.featureConfig = features; // see features.js
+    this.scaler = scaler; // see scalers.js
+    this.missingConfig = missing; // see missing-data.js
+    this.target = target; // label definition, see targets.js
+    this.sampleLayout = sampleLayout; // see SAMPLE_LAYOUTS
+    this.marketContext = marketContext; // pooled: append the cross-sectional mean of every feature
     this.raw = null;
-    this.symbols = [];
+    this.symbols = []; // symbols in use (selection, then coverage threshold)
+    this.allSymbols = []; // every symbol in the CSV
+    this.selectedSymbols = null; // symbols picked by the user; null = all
     this.dates = []; // sorted
-    this.perSymbolSeries = {}; // symbol -> array of {date, open, close}
-    this.normalizers = {}; // symbol -> {openMin, openMax, closeMin, closeMax}
+    this.rawSeries = {}; // symbol -> series as parsed, NaN where a date has no row
+    this.perSymbolSeries = {}; // symbol -> array of {date, open, high, low, close, adjClose, volume}, gaps filled per missingConfig
+    this.missingMask = {}; // symbol -> number[D], 1 where the parsed row had no close
+    this.lookaheadMask = {}; // symbol -> number[D], 1 where a value was filled from a later day
+    this.availableColumns = new Set(); // raw columns present in the CSV
+    this.featureSpecs = []; // [{name, scaled}] per feature column, per symbol
+    this.featureSeries = {}; // symbol -> [dates, features] unscaled feature matrix
+    this.normalizers = {}; // symbol -> { featureName: scaler state } for scaled features, fitted on train windows only
+    this.normalizerFitRange = null; // { start, end } dates the scalers were fitted on
     this.X_train = null; this.y_train = null; this.X_test = null; this.y_test = null;
     this.trainIndices = null; // metadata
     this.testIndices = null;
@@ -18,109 +60,257 @@ export class DataLoader {
   log(...args) { if (this.logger) this.logger(...args); }
   setLogger(fn){ this.logger = fn; }
 
-  // Accept File object from input
-  async loadFromFile(file) {
+  // Accept File object from input. options: { layout, mapping, dateFormat } (see formats.js)
+  async loadFromFile(file, options = {}) {
     if (!file) throw new Error("No file provided");
-    const text = await file.text();
-    return this.loadFromCSVText(text);
+    return this.loadFromFiles([file], options);
   }
 
-  // Accept raw CSV text
-  async loadFromCSVText(csvText) {
-    this.log("Parsing CSV...");
-    const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-    if (parsed.errors && parsed.errors.length) {
-      this.log("CSV parse errors:", parsed.errors.slice(0,5));
-    }
-    const rows = parsed.data.map(r => ({
-      Date: (r.Date || r.date || r.datetime || r.Timestamp || r.timestamp || "").trim(),
-      Symbol: (r.Symbol || r.symbol || r.Ticker || r.ticker || "").trim(),
-      Open: parseFloat(r.Open || r.open || r.O || r.o),
-      Close: parseFloat(r.Close || r.close || r.C || r.c)
-    })).filter(r => r.Date && r.Symbol && !Number.isNaN(r.Open) && !Number.isNaN(r.Close));
+  // Several files at once, e.g. one CSV per ticker (symbol from the file name) or a dropped folder
+  async loadFromFiles(files, options = {}) {
+    const list = Array.from(files || []);
+    if (!list.length) throw new Error("No file provided");
+    const sources = [];
+    for (const file of list) sources.push(readSource(await file.text(), file.name));
+    return this.loadFromSources(sources, options);
+  }
 
-    if (!rows.length) throw new Error("No valid rows in CSV");
+  // Accept raw CSV text (JSON / NDJSON text is detected as well)
+  async loadFromCSVText(csvText, options = {}) {
+    return this.loadFromSources([readSource(csvText, options.name || 'data.csv')], options);
+  }
 
-    // Normalize date strings -> ISO (try common formats)
-    rows.forEach(r => {
-      // try Date.parse
-      const d = new Date(r.Date);
-      if (isNaN(d)) {
-        // try splitting common formats like dd/mm/yyyy or dd-mm-yyyy
-        const mm = r.Date.replace(/\./g,'-').replace(/\//g,'-').trim();
-        const d2 = new Date(mm);
-        if (!isNaN(d2)) r.Date = d2.toISOString().slice(0,10);
-        else r.Date = r.Date; // leave as-is
-      } else {
-        r.Date = d.toISOString().slice(0,10);
-      }
-    });
+  // Parsed sources from formats.readSource -> canonical rows -> pivoted per-symbol series
+  async loadFromSources(sources, options = {}) {
+    this.log(`Parsing ${sources.length} file(s)...`);
+    sources.forEach(src => { if (src.parseErrors.length) this.log(`${src.name} parse errors:`, src.parseErrors); });
+    const imported = importRows(sources, options);
+    this.log(`Layout: ${[...new Set(imported.layouts)].join(', ')}. Date format: ${imported.dateFormat}${imported.ambiguousDates ? ' (ambiguous day/month order, pick the format explicitly if wrong)' : ''}.`);
+    const unparseableDates = imported.unparseableDates;
+    if (unparseableDates) this.log(`Skipped ${unparseableDates} rows with unparseable dates.`);
+    const rows = imported.rows.filter(r => r.Symbol && !Number.isNaN(r.Open) && !Number.isNaN(r.Close));
+
+    if (!rows.length) throw new Error("No valid rows in input (need a date, symbol, open and close per row)");
 
     // collect symbols and dates
     const symbolSet = new Set();
     const dateSet = new Set();
     rows.forEach(r => { symbolSet.add(r.Symbol); dateSet.add(r.Date); });
 
-    this.symbols = Array.from(symbolSet).sort();
+    this.allSymbols = Array.from(symbolSet).sort();
+    this.selectedSymbols = null;
     this.dates = Array.from(dateSet).sort((a,b) => new Date(a)-new Date(b));
-    if (this.symbols.length !== 10) {
-      this.log(`Warning: found ${this.symbols.length} distinct symbols (expected 10).`);
+
+    // index rows by sym+date for fast lookup (a repeated symbol/date keeps the last row)
+    const lookup = new Map();
+    let duplicates = 0;
+    rows.forEach(r => {
+      const key = `${r.Symbol}||${r.Date}`;
+      if (lookup.has(key)) duplicates++;
+      lookup.set(key, { open: r.Open, high: r.High, low: r.Low, close: r.Close, adjClose: r.AdjClose, volume: r.Volume });
+    });
+    if (duplicates) this.log(`Found ${duplicates} duplicate symbol/date rows; kept the last of each.`);
+
+    // pivot: one entry per date for every symbol, NaN where the symbol has no row
+    const missing = { open: NaN, high: NaN, low: NaN, close: NaN, adjClose: NaN, volume: NaN };
+    this.rawSeries = {};
+    for (const sym of this.allSymbols) {
+      this.rawSeries[sym] = this.dates.map(date => ({ date, ...(lookup.get(`${sym}||${date}`) || missing) }));
     }
 
-    // pivot: build perSymbolSeries with complete dates if possible
+    // a raw column counts as available if any row has a value for it
+    this.availableColumns = new Set(RAW_COLUMNS.filter(col =>
+      this.allSymbols.some(sym => this.rawSeries[sym].some(v => !Number.isNaN(v[col])))));
+
+    this.raw = {
+      rows,
+      parsedCount: rows.length,
+      csvRows: imported.totalRows,
+      invalidRows: imported.totalRows - unparseableDates - rows.length, // no date, symbol, open or close
+      unparseableDates,
+      duplicates,
+      layouts: imported.layouts,
+      dateFormat: imported.dateFormat
+    };
+    this.applyMissingData();
+    this.log(`Parsed ${rows.length} rows. Symbols: ${this.allSymbols.length}. Dates: ${this.dates.length}. Columns: ${[...this.availableColumns].join(', ')}.`);
+    return { symbols: this.symbols, dates: this.dates };
+  }
+
+  // Restrict the dataset to a subset of the loaded symbols (null = all). Takes effect on the next prepare.
+  selectSymbols(symbols) {
+    if (!symbols) { this.selectedSymbols = null; return this.allSymbols; }
+    const unknown = symbols.filter(sym => !this.rawSeries[sym]);
+    if (unknown.length) throw new Error(`Unknown symbols: ${unknown.join(', ')}`);
+    if (!symbols.length) throw new Error("No symbols selected.");
+    const picked = new Set(symbols);
+    this.selectedSymbols = this.allSymbols.filter(sym => picked.has(sym)); // keep CSV (sorted) order
+    return this.selectedSymbols;
+  }
+
+  // Drop symbols below config.minCoverage and fill gaps in the rest (see missing-data.js).
+  // Sets symbols, perSymbolSeries, missingMask and lookaheadMask; features must be recomputed afterwards.
+  applyMissingData(config = this.missingConfig) {
+    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+    const resolved = { ...DEFAULT_MISSING_CONFIG, ...config };
+    if (!MISSING_STRATEGIES[resolved.strategy]) throw new Error(`Unknown missing-data strategy: ${resolved.strategy}`);
+    const candidates = this.selectedSymbols || this.allSymbols;
+    const kept = candidates.filter(sym => symbolQuality(this.rawSeries[sym]).coverage >= resolved.minCoverage);
+    if (!kept.length) throw new Error(`No symbol reaches the ${(resolved.minCoverage*100).toFixed(0)}% coverage threshold.`);
+    const dropped = candidates.filter(sym => !kept.includes(sym));
+    if (dropped.length) this.log(`Dropped symbols below ${(resolved.minCoverage*100).toFixed(0)}% coverage: ${dropped.join(', ')}`);
+    this.missingConfig = resolved;
+    this.symbols = kept;
     this.perSymbolSeries = {};
-    for (const sym of this.symbols) this.perSymbolSeries[sym] = [];
+    this.missingMask = {};
+    this.lookaheadMask = {};
+    for (const sym of kept) {
+      const { series, missing, lookahead } = fillSeries(this.rawSeries[sym], resolved);
+      this.perSymbolSeries[sym] = series;
+      this.missingMask[sym] = missing;
+      this.lookaheadMask[sym] = lookahead;
+    }
+    return this.symbols;
+  }
 
-    // index rows by sym+date for fast lookup
-    const lookup = new Map();
-    rows.forEach(r => lookup.set(`${r.Symbol}||${r.Date}`, { open: r.Open, close: r.Close }));
+  // Data-quality report for the loaded CSV: parse problems, per-symbol coverage/gaps and the number
+  // of sliding windows each missing-data strategy keeps with the current window/feature settings.
+  dataQualityReport() {
+    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+    const current = this.missingConfig;
+    const windowsByStrategy = {};
+    const logger = this.logger;
+    this.logger = null; // the scan re-applies every strategy; keep its drop messages out of the log
+    try {
+      for (const strategy of Object.keys(MISSING_STRATEGIES)) {
+        this.applyMissingData({ ...current, strategy });
+        this.computeFeatures(this.featureConfig);
+        windowsByStrategy[strategy] = this.collectAnchors().length;
+      }
+    } finally {
+      this.applyMissingData(current);
+      this.computeFeatures(this.featureConfig);
+      this.logger = logger;
+    }
+    return {
+      csvRows: this.raw.csvRows,
+      invalidRows: this.raw.invalidRows,
+      unparseableDates: this.raw.unparseableDates,
+      duplicates: this.raw.duplicates,
+      dates: this.dates.length,
+      symbols: this.allSymbols.map(symbol => ({
+        symbol,
+        ...symbolQuality(this.rawSeries[symbol]),
+        selected: !this.selectedSymbols || this.selectedSymbols.includes(symbol),
+        used: this.symbols.includes(symbol)
+      })),
+      windowsByStrategy
+    };
+  }
 
-    // For each date and symbol, if missing skip (we will allow only samples with full windows)
+  // Content fingerprint of the raw data behind the symbols in use: FNV-1a (32-bit, hex) over the symbol
+  // names, dates and raw values, so runs and saved models can tell whether they saw the same data.
+  fingerprint() {
+    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+    let hash = 0x811c9dc5;
+    const mixByte = b => { hash = Math.imul(hash ^ b, 0x01000193); };
+    const mixText = str => { for (let i = 0; i < str.length; i++) { const c = str.charCodeAt(i); mixByte(c & 0xff); mixByte(c >>> 8); } mixByte(0); };
+    const values = new Float64Array(RAW_COLUMNS.length);
+    const bytes = new Uint8Array(values.buffer);
+    this.dates.forEach(mixText);
     for (const sym of this.symbols) {
-      for (const date of this.dates) {
-        const v = lookup.get(`${sym}||${date}`);
-        if (v) this.perSymbolSeries[sym].push({ date, open: v.open, close: v.close });
-        else this.perSymbolSeries[sym].push({ date, open: NaN, close: NaN });
+      mixText(sym);
+      for (const row of this.rawSeries[sym]) {
+        RAW_COLUMNS.forEach((col, k) => { values[k] = row[col]; });
+        for (let i = 0; i < bytes.length; i++) mixByte(bytes[i]);
       }
     }
+    return {
+      hash: (hash >>> 0).toString(16).padStart(8, '0'),
+      symbols: this.symbols.length,
+      dates: this.dates.length,
+      firstDate: this.dates[0],
+      lastDate: this.dates[this.dates.length - 1]
+    };
+  }
+
+  // Run the feature pipeline for every symbol (unscaled). The 'mask' strategy appends a 0/1
+  // "missing" column so the model can tell filled days from real ones.
+  computeFeatures(config = this.featureConfig) {
+    const { config: resolved, dropped } = normalizeFeatureConfig(config, this.availableColumns);
+    if (dropped.length) this.log(`Features not available in this CSV, skipped: ${dropped.join(', ')}`);
+    const mask = this.missingConfig.strategy === 'mask';
+    this.featureConfig = resolved;
+    this.featureSpecs = featureSpecs(resolved);
+    if (mask) this.featureSpecs.push({ name: 'missing', scaled: false });
+    this.featureSeries = {};
+    for (const sym of this.symbols) {
+      const matrix = computeFeatureMatrix(this.perSymbolSeries[sym], resolved);
+      this.featureSeries[sym] = mask ? matrix.map((row, t) => [...row, this.missingMask[sym][t]]) : matrix;
+    }
+    return this.featureSpecs;
+  }
 
-    // Clean rows with NaNs by marking them - we'll only create samples with no NaNs
-    // compute normalizers per symbol on available values
+  // Fit per-symbol scalers for the scaled (raw price/volume) features on days [start, end] only,
+  // so nothing from the test period leaks into the inputs. Derived features are scale-free and pass through.
+  fitNormalizers(start, end, scaler = this.scaler) {
+    if (!SCALERS[scaler]) throw new Error(`Unknown scaler: ${scaler}`);
+    this.scaler = scaler;
     this.normalizers = {};
     for (const sym of this.symbols) {
-      const arr = this.perSymbolSeries[sym];
-      const opens = arr.map(a=>a.open).filter(v=>!Number.isNaN(v));
-      const closes = arr.map(a=>a.close).filter(v=>!Number.isNaN(v));
-      const openMin = Math.min(...opens), openMax = Math.max(...opens);
-      const closeMin = Math.min(...closes), closeMax = Math.max(...closes);
-      // protect against zero range
-      this.normalizers[sym] = {
-        openMin: openMin, openMax: openMax === openMin ? openMin + 1e-6 : openMax,
-        closeMin: closeMin, closeMax: closeMax === closeMin ? closeMin + 1e-6 : closeMax
-      };
-    }
-
-    this.raw = { rows, parsedCount: rows.length };
-    this.log(`Parsed ${rows.length} rows. Symbols: ${this.symbols.length}. Dates: ${this.dates.length}.`);
-    return { symbols: this.symbols, dates: this.dates };
+      const matrix = this.featureSeries[sym];
+      const norm = {};
+      this.featureSpecs.forEach((spec, f) => {
+        if (!spec.scaled) return;
+        norm[spec.name] = fitScaler(scaler, matrix.slice(start, end + 1).map(row => row[f]));
+      });
+      this.normalizers[sym] = norm;
+    }
+    this.normalizerFitRange = { start: this.dates[start], end: this.dates[end] };
+    return this.normalizers;
   }
 
-  // Create sliding-window dataset given trainSplitPercent (chronological)
-  prepareDataset({ trainSplitPercent = 80 } = {}) {
-    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+  // Serializable scaler state, stored with a saved model so the same normalization can be reused
+  getNormalizationState() {
+    return {
+      scaler: this.scaler,
+      fitRange: this.normalizerFitRange,
+      featureConfig: this.featureConfig,
+      symbols: this.symbols.slice(),
+      normalizers: this.normalizers
+    };
+  }
+
+  // Adopt previously fitted scaler state (see getNormalizationState) instead of fitting
+  setNormalizationState(state) {
+    const missing = this.symbols.filter(sym => !state.normalizers[sym]);
+    if (missing.length) throw new Error(`Saved normalization has no scaler state for: ${missing.join(', ')}`);
+    this.scaler = state.scaler;
+    this.normalizers = state.normalizers;
+    this.normalizerFitRange = state.fitRange;
+  }
+
+  // true if every feature of every symbol is present over days [start, end]
+  windowComplete(start, end) {
+    for (const sym of this.symbols) {
+      const matrix = this.featureSeries[sym];
+      for (let t = start; t <= end; t++) {
+        if (matrix[t].some(v => Number.isNaN(v))) return false;
+      }
+    }
+    return true;
+  }
+
+  // Valid anchor indices: every feature of the seq-day window present, and every symbol observed on the
+  // anchor day and the h target days (see observedAnchor: labels never come from filled closes).
+  // Anchor index i refers to date D_i; inputs use days i - sequenceLength + 1 .. i
+  // and outputs compare Close(t+offset) > Close(D) for offset 1..h -> need up to i + forecastHorizon
+  collectAnchors() {
     const S = this.symbols.length;
     const D = this.dates.length;
-
-    // For each possible index idx that corresponds to day D_i as the "anchor D"
-    // anchor index i refers to date D_i; we need previous sequenceLength days: i - sequenceLength + 1 .. i
-    // but user asked: Input: for each date D provide last 12 days' features (so anchor is D, using last 12 days up to D)
-    // and outputs compare Close(t+offset) > Close(D) for offset 1..3 -> need up to i + forecastHorizon
     const seq = this.sequenceLength;
     const h = this.forecastHorizon;
-
-    const inputSamples = [];
-    const outputSamples = [];
-    const sampleDates = []; // anchor date for each sample (D)
+    const anchors = [];
 
     for (let i = 0; i < D; i++) {
       const seqStart = i - seq + 1;
@@ -129,93 +319,413 @@ export class DataLoader {
       if (futureEnd >= D) continue;
 
       // check if any NaN in required data
-      let bad = false;
-      // also we need close(D) per symbol
-      for (let s = 0; s < S; s++) {
-        for (let t = seqStart; t <= i; t++) {
-          const v = this.perSymbolSeries[this.symbols[s]][t];
-          if (Number.isNaN(v.open) || Number.isNaN(v.close)) { bad = true; break; }
-        }
-        // check future close existence for offsets 1..h
-        for (let offset = 1; offset <= h; offset++) {
-          const v2 = this.perSymbolSeries[this.symbols[s]][i + offset];
-          if (!v2 || Number.isNaN(v2.close)) { bad = true; break; }
-        }
-        if (bad) break;
+      let bad = !this.windowComplete(seqStart, i);
+      // also we need real closes on D and D+1..D+h per symbol
+      for (let s = 0; s < S && !bad; s++) {
+        const sym = this.symbols[s];
+        if (!observedAnchor(this.rawSeries[sym], this.lookaheadMask[sym], i, h)) bad = true;
       }
       if (bad) continue;
+      anchors.push(i);
+    }
+    return anchors;
+  }
 
-      // Build input: shape [seq, S*2]
-      const sampleInput = [];
-      for (let t = seqStart; t <= i; t++) {
-        const row = [];
-        for (let s = 0; s < S; s++) {
-          const v = this.perSymbolSeries[this.symbols[s]][t];
-          const norm = this.normalizers[this.symbols[s]];
-          // min-max normalize per-feature per stock
-          const on = (v.open - norm.openMin) / (norm.openMax - norm.openMin);
-          const cn = (v.close - norm.closeMin) / (norm.closeMax - norm.closeMin);
-          row.push(on, cn);
-        }
-        sampleInput.push(row);
-      }
+  // Build { X: [n, seq, S*F], y: [n, S*h*K], dates } for the given anchors with the current normalizers
+  // (K = outputs per step of the target, see targets.js); the pooled layout gives X [n*S, seq, width] and
+  // y [n*S, h*K] with the same label values. Caller owns (and must dispose) the returned tensors.
+  buildTensors(anchors) {
+    const S = this.symbols.length;
+    const h = this.forecastHorizon;
+    const K = outputsPerStep(this.target);
+    const pooled = this.sampleLayout === 'pooled';
+    const inputSamples = [];
+    const outputSamples = [];
+    const sampleDates = []; // anchor date for each sample (D)
 
-      // Build output: for each stock, for offsets 1..h, label = Close(t+offset) > Close(D) ? 1 : 0
-      const sampleOutput = [];
-      for (let s = 0; s < S; s++) {
-        const closeD = this.perSymbolSeries[this.symbols[s]][i].close;
-        for (let offset = 1; offset <= h; offset++) {
-          const futureClose = this.perSymbolSeries[this.symbols[s]][i + offset].close;
-          sampleOutput.push(futureClose > closeD ? 1 : 0);
-        }
+    for (const i of anchors) {
+      // Build output: for each stock, for offsets 1..h, the target of r = Close(t+offset) / Close(D) - 1
+      const labels = this.symbols.map(sym => this.windowLabels(this.rawSeries[sym], i));
+      if (pooled) {
+        inputSamples.push(...this.buildPooledWindows(i));
+        outputSamples.push(...labels);
+      } else {
+        inputSamples.push(this.buildInputWindow(i)); // [seq, S*F]
+        outputSamples.push(labels.flat());
       }
-
-      inputSamples.push(sampleInput);
-      outputSamples.push(sampleOutput);
       sampleDates.push(this.dates[i]); // anchor date
     }
 
-    if (!inputSamples.length) throw new Error("No valid sliding-window samples could be constructed (missing data or short series).");
+    const rows = anchors.length * this.rowsPerSample;
+    return {
+      X: tf.tensor3d(inputSamples, [rows, this.sequenceLength, this.inputWidth()]),
+      y: tf.tensor2d(outputSamples, [rows, (pooled ? 1 : S) * h * K]),
+      dates: sampleDates
+    };
+  }
+
+  // Encoded targets of one symbol's raw (unfilled) series at anchor i for offsets 1..h: number[h*K]
+  windowLabels(series, i) {
+    const labels = [];
+    for (let offset = 1; offset <= this.forecastHorizon; offset++) {
+      labels.push(...encodeLabel(targetLabel(series[i + offset].close / series[i].close - 1, this.target), this.target));
+    }
+    return labels;
+  }
+
+  // model rows per date sample: S for the pooled layout, 1 for the joint one
+  get rowsPerSample() {
+    return this.sampleLayout === 'pooled' ? this.symbols.length : 1;
+  }
+
+  // values per time step of one input row
+  inputWidth() {
+    const F = this.featureSpecs.length;
+    return this.sampleLayout === 'pooled' ? F * (this.marketContext ? 2 : 1) + 1 : this.symbols.length * F;
+  }
+
+  // names of the inputWidth() columns
+  inputFeatureNames() {
+    const names = this.featureSpecs.map(spec => spec.name);
+    if (this.sampleLayout !== 'pooled') return this.symbols.flatMap(sym => names.map(name => `${sym}_${name}`));
+    return [...names, ...(this.marketContext ? names.map(name => `market_${name}`) : []), 'symbol'];
+  }
+
+  // Create sliding-window dataset given trainSplitPercent (chronological)
+  // features: optional feature config override (see features.js)
+  // scaler: scaler type (see scalers.js), fitted on the training windows only
+  // normalization: saved state from getNormalizationState(); reused as-is instead of fitting
+  // missing: { strategy, maxGap, minCoverage } (see missing-data.js)
+  // symbols: subset of the loaded symbols to use (see selectSymbols); default keeps the current selection
+  // target: { mode, threshold, deadBand } label definition (see targets.js)
+  // sampleLayout / marketContext: see SAMPLE_LAYOUTS
+  prepareDataset({ trainSplitPercent = 80, features = this.featureConfig, scaler = this.scaler, normalization = null,
+                   missing = this.missingConfig, symbols = this.selectedSymbols, target = this.target,
+                   sampleLayout = this.sampleLayout, marketContext = this.marketContext } = {}) {
+    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+    if (!TARGET_MODES[target.mode]) throw new Error(`Unknown target mode: ${target.mode}`);
+    if (!SAMPLE_LAYOUTS[sampleLayout]) throw new Error(`Unknown sample layout: ${sampleLayout}`);
+    this.target = { ...DEFAULT_TARGET, ...target };
+    this.sampleLayout = sampleLayout;
+    this.marketContext = sampleLayout === 'pooled' && !!marketContext;
+    this.selectSymbols(symbols);
+    this.applyMissingData(missing);
+    this.computeFeatures(normalization ? normalization.featureConfig : features);
+    const seq = this.sequenceLength;
+
+    const anchors = this.collectAnchors(); // anchor index for each valid sample
+    if (!anchors.length) throw new Error("No valid sliding-window samples could be constructed (missing data or short series).");
 
     // chronological split
-    const total = inputSamples.length;
+    const total = anchors.length;
     const trainCount = Math.round((trainSplitPercent/100) * total);
-    const X = tf.tensor3d(inputSamples); // shape [samples, seq, S*2]
-    const y = tf.tensor2d(outputSamples); // shape [samples, S*h]
 
-    // split
-    const X_train = X.slice([0,0,0],[trainCount, seq, S*2]);
-    const X_test = X.slice([trainCount,0,0],[total - trainCount, seq, S*2]);
-    const y_train = y.slice([0,0],[trainCount, S*h]);
-    const y_test = y.slice([trainCount,0],[total - trainCount, S*h]);
+    // fit scalers on the days covered by training inputs only
+    if (normalization) this.setNormalizationState(normalization);
+    else {
+      if (!trainCount) throw new Error("Train split is empty; cannot fit normalization.");
+      this.fitNormalizers(anchors[0] - seq + 1, anchors[trainCount - 1], scaler);
+    }
+
+    this.disposeTensors(); // re-preparing replaces any previous split
+    const { X, y, dates: sampleDates } = this.buildTensors(anchors);
+
+    // split (pooled: rowsPerSample rows per date)
+    const trainRows = trainCount * this.rowsPerSample;
+    const X_train = X.slice(0, trainRows);
+    const X_test = X.slice(trainRows);
+    const y_train = y.slice(0, trainRows);
+    const y_test = y.slice(trainRows);
+    X.dispose(); y.dispose();
 
     // store meta
     this.X_train = X_train;
     this.y_train = y_train;
     this.X_test = X_test;
     this.y_test = y_test;
+    this.anchors = anchors; // date index per sample (global)
     this.trainIndices = { start:0, count: trainCount };
     this.testIndices = { start:trainCount, count: total - trainCount };
     this.sampleDates = sampleDates; // anchor dates per sample (global)
     this.sampleDatesTrain = sampleDates.slice(0, trainCount);
     this.sampleDatesTest = sampleDates.slice(trainCount);
+    this.anchorsTest = anchors.slice(trainCount); // date index per test sample
 
-    // expose shapes
-    const meta = {
-      samples: total,
-      trainSamples: trainCount,
-      testSamples: total - trainCount,
-      sequenceLength: seq,
-      featuresPerStep: S*2,
-      outputDim: S*h,
-      symbols: this.symbols.slice()
-    };
+    const meta = this.datasetMeta();
 
-    this.log(`Prepared dataset. Total samples: ${total}. Train: ${trainCount}. Test: ${total - trainCount}.`);
+    this.log(`Prepared dataset. Total samples: ${total}. Train: ${trainCount}. Test: ${total - trainCount}. Missing data: ${this.missingConfig.strategy}. Target: ${describeTarget(this.target)}.`);
+    if (this.sampleLayout === 'pooled') this.log(`Pooled layout: ${total * this.rowsPerSample} symbol windows${this.marketContext ? ' with market context' : ''}.`);
+    this.log(`Normalization: ${this.scaler}, fitted on ${this.normalizerFitRange.start}..${this.normalizerFitRange.end}${normalization ? ' (saved state)' : ''}.`);
 
     return meta;
   }
 
+  // Shapes and settings of the prepared dataset (the prepareDataset() / appendSources() result)
+  datasetMeta() {
+    const S = this.symbols.length;
+    const h = this.forecastHorizon;
+    const pooled = this.sampleLayout === 'pooled';
+    return {
+      samples: this.anchors.length,
+      trainSamples: this.trainIndices.count,
+      testSamples: this.testIndices.count,
+      sequenceLength: this.sequenceLength,
+      forecastHorizon: h,
+      featuresPerStep: this.inputWidth(), // per model input row
+      featureNames: this.inputFeatureNames(),
+      outputDim: (pooled ? 1 : S)*h*outputsPerStep(this.target),
+      sampleLayout: this.sampleLayout,
+      marketContext: this.marketContext,
+      rowsPerSample: this.rowsPerSample,
+      target: this.target,
+      symbols: this.symbols.slice(),
+      scaler: this.scaler,
+      normalizerFitRange: this.normalizerFitRange,
+      missingData: this.missingConfig,
+      fingerprint: this.fingerprint()
+    };
+  }
+
+  // Append rows (e.g. the latest trading days) to the prepared data without reloading it. Only days after
+  // the last loaded date are taken: rows for a symbol/date already loaded or repeated in the batch are
+  // skipped as duplicates (the first one is kept), symbols that were not loaded are ignored. The new days
+  // are filled and their features computed with the current settings; the loaded days keep their filled
+  // values, so the windows built before keep their inputs. The fitted normalizers and the train/test split
+  // are kept, and only the windows whose labels became complete are built; they are appended to the test split.
+  // options: as for loadFromSources; the loaded date format is reused unless one is given.
+  // Returns { rows, dates, duplicates, earlier, unknownSymbols, samples, sampleDates }
+  appendSources(sources, options = {}) {
+    if (!this.X_test) throw new Error("Dataset not prepared yet. Call prepareDataset()");
+    const dateFormat = !options.dateFormat || options.dateFormat === 'auto' ? this.raw.dateFormat : options.dateFormat;
+    const imported = importRows(sources, { ...options, dateFormat });
+    const rows = imported.rows.filter(r => r.Symbol && !Number.isNaN(r.Open) && !Number.isNaN(r.Close));
+    const lastDate = this.dates[this.dates.length - 1];
+    const loaded = new Set(this.allSymbols);
+    const dateIndex = new Map(this.dates.map((d, i) => [d, i]));
+
+    const lookup = new Map();
+    const kept = [];
+    const unknownSymbols = new Set();
+    let duplicates = 0, earlier = 0;
+    for (const r of rows) {
+      if (!loaded.has(r.Symbol)) { unknownSymbols.add(r.Symbol); continue; }
+      if (new Date(r.Date) <= new Date(lastDate)) {
+        const i = dateIndex.get(r.Date);
+        if (i !== undefined && !Number.isNaN(this.rawSeries[r.Symbol][i].close)) duplicates++;
+        else earlier++;
+        continue;
+      }
+      const key = `${r.Symbol}||${r.Date}`;
+      if (lookup.has(key)) { duplicates++; continue; }
+      lookup.set(key, { open: r.Open, high: r.High, low: r.Low, close: r.Close, adjClose: r.AdjClose, volume: r.Volume });
+      kept.push(r);
+    }
+    if (duplicates) this.log(`Skipped ${duplicates} duplicate rows (symbol and date already loaded or repeated in the new data; the first row is kept).`);
+    if (earlier) this.log(`Skipped ${earlier} rows dated on or before ${lastDate} that were not loaded (gaps or earlier days); reload the full data to use them.`);
+    if (unknownSymbols.size) this.log(`Ignored symbols that were not loaded: ${[...unknownSymbols].join(', ')}`);
+
+    const newDates = [...new Set([...lookup.keys()].map(key => key.split('||')[1]))].sort((a, b) => new Date(a) - new Date(b));
+    const result = { rows: lookup.size, dates: newDates.length, duplicates, earlier, unknownSymbols: [...unknownSymbols], samples: 0, sampleDates: [] };
+    if (!newDates.length) return result;
+
+    // extend the raw series and the filled series of the symbols in use (the symbol set stays as prepared)
+    const missing = { open: NaN, high: NaN, low: NaN, close: NaN, adjClose: NaN, volume: NaN };
+    const loadedDays = this.dates.length;
+    this.dates.push(...newDates);
+    for (const sym of this.allSymbols) {
+      this.rawSeries[sym].push(...newDates.map(date => ({ date, ...(lookup.get(`${sym}||${date}`) || missing) })));
+    }
+    this.raw.rows = this.raw.rows.concat(kept);
+    this.raw.parsedCount = this.raw.rows.length;
+    // only the new days take the fill: a gap running into them is not filled back over loaded days
+    // (e.g. by interpolation), which would change inputs of test windows already built
+    for (const sym of this.symbols) {
+      const { series, missing: mask, lookahead } = fillSeries(this.rawSeries[sym], this.missingConfig);
+      this.perSymbolSeries[sym] = this.perSymbolSeries[sym].concat(series.slice(loadedDays));
+      this.missingMask[sym] = this.missingMask[sym].concat(mask.slice(loadedDays));
+      this.lookaheadMask[sym] = this.lookaheadMask[sym].concat(lookahead.slice(loadedDays));
+    }
+    this.computeFeatures(this.featureConfig);
+
+    const lastAnchor = this.anchors[this.anchors.length - 1];
+    const fresh = this.collectAnchors().filter(i => i > lastAnchor);
+    if (fresh.length) {
+      const { X, y, dates } = this.buildTensors(fresh);
+      const X_test = tf.concat([this.X_test, X]);
+      const y_test = tf.concat([this.y_test, y]);
+      [X, y, this.X_test, this.y_test].forEach(t => t.dispose());
+      this.X_test = X_test;
+      this.y_test = y_test;
+      this.anchors = this.anchors.concat(fresh);
+      this.sampleDates = this.sampleDates.concat(dates);
+      this.sampleDatesTest = this.sampleDatesTest.concat(dates);
+      this.anchorsTest = this.anchorsTest.concat(fresh);
+      this.testIndices = { start: this.testIndices.start, count: this.testIndices.count + fresh.length };
+      result.samples = fresh.length;
+      result.sampleDates = dates;
+    }
+    this.log(`Appended ${lookup.size} rows (${newDates[0]}..${newDates[newDates.length - 1]}): ${fresh.length} new windows.`);
+    return result;
+  }
+
+  // Walk-forward (rolling-origin) folds over the valid anchors of the prepared features.
+  // mode 'expanding': train on all samples before the block; 'sliding': train on a fixed-size window.
+  // initialTrainPercent sets the first fold's train size; each fold tests the next `step` samples.
+  // Returns [{ fold, trainAnchors, testAnchors }] (anchor indices, no tensors built yet)
+  walkForwardFolds({ mode = 'expanding', initialTrainPercent = 50, step = 20 } = {}) {
+    if (!this.featureSpecs.length) throw new Error("Dataset not prepared yet. Call prepareDataset()");
+    if (!['expanding', 'sliding'].includes(mode)) throw new Error(`Unknown walk-forward mode: ${mode}`);
+    if (step < 1) throw new Error("Walk-forward step must be at least 1 sample.");
+    const anchors = this.collectAnchors();
+    const initial = Math.round((initialTrainPercent/100) * anchors.length);
+    if (initial < 1 || initial >= anchors.length) throw new Error("Initial train size leaves no room for out-of-sample blocks.");
+    const folds = [];
+    for (let start = initial; start < anchors.length; start += step) {
+      const trainStart = mode === 'sliding' ? start - initial : 0;
+      folds.push({
+        fold: folds.length,
+        trainAnchors: anchors.slice(trainStart, start),
+        testAnchors: anchors.slice(start, start + step)
+      });
+    }
+    return folds;
+  }
+
+  // Normalized input window ending at anchor index i (inclusive): shape [seq, S*F]
+  // Columns are grouped by symbol: [sym0_f0, sym0_f1, ..., sym1_f0, ...]
+  buildInputWindow(i) {
+    const sampleInput = [];
+    for (let t = i - this.sequenceLength + 1; t <= i; t++) {
+      const row = [];
+      for (const sym of this.symbols) {
+        const values = this.featureSeries[sym][t];
+        const anchorValues = this.featureSeries[sym][i];
+        const norm = this.normalizers[sym];
+        this.featureSpecs.forEach((spec, f) => {
+          // scale raw features per stock with the fitted state; derived ones pass through
+          const n = norm[spec.name];
+          row.push(n ? applyScaler(n, values[f], anchorValues[f]) : values[f]);
+        });
+      }
+      sampleInput.push(row);
+    }
+    return sampleInput;
+  }
+
+  // Pooled input rows for anchor i: one [seq, width] window per symbol (see SAMPLE_LAYOUTS), cut from the
+  // joint window. The symbol id is the 1-based position in this.symbols.
+  buildPooledWindows(i) {
+    const F = this.featureSpecs.length;
+    const joint = this.buildInputWindow(i);
+    const market = this.marketContext ? this.marketWindow(joint) : null;
+    return this.symbols.map((_, s) => this.pooledWindow(joint.map(row => row.slice(s * F, (s + 1) * F)), market, s + 1));
+  }
+
+  // [seq, F] own features + optional [seq, F] market context + the symbol id column
+  pooledWindow(own, market, id) {
+    return own.map((values, t) => [...values, ...(market ? market[t] : []), id]);
+  }
+
+  // market context of a joint window [seq, S*F]: the mean of each normalized feature over the symbols
+  marketWindow(joint) {
+    const S = this.symbols.length;
+    const F = this.featureSpecs.length;
+    return joint.map(row => Array.from({ length: F }, (_, f) => {
+      let sum = 0;
+      for (let s = 0; s < S; s++) sum += row[s * F + f];
+      return sum / S;
+    }));
+  }
+
+  // Pooled inputs for a loaded symbol outside the prepared set (e.g. a ticker the pooled model never saw),
+  // with symbol id 0. Its gaps are filled and features computed with the current settings; its scaled
+  // features get their own scaler, fitted on its days within the normalizer fit range; the market context
+  // comes from the prepared symbols. Test windows cover the test anchors where its window is complete and
+  // it was observed on the anchor and target days; the forecast window is the latest complete one.
+  // Returns { test: { X: [n, seq, width], y: [n, h*K], dates } | null, forecast: { X: [1, seq, width], anchorDate } | null }
+  // (caller disposes the tensors)
+  symbolInputs(symbol) {
+    if (this.sampleLayout !== 'pooled') throw new Error("Scoring a new symbol needs the pooled layout.");
+    if (!this.X_test) throw new Error("Dataset not prepared yet. Call prepareDataset()");
+    if (!this.rawSeries[symbol]) throw new Error(`Symbol not loaded: ${symbol}`);
+    if (this.symbols.includes(symbol)) throw new Error(`${symbol} is one of the prepared symbols.`);
+    const raw = this.rawSeries[symbol];
+    const { series, missing, lookahead } = fillSeries(raw, this.missingConfig);
+    let matrix = computeFeatureMatrix(series, this.featureConfig);
+    if (this.missingConfig.strategy === 'mask') matrix = matrix.map((row, t) => [...row, missing[t]]);
+    // the days inside the fitted range: its end dates need not be loaded (e.g. a saved normalization state)
+    const { start: from, end: to } = this.normalizerFitRange;
+    const start = this.dates.findIndex(d => d >= from);
+    const end = this.dates.findLastIndex(d => d <= to);
+    if (start < 0 || end < start) throw new Error(`No loaded dates in the normalization period (${from}..${to}); cannot fit a scaler for ${symbol}.`);
+    const norm = {};
+    this.featureSpecs.forEach((spec, f) => {
+      if (!spec.scaled) return;
+      const values = matrix.slice(start, end + 1).map(row => row[f]).filter(v => !Number.isNaN(v));
+      if (!values.length && !SCALERS[this.scaler].perWindow) throw new Error(`${symbol} has no data in the normalization period (${this.normalizerFitRange.start}..${this.normalizerFitRange.end}).`);
+      norm[spec.name] = fitScaler(this.scaler, values);
+    });
+    const seq = this.sequenceLength;
+    const complete = i => i >= seq - 1 && matrix.slice(i - seq + 1, i + 1).every(row => !row.some(v => Number.isNaN(v)));
+    const window = i => {
+      const joint = this.buildInputWindow(i);
+      const own = matrix.slice(i - seq + 1, i + 1).map(values =>
+        this.featureSpecs.map((spec, f) => (norm[spec.name] ? applyScaler(norm[spec.name], values[f], matrix[i][f]) : values[f])));
+      return this.pooledWindow(own, this.marketContext ? this.marketWindow(joint) : null, 0);
+    };
+
+    const h = this.forecastHorizon;
+    const anchors = this.anchorsTest.filter(i => complete(i) && observedAnchor(raw, lookahead, i, h));
+    const test = anchors.length ? {
+      X: tf.tensor3d(anchors.map(window)),
+      y: tf.tensor2d(anchors.map(i => this.windowLabels(raw, i))),
+      dates: anchors.map(i => this.dates[i])
+    } : null;
+    let forecast = null;
+    for (let i = this.dates.length - 1; i >= seq - 1; i--) {
+      if (!complete(i) || !this.windowComplete(i - seq + 1, i)) continue;
+      forecast = { X: tf.tensor3d([window(i)]), anchorDate: this.dates[i] };
+      break;
+    }
+    return { test, forecast };
+  }
+
+  // Price context of one symbol at the given anchor date indices (default: the test samples):
+  // close on the anchor date, the first date of the input window, the closes Close(D+k) and the realized
+  // returns Close(D+k) / Close(D) - 1 for k = 1..h (from the raw series, as the labels are).
+  // Returns { close: number[n], windowStart: string[n], futureClose: number[n][h], realized: number[n][h] }
+  anchorDetail(symbol, anchors = this.anchorsTest) {
+    const series = this.perSymbolSeries[symbol] && this.rawSeries[symbol];
+    if (!series) throw new Error(`Symbol not in the prepared dataset: ${symbol}`);
+    const h = this.forecastHorizon;
+    return {
+      close: anchors.map(i => series[i].close),
+      windowStart: anchors.map(i => this.dates[i - this.sequenceLength + 1]),
+      futureClose: anchors.map(i => Array.from({ length: h }, (_, k) => series[i + k + 1].close)),
+      realized: anchors.map(i => Array.from({ length: h }, (_, k) => series[i + k + 1].close / series[i].close - 1))
+    };
+  }
+
+  // Forward inference input: the most recent sequenceLength days for every symbol,
+  // normalized with the saved normalizers. No future closes are needed, so the anchor
+  // is simply the latest date where the whole window is complete.
+  // Returns { X: tf.Tensor [1, seq, S*F] (pooled: [S, seq, width]), anchorDate, lastCloses: number[S] }
+  buildForecastInput() {
+    if (!this.raw) throw new Error("No data loaded. Call loadFromFile or loadFromCSVText first.");
+    if (!this.featureSpecs.length) throw new Error("Dataset not prepared yet. Call prepareDataset()");
+    const seq = this.sequenceLength;
+    for (let i = this.dates.length - 1; i >= seq - 1; i--) {
+      if (!this.windowComplete(i - seq + 1, i)) continue;
+      if (i < this.dates.length - 1) {
+        this.log(`Forecast anchor ${this.dates[i]} is not the last date (${this.dates[this.dates.length-1]}): later days have gaps.`);
+      }
+      const lastCloses = this.symbols.map(sym => this.perSymbolSeries[sym][i].close);
+      const X = this.sampleLayout === 'pooled' ? tf.tensor3d(this.buildPooledWindows(i)) : tf.tensor3d([this.buildInputWindow(i)]);
+      return { X, anchorDate: this.dates[i], lastCloses };
+    }
+    throw new Error(`No complete ${seq}-day window available for forecasting.`);
+  }
+
   // Provide getters that return raw tensors (already tf.Tensor) - consumer must not dispose them; but class will have dispose()
   getTensors() {
     if (!this.X_train) throw new Error("Dataset not prepared yet. Call prepareDataset()");
@@ -225,16 +735,22 @@ export class DataLoader {
       X_test: this.X_test,
       y_test: this.y_test,
       symbols: this.symbols,
-      sampleDatesTest: this.sampleDatesTest
+      sampleDatesTest: this.sampleDatesTest,
+      anchorsTest: this.anchorsTest
     };
   }
 
-  // Dispose stored tensors to avoid memory leak
-  dispose() {
+  // Dispose prepared tensors only (loaded data is kept so the dataset can be re-prepared)
+  disposeTensors() {
     if (this.X_train) { this.X_train.dispose(); this.X_train = null; }
     if (this.y_train) { this.y_train.dispose(); this.y_train = null; }
     if (this.X_test) { this.X_test.dispose(); this.X_test = null; }
     if (this.y_test) { this.y_test.dispose(); this.y_test = null; }
+  }
+
+  // Dispose stored tensors to avoid memory leak
+  dispose() {
+    this.disposeTensors();
     this.raw = null;
   }
 }
@@ -0,0 +1,145 @@
+// explain.js
+// ES module: explainability for a trained model. Gradient saliency and integrated gradients attribute one
+// symbol's prediction for one sample to the [sequenceLength, features] input window; permutation importance
+// measures how much the test loss of each output symbol rises when an input column group is shuffled.
+// Exports: outputScore, saliency, integratedGradients, featureGroups, perSymbolLoss, permutationImportance
+
+import { outputsPerStep } from './targets.js';
+import { tf } from './runtime.js';
+
+// Scalar explained for symbol s from the model output [batch, S*h*K], summed over the batch:
+// P(1) for binary/threshold targets, P(up) - P(down) for three classes, the return for regression.
+// horizon: step index 0..h-1, or null for the mean over all horizons.
+export function outputScore(pred, target, S, h, s, horizon = null) {
+  const K = outputsPerStep(target);
+  const out = pred.reshape([-1, S, h, K]).gather([s], 1).squeeze([1]); // [batch, h, K]
+  const steps = horizon === null ? out : out.gather([horizon], 1);
+  const score = K === 3
+    ? steps.gather([2], 2).sub(steps.gather([0], 2))
+    : steps;
+  return tf.sum(score).div(horizon === null ? h : 1);
+}
+
+// Model score of a batch of windows [batch, T, C - fixed]; the `fixed` trailing columns of x (the pooled
+// symbol id, which feeds an embedding lookup and has no gradient) are appended unchanged
+function scoreFn(model, x, { S, h, s, horizon = null, fixed = 0 }) {
+  const [T, C] = x.shape;
+  const constant = fixed ? x.slice([0, C - fixed], [T, fixed]) : null;
+  return input => {
+    const full = constant ? tf.concat([input, constant.expandDims(0).tile([input.shape[0], 1, 1])], 2) : input;
+    return outputScore(model.model.apply(full), model.target, S, h, s, horizon);
+  };
+}
+
+// attribution [T, C - fixed] padded with zeros for the fixed columns -> number[T][C]
+function padFixed(attribution, fixed) {
+  return (fixed ? tf.pad(attribution, [[0, 0], [0, fixed]]) : attribution).arraySync();
+}
+
+// Gradient of the output score w.r.t. one input window x [T, C]. Returns number[T][C] (signed).
+// fixed: trailing columns held constant (attribution 0)
+export function saliency(model, x, { S, h, s, horizon = null, fixed = 0 }) {
+  return tf.tidy(() => {
+    const variable = x.slice([0, 0], [-1, x.shape[1] - fixed]);
+    const grad = tf.grad(scoreFn(model, x, { S, h, s, horizon, fixed }));
+    return padFixed(grad(variable.expandDims(0)).squeeze([0]), fixed);
+  });
+}
+
+// Integrated gradients from baseline (default: all zeros, i.e. the scaled-feature floor / mean) to x [T, C]
+// over `steps` Riemann steps. Returns { attribution: number[T][C], delta } where delta is the difference
+// between the sum of attributions and score(x) - score(baseline) (a check that enough steps were used).
+// fixed: trailing columns held at their value in x (attribution 0)
+export function integratedGradients(model, x, { S, h, s, horizon = null, steps = 32, baseline = null, fixed = 0 }) {
+  return tf.tidy(() => {
+    const variable = x.slice([0, 0], [-1, x.shape[1] - fixed]);
+    const base = baseline || tf.zerosLike(variable);
+    const score = scoreFn(model, x, { S, h, s, horizon, fixed });
+    const alphas = tf.linspace(1 / steps, 1, steps).reshape([steps, 1, 1]);
+    const path = base.expandDims(0).add(alphas.mul(variable.sub(base).expandDims(0))); // [steps, T, C - fixed]
+    const avgGrad = tf.grad(score)(path).mean(0);
+    const attribution = avgGrad.mul(variable.sub(base));
+    const delta = attribution.sum().sub(score(variable.expandDims(0)).sub(score(base.expandDims(0)))).arraySync();
+    return { attribution: padFixed(attribution, fixed), delta };
+  });
+}
+
+// Input column groups from meta.featureNames (`${symbol}_${feature}`):
+//   'symbol': all features of one input symbol; 'feature': one feature across all symbols; 'column': each column
+// Pooled windows (own features, market_<feature>, symbol id) group into the own features, the market
+// context and the symbol id ('symbol'), or each feature with its market mean ('feature').
+// Returns [{ name, columns: number[] }]
+export function featureGroups(featureNames, symbols, by = 'symbol', sampleLayout = 'joint') {
+  if (by === 'column') return featureNames.map((name, c) => ({ name, columns: [c] }));
+  if (sampleLayout === 'pooled') {
+    const own = featureNames.map((name, c) => c).filter(c => c < featureNames.length - 1 && !featureNames[c].startsWith('market_'));
+    const market = featureNames.map((name, c) => c).filter(c => featureNames[c].startsWith('market_'));
+    if (by === 'symbol') {
+      return [{ name: 'own features', columns: own }, { name: 'market context', columns: market }, { name: 'symbol id', columns: [featureNames.length - 1] }]
+        .filter(g => g.columns.length);
+    }
+    return own.map(c => ({ name: featureNames[c], columns: [c, ...market.filter(m => featureNames[m] === `market_${featureNames[c]}`)] }));
+  }
+  const F = featureNames.length / symbols.length;
+  if (by === 'symbol') {
+    return symbols.map((sym, s) => ({ name: sym, columns: Array.from({ length: F }, (_, f) => s * F + f) }));
+  }
+  const features = featureNames.slice(0, F).map(name => name.slice(symbols[0].length + 1));
+  return features.map((name, f) => ({ name, columns: symbols.map((_, s) => s * F + f) }));
+}
+
+// Mean loss per output symbol ([S] tensor): BCE for binary/threshold, categorical cross-entropy for
+// three classes, MSE for regression (the training losses without focal/class weights)
+export function perSymbolLoss(pred, y, target, S, h) {
+  return tf.tidy(() => {
+    const K = outputsPerStep(target);
+    const p = pred.reshape([-1, S, h, K]);
+    const t = y.reshape([-1, S, h, K]);
+    if (target.mode === 'regression') return p.sub(t).square().mean([0, 2, 3]);
+    const pc = p.clipByValue(1e-7, 1 - 1e-7);
+    if (K === 3) return t.mul(pc.log()).sum(3).neg().mean([0, 2]);
+    return t.mul(pc.log()).add(tf.scalar(1).sub(t).mul(tf.scalar(1).sub(pc).log())).neg().mean([0, 2, 3]);
+  });
+}
+
+function shuffled(n) {
+  const idx = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx;
+}
+
+// Permutation importance on a labelled set X [N, T, C], y [N, S*h*K] (or pooled rows, date-major). For each group its columns are
+// shuffled across samples (whole windows move together, so within-window structure is kept) and the
+// rise in per-symbol loss over the unshuffled baseline is recorded, averaged over `repeats` shuffles.
+// onProgress(done, total) is called after each group; shouldStop() is checked before each group.
+// Returns { baseline: number[S], groups: [{ name, columns, increase: number[S], mean }] } (groups done so far)
+export async function permutationImportance(model, X, y, { S, h, groups, repeats = 1,
+                                                           onProgress = null, shouldStop = () => false }) {
+  const C = X.shape[2];
+  const lossOf = input => tf.tidy(() => perSymbolLoss(model.model.predict(input), y, model.target, S, h).arraySync());
+  const baseline = lossOf(X);
+  const results = [];
+  for (let g = 0; g < groups.length; g++) {
+    if (shouldStop()) break;
+    const increase = new Array(S).fill(0);
+    for (let r = 0; r < repeats; r++) {
+      const permuted = tf.tidy(() => {
+        const inGroup = new Array(C).fill(false);
+        groups[g].columns.forEach(c => { inGroup[c] = true; });
+        const mask = tf.tensor1d(inGroup, 'bool').reshape([1, 1, C]);
+        const shuffledX = X.gather(shuffled(X.shape[0]), 0);
+        return tf.where(mask.broadcastTo(X.shape), shuffledX, X);
+      });
+      const loss = lossOf(permuted);
+      permuted.dispose();
+      loss.forEach((v, s) => { increase[s] += (v - baseline[s]) / repeats; });
+    }
+    results.push({ ...groups[g], increase, mean: increase.reduce((a, b) => a + b, 0) / S });
+    if (onProgress) onProgress(g + 1, groups.length);
+    await tf.nextFrame();
+  }
+  return { baseline, groups: results };
+}
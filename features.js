@@ -0,0 +1,139 @@
+// features.js
+// ES module: configurable feature engineering pipeline. Turns one symbol's daily series
+// ({date, open, high, low, close, adjClose, volume}) into a [dates, features] matrix.
+// Exports: RAW_COLUMNS, DERIVED_FEATURES, DEFAULT_FEATURE_CONFIG, normalizeFeatureConfig, featureSpecs, computeFeatureMatrix
+
+// Raw columns that can be passed through as-is (scaled per symbol by the DataLoader)
+export const RAW_COLUMNS = ['open', 'high', 'low', 'close', 'adjClose', 'volume'];
+
+// Config shape:
+// { raw: ['open','close', ...], derived: [{ type: 'rsi', window: 14 }, { type: 'logReturn' }, ...] }
+// The default reproduces the original Open/Close-only input.
+export const DEFAULT_FEATURE_CONFIG = { raw: ['open', 'close'], derived: [] };
+
+// helpers --------------------------------------------------------------------
+
+function rollingMean(values, w) {
+  const out = new Array(values.length).fill(NaN);
+  for (let i = w - 1; i < values.length; i++) {
+    let sum = 0;
+    for (let k = i - w + 1; k <= i; k++) sum += values[k];
+    out[i] = sum / w; // NaN propagates through gaps
+  }
+  return out;
+}
+
+function rollingStd(values, w) {
+  const mean = rollingMean(values, w);
+  const out = new Array(values.length).fill(NaN);
+  for (let i = w - 1; i < values.length; i++) {
+    let ss = 0;
+    for (let k = i - w + 1; k <= i; k++) ss += (values[k] - mean[i]) ** 2;
+    out[i] = Math.sqrt(ss / w);
+  }
+  return out;
+}
+
+function logReturns(series) {
+  return series.map((v, i) => i === 0 ? NaN : Math.log(v.close / series[i-1].close));
+}
+
+// Derived feature builders: compute(series, params) -> number[] aligned with series (NaN during warm-up).
+// All outputs are scale-free (ratios, returns, bounded oscillators) so they are comparable across symbols.
+// `needs` lists raw columns that must be present in the CSV.
+export const DERIVED_FEATURES = {
+  // log(close_t / close_{t-1})
+  logReturn: {
+    defaults: {},
+    needs: ['close'],
+    compute: (series) => logReturns(series)
+  },
+  // intraday range relative to close: (high - low) / close
+  range: {
+    defaults: {},
+    needs: ['high', 'low', 'close'],
+    compute: (series) => series.map(v => (v.high - v.low) / v.close)
+  },
+  // rolling standard deviation of daily log returns
+  volatility: {
+    defaults: { window: 10 },
+    needs: ['close'],
+    compute: (series, { window }) => rollingStd(logReturns(series), window)
+  },
+  // close relative to its simple moving average: close / SMA - 1
+  maGap: {
+    defaults: { window: 10 },
+    needs: ['close'],
+    compute: (series, { window }) => {
+      const ma = rollingMean(series.map(v => v.close), window);
+      return series.map((v, i) => v.close / ma[i] - 1);
+    }
+  },
+  // relative strength index (simple averages), scaled to 0..1
+  rsi: {
+    defaults: { window: 14 },
+    needs: ['close'],
+    compute: (series, { window }) => {
+      const diffs = series.map((v, i) => i === 0 ? NaN : v.close - series[i-1].close);
+      const gains = rollingMean(diffs.map(d => Number.isNaN(d) ? NaN : Math.max(d, 0)), window);
+      const losses = rollingMean(diffs.map(d => Number.isNaN(d) ? NaN : Math.max(-d, 0)), window);
+      return gains.map((g, i) => {
+        const l = losses[i];
+        if (Number.isNaN(g) || Number.isNaN(l)) return NaN;
+        if (g + l === 0) return 0.5;
+        return g / (g + l);
+      });
+    }
+  },
+  // volume z-score against its rolling mean/std
+  volumeZ: {
+    defaults: { window: 20 },
+    needs: ['volume'],
+    compute: (series, { window }) => {
+      const vol = series.map(v => v.volume);
+      const mean = rollingMean(vol, window);
+      const std = rollingStd(vol, window);
+      return vol.map((v, i) => std[i] > 0 ? (v - mean[i]) / std[i] : (Number.isNaN(std[i]) ? NaN : 0));
+    }
+  }
+};
+
+// Fill in defaults and drop anything the data cannot support.
+// availableColumns: Set of raw columns present in the CSV. Returns { config, dropped: string[] }
+export function normalizeFeatureConfig(config = DEFAULT_FEATURE_CONFIG, availableColumns = new Set(RAW_COLUMNS)) {
+  const dropped = [];
+  const raw = [];
+  for (const col of config.raw || []) {
+    if (!RAW_COLUMNS.includes(col)) throw new Error(`Unknown raw feature column: ${col}`);
+    if (!availableColumns.has(col)) { dropped.push(col); continue; }
+    if (!raw.includes(col)) raw.push(col);
+  }
+  const derived = [];
+  for (const d of config.derived || []) {
+    const def = DERIVED_FEATURES[d.type];
+    if (!def) throw new Error(`Unknown derived feature: ${d.type}`);
+    if (!def.needs.every(c => availableColumns.has(c))) { dropped.push(d.type); continue; }
+    derived.push({ ...def.defaults, ...d });
+  }
+  if (!raw.length && !derived.length) throw new Error("Feature config selects no usable features.");
+  return { config: { raw, derived }, dropped };
+}
+
+// One spec per feature column: { name, scaled } where scaled=true means the raw value needs
+// per-symbol scaling (prices, volume); derived features are already scale-free.
+export function featureSpecs(config) {
+  const specs = config.raw.map(col => ({ name: col, scaled: true }));
+  for (const d of config.derived) {
+    const params = Object.keys(DERIVED_FEATURES[d.type].defaults).map(k => d[k]);
+    specs.push({ name: [d.type, ...params].join('_'), scaled: false });
+  }
+  return specs;
+}
+
+// Compute the unscaled [dates, features] matrix for one symbol's series.
+// Entries are NaN where source data is missing or a rolling window has not warmed up.
+export function computeFeatureMatrix(series, config) {
+  const columns = config.raw.map(col => series.map(v => v[col]));
+  for (const d of config.derived) columns.push(DERIVED_FEATURES[d.type].compute(series, d));
+  return series.map((_, t) => columns.map(c => c[t]));
+}
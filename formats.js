@@ -0,0 +1,231 @@
+// formats.js
+// ES module: input layouts and file formats. Turns CSV / JSON / NDJSON text into canonical long rows
+// { Date (ISO yyyy-mm-dd), Symbol, Open, High, Low, Close, AdjClose, Volume } for DataLoader.
+// Layouts: long (Date, Symbol, Open, ...), wide (Date, AAPL_Open, AAPL_Close, ...) and
+// single (one ticker per file, symbol taken from the file name).
+// Exports: LAYOUTS, DATE_FORMATS, FIELDS, readSource, symbolFromFileName, detectLayout, guessMapping,
+//          wideColumns, detectDateFormat, parseDate, importRows
+import { Papa } from './runtime.js';
+
+export const LAYOUTS = {
+  auto: 'Auto-detect',
+  long: 'Long (Date, Symbol, Open, Close, ...)',
+  wide: 'Wide (Date, SYMBOL_Open, SYMBOL_Close, ...)',
+  single: 'One ticker per file (symbol from file name)'
+};
+
+export const DATE_FORMATS = {
+  auto: 'Auto-detect',
+  iso: 'YYYY-MM-DD',
+  dmy: 'DD/MM/YYYY',
+  mdy: 'MM/DD/YYYY',
+  compact: 'YYYYMMDD',
+  epoch: 'Unix timestamp (s or ms)'
+};
+
+// canonical field -> accepted column names (compared lower-case without spaces/underscores)
+export const FIELDS = {
+  date: ['date', 'datetime', 'timestamp', 'time', 'day'],
+  symbol: ['symbol', 'ticker', 'name', 'code'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last', 'price'],
+  adjClose: ['adjclose', 'adjustedclose'],
+  volume: ['volume', 'v', 'vol']
+};
+
+// canonical field -> key on the rows DataLoader consumes
+const ROW_KEYS = { date: 'Date', symbol: 'Symbol', open: 'Open', high: 'High', low: 'Low', close: 'Close', adjClose: 'AdjClose', volume: 'Volume' };
+const VALUE_FIELDS = ['open', 'high', 'low', 'close', 'adjClose', 'volume'];
+
+const squash = name => String(name).toLowerCase().replace(/[\s_.-]/g, '');
+
+// "AAPL.csv", "data/MSFT_daily.ndjson" -> "AAPL", "MSFT_DAILY"
+export function symbolFromFileName(name) {
+  return String(name).split(/[\\/]/).pop().replace(/\.[^.]+$/, '').trim().toUpperCase();
+}
+
+// Parse one file's text into { name, records, fields }. Format from the extension, else sniffed:
+// JSON array of objects, JSON object { SYMBOL: [rows] }, NDJSON (one object per line) or CSV.
+export function readSource(text, name = 'data.csv') {
+  const ext = (String(name).match(/\.([^.]+)$/) || [])[1] || '';
+  const head = text.trimStart().slice(0, 1);
+  let records;
+  if (['ndjson', 'jsonl'].includes(ext.toLowerCase()) || (head === '{' && isNdjson(text))) {
+    records = text.split(/\r?\n/).filter(l => l.trim()).map((l, i) => {
+      try { return JSON.parse(l); } catch (e) { throw new Error(`${name}: invalid JSON on line ${i + 1}`); }
+    });
+  } else if (ext.toLowerCase() === 'json' || head === '[' || head === '{') {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) records = data;
+    else if (data && typeof data === 'object') {
+      // { AAPL: [{ date, close, ... }], ... } -> long records with the symbol injected
+      records = Object.entries(data).flatMap(([sym, rows]) =>
+        Array.isArray(rows) ? rows.map(r => ({ Symbol: sym, ...r })) : []);
+    } else throw new Error(`${name}: expected an array of rows or an object of per-symbol arrays`);
+  } else {
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+    return { name, records: parsed.data, fields: parsed.meta.fields || [], parseErrors: (parsed.errors || []).slice(0, 5) };
+  }
+  return { name, records, fields: fieldsOf(records), parseErrors: [] };
+}
+
+function isNdjson(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  return lines.length > 1 && lines.slice(0, 3).every(l => l.trim().startsWith('{') && l.trim().endsWith('}'));
+}
+
+// union of keys over the first records (JSON rows need not all share the same keys)
+function fieldsOf(records) {
+  const fields = new Set();
+  records.slice(0, 200).forEach(r => Object.keys(r || {}).forEach(k => fields.add(k)));
+  return [...fields];
+}
+
+// Best-guess column for every canonical field: { date: 'Date', close: 'Close', ..., volume: null }
+export function guessMapping(fields) {
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(FIELDS)) {
+    mapping[field] = fields.find(f => aliases.includes(squash(f))) || null;
+  }
+  return mapping;
+}
+
+// Wide-format value columns: [{ column, symbol, field }] for headers like "AAPL_Open" or "MSFT Close"
+export function wideColumns(fields) {
+  const out = [];
+  for (const column of fields) {
+    if (Object.values(FIELDS).some(aliases => aliases.includes(squash(column)))) continue; // e.g. "Adj_Close"
+    const m = String(column).match(/^(.+?)[_ .-]+(open|high|low|close|adj[_ ]?close|volume)$/i);
+    if (!m) continue;
+    const field = VALUE_FIELDS.find(f => squash(f) === squash(m[2]));
+    out.push({ column, symbol: m[1].trim().toUpperCase(), field });
+  }
+  return out;
+}
+
+// 'long' when there is a symbol column, 'wide' when there are SYMBOL_Close columns, else 'single'
+export function detectLayout(fields) {
+  const mapping = guessMapping(fields);
+  if (mapping.symbol) return 'long';
+  if (wideColumns(fields).some(c => c.field === 'close')) return 'wide';
+  return 'single';
+}
+
+const ISO_RE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/;
+const DMY_RE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T ].*)?$/;
+const COMPACT_RE = /^(\d{4})(\d{2})(\d{2})$/;
+const EPOCH_RE = /^\d{10}(\d{3})?$/;
+
+// Pick a date format for a column of values. Day-first vs month-first is decided by any component
+// above 12; when every value is ambiguous, '.'-separated dates count as day-first, others as month-first.
+// Returns { format, ambiguous }
+export function detectDateFormat(values) {
+  const sample = values.map(v => String(v == null ? '' : v).trim()).filter(Boolean).slice(0, 1000);
+  if (!sample.length) return { format: 'iso', ambiguous: false };
+  if (sample.every(v => ISO_RE.test(v))) return { format: 'iso', ambiguous: false };
+  if (sample.every(v => COMPACT_RE.test(v))) return { format: 'compact', ambiguous: false };
+  if (sample.every(v => EPOCH_RE.test(v))) return { format: 'epoch', ambiguous: false };
+  const parts = sample.map(v => v.match(DMY_RE)).filter(Boolean);
+  if (parts.length) {
+    if (parts.some(m => Number(m[1]) > 12)) return { format: 'dmy', ambiguous: false };
+    if (parts.some(m => Number(m[2]) > 12)) return { format: 'mdy', ambiguous: false };
+    return { format: sample[0].includes('.') ? 'dmy' : 'mdy', ambiguous: true };
+  }
+  return { format: 'auto', ambiguous: false }; // free text ("Jan 3, 2022"): left to the Date parser
+}
+
+function isoDate(y, m, d) {
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null; // e.g. 31/02
+  return dt.toISOString().slice(0, 10);
+}
+
+// One date value -> 'yyyy-mm-dd', or null when it does not fit the format
+export function parseDate(value, format = 'auto') {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number' && format === 'auto') format = 'epoch';
+  const v = String(value).trim();
+  let m;
+  switch (format) {
+    case 'iso':
+      return (m = v.match(ISO_RE)) ? isoDate(+m[1], +m[2], +m[3]) : null;
+    case 'dmy':
+      return (m = v.match(DMY_RE)) ? isoDate(+m[3], +m[2], +m[1]) : null;
+    case 'mdy':
+      return (m = v.match(DMY_RE)) ? isoDate(+m[3], +m[1], +m[2]) : null;
+    case 'compact':
+      return (m = v.match(COMPACT_RE)) ? isoDate(+m[1], +m[2], +m[3]) : null;
+    case 'epoch': {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return null;
+      return new Date(n < 1e11 ? n * 1000 : n).toISOString().slice(0, 10); // seconds vs milliseconds
+    }
+    default: {
+      if ((m = v.match(ISO_RE))) return isoDate(+m[1], +m[2], +m[3]);
+      if (COMPACT_RE.test(v)) return parseDate(v, 'compact');
+      if (EPOCH_RE.test(v)) return parseDate(v, 'epoch');
+      const d = new Date(v);
+      if (isNaN(d)) return null;
+      return isoDate(d.getFullYear(), d.getMonth() + 1, d.getDate());
+    }
+  }
+}
+
+const num = v => (typeof v === 'number' ? v : parseFloat(v));
+
+// Canonical rows of one source with a resolved layout and mapping (Date still unparsed)
+function sourceRows(source, layout, mapping) {
+  const dateCol = mapping.date;
+  if (!dateCol) throw new Error(`${source.name}: no date column (map one in the import dialog)`);
+  if (layout === 'wide') {
+    const cols = wideColumns(source.fields);
+    if (!cols.length) throw new Error(`${source.name}: no SYMBOL_Open / SYMBOL_Close columns for the wide layout`);
+    const symbols = [...new Set(cols.map(c => c.symbol))];
+    return source.records.flatMap(r => symbols.map(sym => {
+      const row = { Date: r[dateCol], Symbol: sym };
+      VALUE_FIELDS.forEach(f => { row[ROW_KEYS[f]] = NaN; });
+      cols.filter(c => c.symbol === sym).forEach(c => { row[ROW_KEYS[c.field]] = num(r[c.column]); });
+      return row;
+    }).filter(row => VALUE_FIELDS.some(f => !Number.isNaN(row[ROW_KEYS[f]])))); // blank cells: symbol not listed that day
+  }
+  const fixedSymbol = layout === 'single' ? symbolFromFileName(source.name) : null;
+  if (!fixedSymbol && !mapping.symbol) throw new Error(`${source.name}: no symbol column (map one, or use the one-ticker-per-file layout)`);
+  return source.records.map(r => {
+    const row = { Date: r[dateCol], Symbol: fixedSymbol || String(r[mapping.symbol] == null ? '' : r[mapping.symbol]).trim() };
+    VALUE_FIELDS.forEach(f => { row[ROW_KEYS[f]] = mapping[f] ? num(r[mapping[f]]) : NaN; });
+    return row;
+  });
+}
+
+// Combine sources into canonical rows with ISO dates.
+// options: { layout: 'auto'|'long'|'wide'|'single', mapping: { field: column } (overrides the guess
+// where the column exists in a source), dateFormat: 'auto'|'iso'|'dmy'|... }
+// Returns { rows, totalRows, layouts: [per source], mappings, dateFormat, ambiguousDates, unparseableDates }
+export function importRows(sources, { layout = 'auto', mapping = {}, dateFormat = 'auto' } = {}) {
+  if (!sources.length) throw new Error("No input files");
+  const layouts = [];
+  const mappings = [];
+  const rows = sources.flatMap(source => {
+    const resolvedLayout = layout === 'auto' ? detectLayout(source.fields) : layout;
+    const resolvedMapping = guessMapping(source.fields);
+    Object.entries(mapping || {}).forEach(([field, col]) => { if (col && source.fields.includes(col)) resolvedMapping[field] = col; });
+    layouts.push(resolvedLayout);
+    mappings.push(resolvedMapping);
+    return sourceRows(source, resolvedLayout, resolvedMapping);
+  });
+
+  let ambiguousDates = false;
+  let format = dateFormat;
+  if (format === 'auto') ({ format, ambiguous: ambiguousDates } = detectDateFormat(rows.map(r => r.Date)));
+  let unparseableDates = 0;
+  const parsedRows = rows.filter(r => {
+    const iso = parseDate(r.Date, format);
+    if (!iso) { if (r.Date != null && String(r.Date).trim()) unparseableDates++; return false; }
+    r.Date = iso;
+    return true;
+  });
+  return { rows: parsedRows, totalRows: rows.length, layouts, mappings, dateFormat: format, ambiguousDates, unparseableDates };
+}
@@ -1,82 +1,340 @@
 // gru.js
 // ES module: defines the GRU model, training, predict/eval utilities.
+// Other architectures (see models.js) extend GRUModel and override buildBody().
 // Exports: GRUModel class
+import { registerCustomLayers } from './layers.js';
+import { DEFAULT_TARGET, outputsPerStep, isBinaryTarget, isHit, CLASS_NAMES } from './targets.js';
+import { tf } from './runtime.js';
+
 export class GRUModel {
-  constructor({ inputShape = [12, 20], gruUnits = 64, denseUnits = 30, learningRate = 0.001 } = {}) {
+  // gruUnits: hidden width of the first recurrent layer (or the equivalent width for other architectures)
+  // depth: number of stacked recurrent/conv/attention blocks
+  // dropout / recurrentDropout: input and recurrent dropout rates for the body, dropout before the head
+  // inputShape / denseUnits follow the prepared dataset: [seq, symbols * features] and symbols * horizon * K
+  // target: { mode, ... } (see targets.js) picks the output activation, loss and evaluation
+  // headMode: 'shared' (one dense layer for all outputs), 'perHorizon' (a hidden + output layer per
+  // horizon on the shared body; see horizonHidden) or 'perHorizonModel' (a separate body and head per horizon);
+  // horizon is the forecast horizon the per-horizon heads split denseUnits by
+  // sampleLayout: 'joint' (one window of every symbol per sample) or 'pooled' (one window per symbol and
+  // date; the last input column is the symbol id, 1..vocabulary, 0 for a symbol the model never saw,
+  // embedded into embeddingDim values next to the encoded window; see DataLoader.buildPooledWindows)
+  constructor({ inputShape = null, gruUnits = 64, denseUnits = null, learningRate = 0.001,
+                depth = 2, dropout = 0, recurrentDropout = 0, bidirectional = false, target = DEFAULT_TARGET,
+                headMode = 'shared', horizon = 1, sampleLayout = 'joint', vocabulary = 0, embeddingDim = 8 } = {}) {
+    this.architecture = bidirectional ? 'bigru' : 'gru';
     this.inputShape = inputShape; // [seqLen, features]
     this.gruUnits = gruUnits;
-    this.denseUnits = denseUnits; // 10 stocks * 3 days = 30
+    this.denseUnits = denseUnits; // symbols * horizon * outputs per step
     this.learningRate = learningRate;
+    this.depth = depth;
+    this.dropout = dropout;
+    this.recurrentDropout = recurrentDropout;
+    this.bidirectional = bidirectional;
+    this.target = target;
+    this.headMode = headMode;
+    this.horizon = horizon;
+    this.sampleLayout = sampleLayout;
+    this.vocabulary = vocabulary; // symbols with a learned embedding (pooled layout)
+    this.embeddingDim = embeddingDim;
     this.model = null;
+    this.metadata = null; // preprocessing info saved alongside the weights (e.g. normalization state)
   }
 
-  buildModel({ bidirectional = false, returnSequences = false } = {}) {
-    // dispose existing model if present
-    if (this.model) {
-      try { this.model.dispose(); } catch (e) {}
-      this.model = null;
+  // width of stacked layer l: halves each layer, never below 16
+  layerUnits(l) {
+    return Math.max(16, Math.floor(this.gruUnits / (2 ** l)));
+  }
+
+  // Sequence encoder: stacked GRU layers, the last one returning only its final state
+  // unless returnSequences is set. Returns a symbolic tensor.
+  buildBody(input, { bidirectional = this.bidirectional, returnSequences = false } = {}) {
+    let x = input;
+    for (let l = 0; l < this.depth; l++) {
+      const last = l === this.depth - 1;
+      const gru = tf.layers.gru({
+        units: this.layerUnits(l),
+        returnSequences: last ? returnSequences : true,
+        activation: 'tanh',
+        recurrentActivation: 'sigmoid',
+        dropout: this.dropout,
+        recurrentDropout: this.recurrentDropout
+      });
+      x = (bidirectional ? tf.layers.bidirectional({ layer: gru, mergeMode: 'concat' }) : gru).apply(x);
     }
+    return x;
+  }
+
+  buildModel({ bidirectional = this.bidirectional, returnSequences = false } = {}) {
+    if (!this.inputShape || !this.denseUnits) throw new Error("inputShape and denseUnits are required to build the model (take them from the prepared dataset).");
+    // dispose existing model if present
+    this.dispose();
 
-    const tf = window.tf;
-    // Input layer
-    const layers = [];
     // Use functional API for clarity
     const input = tf.input({ shape: this.inputShape });
 
-    let x = input;
-    // First GRU
-    const gru1 = tf.layers.gru({
-      units: this.gruUnits,
-      returnSequences: true,
-      activation: 'tanh',
-      recurrentActivation: 'sigmoid'
-    });
-    x = gru1.apply(x);
-    // Second GRU (can be returnSequences false)
-    const gru2 = tf.layers.gru({
-      units: Math.max(16, Math.floor(this.gruUnits/2)),
-      returnSequences: returnSequences,
-      activation: 'tanh',
-      recurrentActivation: 'sigmoid'
-    });
-    x = gru2.apply(x);
+    if (this.headMode !== 'shared' && this.horizon > 1) {
+      this.model = tf.model({ inputs: input, outputs: this.buildHorizonHeads(input, { bidirectional, returnSequences }) });
+      this.compileModel();
+      return this.model;
+    }
 
-    // If second returned sequences, we may need to flatten or take last timestep
-    if (Array.isArray(x)) x = x[0];
+    const x = this.encode(input, { bidirectional, returnSequences });
 
-    // Dense output layer with sigmoid for binary outputs
-    const out = tf.layers.dense({ units: this.denseUnits, activation: 'sigmoid' }).apply(x);
+    // Output head: sigmoid for binary targets, linear for regression, and a softmax over each
+    // symbol/horizon's 3 classes (flattened back so y stays [batch, denseUnits])
+    let out;
+    if (this.target.mode === 'threeClass') {
+      out = tf.layers.dense({ units: this.denseUnits }).apply(x);
+      out = tf.layers.reshape({ targetShape: [this.denseUnits / 3, 3] }).apply(out);
+      out = tf.layers.activation({ activation: 'softmax' }).apply(out);
+      out = tf.layers.flatten().apply(out);
+    } else {
+      const activation = this.target.mode === 'regression' ? 'linear' : 'sigmoid';
+      out = tf.layers.dense({ units: this.denseUnits, activation }).apply(x);
+    }
 
     this.model = tf.model({ inputs: input, outputs: out });
-    const optimizer = tf.train.adam(this.learningRate);
+    this.compileModel();
+
+    return this.model;
+  }
+
+  // Body plus the flatten / dropout in front of a head: [batch, features]. Pooled windows run the body
+  // on every column but the symbol id, whose embedding is concatenated to the encoding.
+  encode(input, { bidirectional = this.bidirectional, returnSequences = false } = {}) {
+    const pooled = this.sampleLayout === 'pooled';
+    const { ColumnSlice, SymbolEmbedding } = registerCustomLayers();
+    const width = input.shape[2];
+    const features = pooled ? new ColumnSlice({ start: 0, size: width - 1 }).apply(input) : input;
+    let x = this.buildBody(features, { bidirectional, returnSequences });
+    // If the body returned sequences, flatten them so the head sees [batch, features]
+    if (x.shape.length > 2) x = tf.layers.flatten().apply(x);
+    if (pooled) {
+      const id = new ColumnSlice({ start: width - 1, size: 1, lastStep: true }).apply(input);
+      const embedded = new SymbolEmbedding({ inputDim: this.vocabulary + 1, outputDim: this.embeddingDim }).apply(id);
+      x = tf.layers.concatenate().apply([x, embedded]);
+    }
+    if (this.dropout > 0) x = tf.layers.dropout({ rate: this.dropout }).apply(x);
+    return x;
+  }
+
+  // Pooled models: give symbol id 0 (a ticker outside the training symbols) the mean of the learned
+  // embeddings, so a new symbol is scored as an "average" known one. Row 0 never gets a gradient in
+  // training, so this does not change predictions for the known symbols.
+  setUnknownSymbolEmbedding() {
+    if (!this.model) throw new Error("Model not built.");
+    if (this.sampleLayout !== 'pooled') throw new Error("Only pooled models have symbol embeddings.");
+    this.model.layers.filter(layer => layer.getClassName() === 'SymbolEmbedding').forEach(layer => {
+      const [table] = layer.getWeights();
+      const updated = tf.tidy(() => tf.concat([table.slice(1).mean(0, true), table.slice(1)]));
+      layer.setWeights([updated]);
+      updated.dispose();
+    });
+  }
+
+  // One head per horizon, each producing [S, 1, K] outputs; concatenated along the horizon axis
+  // (and flattened) they keep the shared head's [S, h, K] output layout, so labels, losses and
+  // evaluation are unchanged. 'perHorizonModel' also gives every horizon its own body.
+  buildHorizonHeads(input, opts) {
+    const K = outputsPerStep(this.target);
+    const h = this.horizon;
+    const S = this.denseUnits / (h * K);
+    const shared = this.headMode === 'perHorizonModel' ? null : this.encode(input, opts);
+    const heads = Array.from({ length: h }, () => {
+      let x = shared || this.encode(input, opts);
+      if (this.headMode === 'perHorizon') x = this.horizonHidden(x);
+      const logits = tf.layers.dense({ units: S * K }).apply(x);
+      return tf.layers.reshape({ targetShape: [S, 1, K] }).apply(logits);
+    });
+    let out = tf.layers.concatenate({ axis: 2 }).apply(heads); // [S, h, K]
+    const activation = this.target.mode === 'threeClass' ? 'softmax' : this.target.mode === 'regression' ? 'linear' : 'sigmoid';
+    out = tf.layers.activation({ activation }).apply(out); // softmax runs over the last (class) axis
+    return tf.layers.flatten().apply(out);
+  }
+
+  // Hidden layer of a 'perHorizon' head
+  horizonHidden(x) {
+    return tf.layers.dense({ units: this.layerUnits(this.depth - 1), activation: 'relu' }).apply(x);
+  }
+
+  // (Re)compile with a fresh Adam optimizer; loss defaults to the target's plain loss
+  compileModel(loss = this.defaultLoss()) {
+    if (this.model.optimizer) this.model.optimizer.dispose();
     this.model.compile({
-      optimizer,
-      loss: 'binaryCrossentropy',
-      metrics: [tf.metrics.binaryAccuracy]
+      optimizer: tf.train.adam(this.learningRate),
+      loss,
+      metrics: [this.trainingMetric()]
     });
+  }
 
-    return this.model;
+  // Binary cross-entropy, categorical cross-entropy per 3-class group, or mean squared error
+  defaultLoss() {
+    if (this.target.mode === 'regression') return 'meanSquaredError';
+    if (this.target.mode === 'threeClass') {
+      return (yTrue, yPred) => tf.tidy(() =>
+        tf.metrics.categoricalCrossentropy(yTrue.reshape([-1, 3]), yPred.reshape([-1, 3])).mean());
+    }
+    return 'binaryCrossentropy';
+  }
+
+  // Accuracy-style metric reported each epoch; its function name is the key in the epoch logs
+  trainingMetric() {
+    if (this.target.mode === 'regression') {
+      return function directionalAccuracy(yTrue, yPred) {
+        return tf.tidy(() => yTrue.greater(0).equal(yPred.greater(0)).toFloat().mean(-1));
+      };
+    }
+    if (this.target.mode === 'threeClass') {
+      return function categoricalAccuracy(yTrue, yPred) {
+        return tf.metrics.categoricalAccuracy(yTrue.reshape([-1, 3]), yPred.reshape([-1, 3]));
+      };
+    }
+    return tf.metrics.binaryAccuracy;
+  }
+
+  // log key of trainingMetric()
+  get metricName() {
+    return { regression: 'directionalAccuracy', threeClass: 'categoricalAccuracy' }[this.target.mode] || 'binaryAccuracy';
+  }
+
+  // Per-output loss: binary cross-entropy ('bce') or focal loss ('focal', focusing parameter gamma),
+  // optionally weighted per output column by class (posWeights/negWeights: number[denseUnits]).
+  makeLoss({ type = 'bce', gamma = 2, posWeights = null, negWeights = null } = {}) {
+    return (yTrue, yPred) => tf.tidy(() => {
+      const eps = 1e-7;
+      const p = yPred.clipByValue(eps, 1 - eps);
+      const pos = yTrue.mul(p.log()).neg();
+      const neg = tf.scalar(1).sub(yTrue).mul(tf.scalar(1).sub(p).log()).neg();
+      let lossPos = pos, lossNeg = neg;
+      if (type === 'focal') {
+        lossPos = pos.mul(tf.scalar(1).sub(p).pow(gamma));
+        lossNeg = neg.mul(p.pow(gamma));
+      }
+      if (posWeights) lossPos = lossPos.mul(tf.tensor1d(posWeights));
+      if (negWeights) lossNeg = lossNeg.mul(tf.tensor1d(negWeights));
+      return lossPos.add(lossNeg).mean();
+    });
+  }
+
+  // Balanced class weights per output column: w = N / (2 * count), so both classes contribute equally
+  static balancedClassWeights(y) {
+    const n = y.shape[0];
+    const posCounts = tf.tidy(() => y.sum(0).arraySync());
+    return {
+      posWeights: posCounts.map(c => n / (2 * Math.max(c, 1))),
+      negWeights: posCounts.map(c => n / (2 * Math.max(n - c, 1)))
+    };
   }
 
-  // Fit with callback to update UI
-  async fit(X_train, y_train, { epochs = 30, batchSize = 32, onEpochEnd = null } = {}) {
+  // Ask a running fit() to stop after the current batch
+  stop() {
+    this.stopRequested = true;
+    if (this.model) this.model.stopTraining = true;
+  }
+
+  // Fit with callback to update UI.
+  // validationSplit: fraction of the (chronologically last) training samples held out for validation
+  // rowsPerSample: model rows per date (pooled layout: one per symbol); the split never cuts through a date
+  // earlyStopping: { patience, minDelta, restoreBestWeights } on val_loss (loss if no validation)
+  // lrSchedule: { type: 'plateau', factor, patience, minLr } or { type: 'cosine', minLr }
+  // lossOptions: { type: 'bce'|'focal', gamma, classWeights: 'balanced'|null } -> recompiles with makeLoss()
+  //              (binary targets only; other targets always train on their default loss)
+  // Returns the tf.History plus { bestEpoch, stoppedEarly, cancelled }
+  async fit(X_train, y_train, { epochs = 30, batchSize = 32, onEpochEnd = null, validationSplit = 0, rowsPerSample = 1,
+                                earlyStopping = null, lrSchedule = null, lossOptions = null } = {}) {
     if (!this.model) this.buildModel();
-    const tf = window.tf;
+
+    if (lossOptions && isBinaryTarget(this.target) && (lossOptions.type === 'focal' || lossOptions.classWeights)) {
+      const weights = lossOptions.classWeights === 'balanced' ? GRUModel.balancedClassWeights(y_train) : {};
+      this.compileModel(this.makeLoss({ type: lossOptions.type, gamma: lossOptions.gamma, ...weights }));
+    }
+
+    // chronological validation split: the last samples of the training window
+    let X = X_train, y = y_train, validationData;
+    const nVal = Math.floor(X_train.shape[0] / rowsPerSample * validationSplit) * rowsPerSample;
+    if (nVal > 0) {
+      const nTrain = X_train.shape[0] - nVal;
+      X = X_train.slice(0, nTrain); y = y_train.slice(0, nTrain);
+      validationData = [X_train.slice(nTrain), y_train.slice(nTrain)];
+    }
+    const monitor = validationData ? 'val_loss' : 'loss';
+
+    const optimizer = this.model.optimizer;
+    const baseLr = this.learningRate;
+    let best = Infinity, bestEpoch = -1, bestWeights = null, wait = 0, plateauWait = 0, stoppedEarly = false;
+    this.stopRequested = false;
+    this.model.stopTraining = false;
+
     const callbacks = {
+      onEpochBegin: async (epoch) => {
+        if (lrSchedule && lrSchedule.type === 'cosine') {
+          const minLr = lrSchedule.minLr || 0;
+          optimizer.learningRate = minLr + 0.5 * (baseLr - minLr) * (1 + Math.cos(Math.PI * epoch / epochs));
+        }
+      },
       onEpochEnd: async (epoch, logs) => {
+        logs.lr = optimizer.learningRate;
+        const current = logs[monitor];
+        const improved = current < best - ((earlyStopping && earlyStopping.minDelta) || 0);
+        if (improved) {
+          best = current; bestEpoch = epoch; wait = 0; plateauWait = 0;
+          if (earlyStopping && earlyStopping.restoreBestWeights !== false) {
+            if (bestWeights) bestWeights.forEach(w => w.dispose());
+            bestWeights = this.model.getWeights().map(w => w.clone());
+          }
+        } else {
+          wait++; plateauWait++;
+          if (earlyStopping && wait >= (earlyStopping.patience || 5)) {
+            stoppedEarly = true;
+            this.model.stopTraining = true;
+          }
+          if (lrSchedule && lrSchedule.type === 'plateau' && plateauWait >= (lrSchedule.patience || 3)) {
+            optimizer.learningRate = Math.max(lrSchedule.minLr || 1e-6, optimizer.learningRate * (lrSchedule.factor || 0.5));
+            plateauWait = 0;
+          }
+        }
+        if (this.stopRequested) this.model.stopTraining = true;
         if (onEpochEnd) onEpochEnd(epoch, logs);
         await tf.nextFrame();
       }
     };
-    const history = await this.model.fit(X_train, y_train, {
-      epochs,
-      batchSize,
-      shuffle: false, // time-series => don't shuffle
-      callbacks
-    });
+
+    let history;
+    try {
+      history = await this.model.fit(X, y, {
+        epochs,
+        batchSize,
+        validationData,
+        shuffle: false, // time-series => don't shuffle
+        callbacks
+      });
+      if (bestWeights && bestEpoch < history.epoch.length - 1) this.model.setWeights(bestWeights);
+    } finally {
+      if (bestWeights) bestWeights.forEach(w => w.dispose());
+      if (nVal > 0) { X.dispose(); y.dispose(); validationData.forEach(t => t.dispose()); }
+      optimizer.learningRate = baseLr;
+    }
+    history.bestEpoch = bestEpoch;
+    history.stoppedEarly = stoppedEarly;
+    history.cancelled = this.stopRequested;
     return history;
   }
 
+  // Continue training a trained model on new samples (e.g. freshly appended days): a few epochs with a
+  // fresh Adam optimizer at a lower learning rate (default a tenth of the original) and the target's plain
+  // loss. The configured learningRate is kept for getConfig() and later retraining.
+  async fineTune(X, y, { epochs = 3, learningRate = this.learningRate / 10, batchSize = 32, onEpochEnd = null } = {}) {
+    if (!this.model) throw new Error("Model not built.");
+    const baseLr = this.learningRate;
+    this.learningRate = learningRate;
+    try {
+      this.compileModel();
+      return await this.fit(X, y, { epochs, batchSize, onEpochEnd });
+    } finally {
+      this.learningRate = baseLr;
+    }
+  }
+
   // Predict on X (tf.Tensor)
   predict(X) {
     if (!this.model) throw new Error("Model not built.");
@@ -87,99 +345,189 @@ export class GRUModel {
     });
   }
 
-  // Compute per-stock accuracy averaged over 3 horizons
-  // y_true and y_pred are tensors [samples, S*h] where S* h = denseUnits
-  // Returns { perStockAcc: number[], overallAcc }
-  async computePerStockAccuracy(y_true, y_pred, S, h) {
-    const tf = window.tf;
-    return tf.tidy(() => {
-      // Ensure binary threshold 0.5 for preds
-      const predsBin = y_pred.greater(tf.scalar(0.5)).toInt();
-      const truths = y_true.toInt();
-      // reshape to [samples, S, h]
-      const samples = predsBin.shape[0];
-      const preds3 = predsBin.reshape([samples, S, h]);
-      const truths3 = truths.reshape([samples, S, h]);
-      // correctness per sample per stock per horizon
-      const correct = preds3.equal(truths3).toFloat(); // 1/0
-      // For each stock, average across samples and horizons
-      // mean over axis [0,2] => result shape [S]
-      const perStockAcc = correct.mean([0,2]); // tensor length S
-      const overallAcc = correct.mean(); // scalar
+  // Predictions with dropout left on: `passes` stochastic forward passes over X (Monte Carlo dropout).
+  // Returns a tensor [passes, samples, denseUnits]; identical passes if the model has no dropout.
+  predictMonteCarlo(X, passes = 20) {
+    if (!this.model) throw new Error("Model not built.");
+    return tf.tidy(() => tf.stack(Array.from({ length: passes }, () => this.model.apply(X, { training: true }))));
+  }
+
+  // true when the model has dropout that predictMonteCarlo() can sample
+  get hasDropout() {
+    return this.dropout > 0 || this.recurrentDropout > 0;
+  }
+
+  // Forward inference on windows with no known future (e.g. from DataLoader.buildForecastInput)
+  // Returns per-symbol rows for the last window:
+  //   [{ symbol, direction: [h], probs: [h] | null, confidence: [h] | null, classProbs: [h][3] | null, returns: [h] | null }]
+  // direction is 'up'/'down' (binary and regression), 'above'/'below' (threshold) or 'up'/'flat'/'down';
+  // probs is P(up) / P(above); confidence is the probability of the predicted class
+  forecast(X, symbols, horizon = 3) {
+    if (!this.model) throw new Error("Model not built.");
+    const preds = this.predict(X);
+    try {
+      return this.forecastRows(preds, symbols, horizon);
+    } finally {
+      preds.dispose();
+    }
+  }
+
+  // forecast() rows from model outputs [samples, denseUnits] (e.g. an ensemble mean; pooled models
+  // output [samples * S, h * K], date-major, which reshapes the same way); uses the last sample
+  forecastRows(preds, symbols, horizon = 3) {
+    const S = symbols.length;
+    const K = outputsPerStep(this.target);
+    const arr = tf.tidy(() => {
+      const all = preds.reshape([-1, S, horizon, K]).arraySync();
+      return all[all.length - 1]; // [S, h, K]
+    });
+    const mode = this.target.mode;
+    return symbols.map((symbol, s) => {
+      const steps = arr[s];
+      if (mode === 'regression') {
+        const returns = steps.map(v => v[0]);
+        return { symbol, direction: returns.map(r => r > 0 ? 'up' : 'down'), probs: null, confidence: null, classProbs: null, returns };
+      }
+      if (mode === 'threeClass') {
+        const classes = steps.map(v => v.indexOf(Math.max(...v)));
+        return {
+          symbol,
+          direction: classes.map(c => CLASS_NAMES[c]),
+          probs: steps.map(v => v[2]),
+          confidence: steps.map((v, k) => v[classes[k]]),
+          classProbs: steps,
+          returns: null
+        };
+      }
+      const probs = steps.map(v => v[0]);
+      const [yes, no] = mode === 'threshold' ? ['above', 'below'] : ['up', 'down'];
       return {
-        perStockAcc: perStockAcc.arraySync(),
-        overallAcc: overallAcc.arraySync()
+        symbol,
+        direction: probs.map(p => p > 0.5 ? yes : no),
+        probs,
+        confidence: probs.map(p => Math.max(p, 1 - p)),
+        classProbs: null,
+        returns: null
       };
     });
   }
 
-  // Evaluate and compute per-sample correctness array (for timeline plotting)
-  // returns an object { perStockAcc, overallAcc, perStockTimeline: [S arrays of 0/1 per test sample], perSamplePreds, perSampleTruths }
+  // Evaluate on a labelled set for any target mode (see targets.js). Arrays are [samples, S, h]:
+  //   predArr: predicted label (0/1, class index 0..2, or predicted return); truthArr: true label
+  //   probArr: P(1) for binary targets, P(up) for three classes, null for regression
+  //   classProbArr: [samples, S, h, 3] class probabilities (three classes only, else null)
+  //   hitArr: 1 where the prediction is correct (regression: same direction as the actual return)
+  // perStockAcc/overallAcc average hitArr; perStockTimeline marks a sample correct for a stock when
+  // the majority of its horizons are. Per horizon: perStockHorizonAcc [S][h], perHorizonAcc [h] and
+  // perStockHorizonTimeline [S][h][samples] (hitArr per stock and horizon).
+  // Returns { perStockAcc, overallAcc, perStockTimeline, perStockHorizonAcc, perHorizonAcc,
+  // perStockHorizonTimeline, predArr, probArr, classProbArr, truthArr, hitArr, targetMode }
   async evaluateTestSet(X_test, y_test, symbols, horizon=3) {
-    const tf = window.tf;
-    const S = symbols.length;
-    const preds = await this.predict(X_test); // tensor
-    const samples = preds.shape[0];
-    // compute binary predictions
-    const predsBin = preds.greater(tf.scalar(0.5)).toInt();
-    const truths = y_test.toInt();
-    const preds3 = predsBin.reshape([samples, S, horizon]);
-    const truths3 = truths.reshape([samples, S, horizon]);
-
-    // compute correctness per stock per sample: average over horizon -> mark correct if all horizons correct? user asked averaged over 3 output days.
-    // We'll compute correctness per horizon and also averaged correctness per stock per sample (mean of horizons)
-    const correctPerHorizon = preds3.equal(truths3).toInt(); // shape [samples, S, horizon]
-    const correctPerSamplePerStock = correctPerHorizon.mean(2).toFloat(); // mean across horizon => 0..1
-    // For timeline, we can treat correctness >0.5 as correct, else wrong (i.e., majority of horizons correct)
-    const timelineBinary = correctPerSamplePerStock.greater(tf.scalar(0.5)).toInt();
-
-    // convert to JS arrays
-    const perStockTimeline = [];
-    const cp = timelineBinary.transpose([1,0]); // [S, samples]
-    const cpArr = cp.arraySync();
-    for (let s = 0; s < S; s++) {
-      perStockTimeline.push(cpArr[s]); // array length = samples of 0/1
+    const preds = this.predict(X_test);
+    try {
+      return this.evaluatePredictions(preds, y_test, symbols, horizon);
+    } finally {
+      preds.dispose();
     }
+  }
 
-    // per-stock accuracies averaged over samples and horizons
-    const { perStockAcc, overallAcc } = await this.computePerStockAccuracy(y_test, preds, S, horizon);
+  // evaluateTestSet() on given model outputs [samples, denseUnits] (e.g. an ensemble or MC-dropout mean).
+  // Pooled outputs and labels ([samples * S, h * K], date-major) reshape to the same [samples, S, h, K].
+  evaluatePredictions(preds, y_test, symbols, horizon=3) {
+    const S = symbols.length;
+    const K = outputsPerStep(this.target);
+    const mode = this.target.mode;
+    const out = tf.tidy(() => preds.reshape([-1, S, horizon, K]).arraySync());
+    const truth = tf.tidy(() => y_test.reshape([-1, S, horizon, K]).arraySync());
 
-    // return also raw preds/truths as arrays for optional confusion matrices
-    const predArr = preds3.arraySync(); // [samples, S, h]
-    const truthArr = truths3.arraySync();
+    const argmax = v => v.indexOf(Math.max(...v));
+    const decode = v => mode === 'threeClass' ? argmax(v) : mode === 'regression' ? v[0] : (v[0] > 0.5 ? 1 : 0);
+    const predArr = out.map(sample => sample.map(stock => stock.map(decode)));
+    const truthArr = truth.map(sample => sample.map(stock => stock.map(v => mode === 'threeClass' ? argmax(v) : v[0])));
+    const probArr = mode === 'regression' ? null : out.map(sample => sample.map(stock => stock.map(v => v[K - 1])));
+    const hitArr = predArr.map((sample, n) => sample.map((stock, s) =>
+      stock.map((p, k) => isHit(p, truthArr[n][s][k], this.target) ? 1 : 0)));
 
-    // dispose local tensors
-    preds.dispose(); predsBin.dispose(); preds3.dispose(); truths.dispose(); truths3.dispose();
-    correctPerHorizon.dispose(); correctPerSamplePerStock.dispose(); timelineBinary.dispose(); cp.dispose();
+    const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const perStockAcc = Array.from({ length: S }, (_, s) => mean(hitArr.flatMap(sample => sample[s])));
+    const overallAcc = mean(hitArr.flat(2));
+    const perStockTimeline = Array.from({ length: S }, (_, s) => hitArr.map(sample => mean(sample[s]) > 0.5 ? 1 : 0));
+    const perStockHorizonTimeline = Array.from({ length: S }, (_, s) =>
+      Array.from({ length: horizon }, (_, k) => hitArr.map(sample => sample[s][k])));
+    const perStockHorizonAcc = perStockHorizonTimeline.map(stock => stock.map(mean));
+    const perHorizonAcc = Array.from({ length: horizon }, (_, k) => mean(perStockHorizonAcc.map(stock => stock[k])));
 
     return {
       perStockAcc,
       overallAcc,
       perStockTimeline,
+      perStockHorizonAcc,
+      perHorizonAcc,
+      perStockHorizonTimeline,
       predArr,
-      truthArr
+      probArr,
+      classProbArr: mode === 'threeClass' ? out : null,
+      truthArr,
+      hitArr,
+      targetMode: mode
     };
   }
 
-  // Save model weights to localstorage (key)
-  async saveToLocalStorage(key = 'gru-multi-stock-model') {
+  // Hyperparameters needed to rebuild this model (stored in the bundle manifest)
+  getConfig() {
+    return {
+      architecture: this.architecture,
+      inputShape: this.inputShape,
+      gruUnits: this.gruUnits,
+      denseUnits: this.denseUnits,
+      learningRate: this.learningRate,
+      depth: this.depth,
+      dropout: this.dropout,
+      recurrentDropout: this.recurrentDropout,
+      bidirectional: this.bidirectional,
+      target: this.target,
+      headMode: this.headMode,
+      horizon: this.horizon,
+      sampleLayout: this.sampleLayout,
+      vocabulary: this.vocabulary,
+      embeddingDim: this.embeddingDim
+    };
+  }
+
+  // Save to any tf.io destination (URL scheme such as 'indexeddb://name', 'downloads://name',
+  // 'localstorage://key', or an IOHandler). metadata (JSON) is embedded in model.json as
+  // userDefinedMetadata, so topology, weights and preprocessing info always travel together.
+  async save(destination, metadata = null) {
     if (!this.model) throw new Error("No model to save");
-    return await this.model.save(`localstorage://${key}`);
+    this.metadata = metadata;
+    this.model.setUserDefinedMetadata(metadata || undefined);
+    return await this.model.save(destination);
   }
 
-  // Load model from localstorage key
-  async loadFromLocalStorage(key = 'gru-multi-stock-model') {
-    const tf = window.tf;
-    const loaded = await tf.loadLayersModel(`localstorage://${key}`);
+  // Load from any tf.io source (URL or IOHandler such as tf.io.browserFiles([...])).
+  // Embedded metadata ends up in this.metadata and restores the model config fields.
+  async load(source) {
+    registerCustomLayers(); // attention models use custom layers
+    const loaded = await tf.loadLayersModel(source);
     // replace model
-    if (this.model) try { this.model.dispose(); } catch(e){}
+    this.dispose();
     this.model = loaded;
-    this.model.compile({ optimizer: tf.train.adam(this.learningRate), loss: 'binaryCrossentropy', metrics: [tf.metrics.binaryAccuracy] });
+    this.metadata = loaded.getUserDefinedMetadata() || null;
+    const config = this.metadata && this.metadata.model;
+    if (config) {
+      Object.assign(this, config);
+    } else {
+      this.inputShape = loaded.inputs[0].shape.slice(1);
+      this.denseUnits = loaded.outputs[0].shape[1];
+    }
+    this.compileModel();
     return this.model;
   }
 
   dispose() {
     if (this.model) {
+      // optimizer slot variables (e.g. Adam moments) are not released by model.dispose()
+      try { if (this.model.optimizer) this.model.optimizer.dispose(); } catch(e){}
       try { this.model.dispose(); } catch(e){}
       this.model = null;
     }
@@ -0,0 +1,145 @@
+// layers.js
+// ES module: custom TF.js layers used by the attention/Transformer encoder and the pooled layout's symbol input.
+// Classes are created lazily (they extend tf.layers.Layer, so tf.js must be loaded first)
+// and registered for serialization so saved models can be loaded again.
+// Exports: registerCustomLayers
+import { tf } from './runtime.js';
+
+let custom = null;
+
+function defineLayers(tf) {
+  // Adds fixed sinusoidal position encodings to a [batch, time, d] input
+  class PositionalEncoding extends tf.layers.Layer {
+    computeOutputShape(inputShape) { return inputShape; }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        const [, T, d] = x.shape;
+        const pe = [];
+        for (let t = 0; t < T; t++) {
+          const row = [];
+          for (let i = 0; i < d; i++) {
+            const angle = t / Math.pow(10000, (2 * Math.floor(i / 2)) / d);
+            row.push(i % 2 === 0 ? Math.sin(angle) : Math.cos(angle));
+          }
+          pe.push(row);
+        }
+        return x.add(tf.tensor2d(pe, [T, d]));
+      });
+    }
+  }
+  PositionalEncoding.className = 'PositionalEncoding';
+
+  // Multi-head scaled dot-product self-attention over the time axis: [batch, time, d] -> [batch, time, d]
+  class SelfAttention extends tf.layers.Layer {
+    constructor(config = {}) {
+      super(config);
+      this.numHeads = config.numHeads || 2;
+      this.keyDim = config.keyDim || 16;
+    }
+
+    build(inputShape) {
+      const d = inputShape[inputShape.length - 1];
+      const inner = this.numHeads * this.keyDim;
+      const init = tf.initializers.glorotUniform({});
+      this.wq = this.addWeight('wq', [d, inner], 'float32', init);
+      this.wk = this.addWeight('wk', [d, inner], 'float32', init);
+      this.wv = this.addWeight('wv', [d, inner], 'float32', init);
+      this.wo = this.addWeight('wo', [inner, d], 'float32', init);
+      this.built = true;
+    }
+
+    computeOutputShape(inputShape) { return inputShape; }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        const [, T, d] = x.shape;
+        const H = this.numHeads, K = this.keyDim;
+        // [batch, time, d] -> [batch, heads, time, keyDim]
+        const project = w => x.reshape([-1, d]).matMul(w.read()).reshape([-1, T, H, K]).transpose([0, 2, 1, 3]);
+        const q = project(this.wq), k = project(this.wk), v = project(this.wv);
+        const weights = tf.softmax(tf.matMul(q, k, false, true).div(Math.sqrt(K)));
+        const heads = tf.matMul(weights, v).transpose([0, 2, 1, 3]).reshape([-1, H * K]);
+        return heads.matMul(this.wo.read()).reshape([-1, T, d]);
+      });
+    }
+
+    getConfig() {
+      return { ...super.getConfig(), numHeads: this.numHeads, keyDim: this.keyDim };
+    }
+  }
+  SelfAttention.className = 'SelfAttention';
+
+  // Columns [start, start + size) of a [batch, time, C] input: [batch, time, size], or only the last time
+  // step ([batch, size]) with lastStep (e.g. the constant symbol-id column of a pooled window)
+  class ColumnSlice extends tf.layers.Layer {
+    constructor(config = {}) {
+      super(config);
+      this.start = config.start || 0;
+      this.size = config.size || 1;
+      this.lastStep = !!config.lastStep;
+    }
+
+    computeOutputShape(inputShape) {
+      return this.lastStep ? [inputShape[0], this.size] : [inputShape[0], inputShape[1], this.size];
+    }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        const [, T] = x.shape;
+        return this.lastStep
+          ? x.slice([0, T - 1, this.start], [-1, 1, this.size]).squeeze([1])
+          : x.slice([0, 0, this.start], [-1, -1, this.size]);
+      });
+    }
+
+    getConfig() {
+      return { ...super.getConfig(), start: this.start, size: this.size, lastStep: this.lastStep };
+    }
+  }
+  ColumnSlice.className = 'ColumnSlice';
+
+  // Learned vector per symbol id: [batch, 1] ids (floats, as stored in the input window) -> [batch, outputDim].
+  // A one-hot product instead of tf.layers.embedding's gather, so gradients w.r.t. the input window
+  // (explainability) exist; they are zero for the id column.
+  class SymbolEmbedding extends tf.layers.Layer {
+    constructor(config = {}) {
+      super(config);
+      this.inputDim = config.inputDim;
+      this.outputDim = config.outputDim || 8;
+    }
+
+    build() {
+      this.embeddings = this.addWeight('embeddings', [this.inputDim, this.outputDim], 'float32',
+        tf.initializers.randomUniform({ minval: -0.05, maxval: 0.05 }));
+      this.built = true;
+    }
+
+    computeOutputShape(inputShape) { return [inputShape[0], this.outputDim]; }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        return tf.oneHot(x.reshape([-1]).toInt(), this.inputDim).toFloat().matMul(this.embeddings.read());
+      });
+    }
+
+    getConfig() {
+      return { ...super.getConfig(), inputDim: this.inputDim, outputDim: this.outputDim };
+    }
+  }
+  SymbolEmbedding.className = 'SymbolEmbedding';
+
+  return { PositionalEncoding, SelfAttention, ColumnSlice, SymbolEmbedding };
+}
+
+// Define (once) and register the custom layers; returns the classes
+export function registerCustomLayers() {
+  if (custom) return custom;
+  custom = defineLayers(tf);
+  Object.values(custom).forEach(cls => tf.serialization.registerClass(cls));
+  return custom;
+}
@@ -0,0 +1,219 @@
+// metrics.js
+// ES module: metrics for the per-symbol, per-horizon outputs of every target mode (binary, three-class,
+// regression), calibration bins and naive baseline predictors to compare against.
+// Exports: binaryMetrics, multiClassMetrics, regressionMetrics, rocAuc, calibrationBins, majorityBaseline,
+//          persistenceBaseline, computeMetricsReport, evaluationSummary
+import { targetLabel } from './targets.js';
+
+const EPS = 1e-7;
+
+// Area under the ROC curve via the rank-sum (Mann-Whitney) statistic; ties get average ranks.
+// Returns NaN when only one class is present.
+export function rocAuc(probs, labels) {
+  const order = probs.map((p, i) => i).sort((a, b) => probs[a] - probs[b]);
+  const ranks = new Array(probs.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && probs[order[j + 1]] === probs[order[i]]) j++;
+    for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  const pos = labels.filter(l => l === 1).length;
+  const neg = labels.length - pos;
+  if (!pos || !neg) return NaN;
+  const rankSum = labels.reduce((acc, l, i) => acc + (l === 1 ? ranks[i] : 0), 0);
+  return (rankSum - pos * (pos + 1) / 2) / (pos * neg);
+}
+
+// Confusion matrix and scores for probabilities vs 0/1 labels at the given threshold
+export function binaryMetrics(probs, labels, threshold = 0.5) {
+  let tp = 0, fp = 0, tn = 0, fn = 0, logLoss = 0, brier = 0;
+  probs.forEach((p, i) => {
+    const y = labels[i];
+    const pred = p > threshold ? 1 : 0;
+    if (pred === 1 && y === 1) tp++;
+    else if (pred === 1) fp++;
+    else if (y === 0) tn++;
+    else fn++;
+    const pc = Math.min(Math.max(p, EPS), 1 - EPS);
+    logLoss -= y * Math.log(pc) + (1 - y) * Math.log(1 - pc);
+    brier += (p - y) ** 2;
+  });
+  const n = probs.length;
+  const precision = tp + fp ? tp / (tp + fp) : 0;
+  const recall = tp + fn ? tp / (tp + fn) : 0;
+  const mccDen = Math.sqrt((tp + fp) * (tp + fn) * (tn + fp) * (tn + fn));
+  return {
+    n, tp, fp, tn, fn,
+    accuracy: n ? (tp + tn) / n : 0,
+    precision,
+    recall,
+    f1: precision + recall ? 2 * precision * recall / (precision + recall) : 0,
+    mcc: mccDen ? (tp * tn - fp * fn) / mccDen : 0,
+    logLoss: n ? logLoss / n : 0,
+    brier: n ? brier / n : 0,
+    auc: rocAuc(probs, labels)
+  };
+}
+
+// Confusion matrix and scores for class-index predictions vs labels (classes 0..k-1).
+// classProbs (optional, [n][k]) adds the categorical log loss. MCC is the multi-class (Gorodkin) form.
+export function multiClassMetrics(preds, labels, classProbs = null, k = 3) {
+  const confusion = Array.from({ length: k }, () => new Array(k).fill(0)); // [true][pred]
+  preds.forEach((p, i) => { confusion[labels[i]][p]++; });
+  const n = preds.length;
+  const trueCounts = confusion.map(row => row.reduce((a, b) => a + b, 0));
+  const predCounts = confusion[0].map((_, c) => confusion.reduce((acc, row) => acc + row[c], 0));
+  const correct = confusion.reduce((acc, row, c) => acc + row[c], 0);
+  const perClass = confusion.map((row, c) => {
+    const precision = predCounts[c] ? row[c] / predCounts[c] : 0;
+    const recall = trueCounts[c] ? row[c] / trueCounts[c] : 0;
+    return { precision, recall, f1: precision + recall ? 2 * precision * recall / (precision + recall) : 0, support: trueCounts[c] };
+  });
+  const cov = (a, b) => n * n - a.reduce((acc, v, c) => acc + v * b[c], 0);
+  const mccDen = Math.sqrt(cov(predCounts, predCounts) * cov(trueCounts, trueCounts));
+  let logLoss = NaN;
+  if (classProbs) {
+    logLoss = n ? -classProbs.reduce((acc, probs, i) => acc + Math.log(Math.max(probs[labels[i]], EPS)), 0) / n : 0;
+  }
+  return {
+    n, confusion, perClass,
+    accuracy: n ? correct / n : 0,
+    macroF1: perClass.reduce((acc, c) => acc + c.f1, 0) / k,
+    mcc: mccDen ? (correct * n - predCounts.reduce((acc, v, c) => acc + v * trueCounts[c], 0)) / mccDen : 0,
+    logLoss
+  };
+}
+
+// Errors and directional accuracy of predicted vs actual returns
+export function regressionMetrics(preds, truths) {
+  const n = preds.length;
+  if (!n) return { n, mae: NaN, rmse: NaN, directionalAccuracy: NaN, corr: NaN };
+  let abs = 0, sq = 0, dir = 0;
+  preds.forEach((p, i) => {
+    const e = p - truths[i];
+    abs += Math.abs(e); sq += e * e;
+    if ((p > 0) === (truths[i] > 0)) dir++;
+  });
+  const mp = preds.reduce((a, b) => a + b, 0) / n;
+  const mt = truths.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  preds.forEach((p, i) => { sxy += (p - mp) * (truths[i] - mt); sxx += (p - mp) ** 2; syy += (truths[i] - mt) ** 2; });
+  return {
+    n,
+    mae: abs / n,
+    rmse: Math.sqrt(sq / n),
+    directionalAccuracy: dir / n,
+    corr: sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN
+  };
+}
+
+// Reliability diagram data: equal-width probability bins with mean prediction and observed up-rate
+export function calibrationBins(probs, labels, bins = 10) {
+  const out = Array.from({ length: bins }, (_, b) => ({ binStart: b / bins, binEnd: (b + 1) / bins, sumPred: 0, sumPos: 0, count: 0 }));
+  probs.forEach((p, i) => {
+    const b = out[Math.min(bins - 1, Math.floor(p * bins))];
+    b.sumPred += p; b.sumPos += labels[i]; b.count++;
+  });
+  return out.map(({ binStart, binEnd, sumPred, sumPos, count }) => ({
+    binStart, binEnd, count,
+    meanPred: count ? sumPred / count : NaN,
+    fracPos: count ? sumPos / count : NaN
+  }));
+}
+
+// Majority-class baseline: for each symbol/horizon predict the most common training label (ties go to
+// the higher label, i.e. up). For regression it predicts the mean training return instead.
+// trainTruthArr: [Ntrain, S, h] labels; returns [n, S, h]
+export function majorityBaseline(trainTruthArr, n, mode = 'binary') {
+  const S = trainTruthArr[0].length, h = trainTruthArr[0][0].length;
+  const majority = Array.from({ length: S }, (_, s) => Array.from({ length: h }, (_, k) => {
+    const values = trainTruthArr.map(sample => sample[s][k]);
+    if (mode === 'regression') return values.reduce((a, b) => a + b, 0) / values.length;
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => (b[1] - a[1]) || (b[0] - a[0]))[0][0];
+  }));
+  return Array.from({ length: n }, () => majority.map(row => row.slice()));
+}
+
+// "Same as yesterday" baseline: predict that the last k-day move repeats, i.e. for horizon k
+// predict the target of the return Close(D) / Close(D-k) - 1. Uses only data known at the anchor date.
+// anchors: [n] date indices; returns [n, S, h] labels for dataLoader.target
+export function persistenceBaseline(dataLoader, anchors) {
+  const h = dataLoader.forecastHorizon;
+  const series = dataLoader.symbols.map(sym => dataLoader.perSymbolSeries[sym]);
+  return anchors.map(i => series.map(ser => Array.from({ length: h }, (_, k) => {
+    const past = ser[i - (k + 1)];
+    return targetLabel(past ? ser[i].close / past.close - 1 : 0, dataLoader.target);
+  })));
+}
+
+// flatten [n, S, h] into a vector for one symbol and/or horizon (null = all)
+function pick(arr, s, k) {
+  const out = [];
+  arr.forEach(sample => sample.forEach((stock, si) => {
+    if (s !== null && si !== s) return;
+    stock.forEach((v, ki) => { if (k === null || ki === k) out.push(v); });
+  }));
+  return out;
+}
+
+// Full report for model outputs (and optional baselines) against labels, by target mode:
+// binary/threshold use probArr with binaryMetrics, threeClass uses predArr (+ classProbArr) with
+// multiClassMetrics, regression uses predArr (returns) with regressionMetrics.
+// probArr/predArr/truthArr: [n, S, h]; classProbArr: [n, S, h, 3];
+// baselines: { name: [n, S, h] probabilities / 0/1 predictions, class indices or returns }
+// Returns { mode, overall, perHorizon: [h], perSymbolHorizon: [S][h], calibration (null for regression),
+//           baselines: { name: { overall, perHorizon } } }
+export function computeMetricsReport({ probArr, predArr = null, classProbArr = null, truthArr, symbols,
+                                       threshold = 0.5, baselines = {}, mode = 'binary' }) {
+  const h = truthArr[0][0].length;
+  const horizons = Array.from({ length: h }, (_, k) => k);
+  const score = (preds, probs, s, k) => {
+    const labels = pick(truthArr, s, k);
+    if (mode === 'regression') return regressionMetrics(pick(preds, s, k), labels);
+    if (mode === 'threeClass') return multiClassMetrics(pick(preds, s, k), labels, probs ? pick(probs, s, k) : null);
+    return binaryMetrics(pick(preds, s, k), labels, threshold);
+  };
+  const modelPreds = mode === 'regression' || mode === 'threeClass' ? predArr : probArr;
+  const modelProbs = mode === 'threeClass' ? classProbArr : null;
+  const upLabels = pick(truthArr, null, null).map(v => mode === 'threeClass' ? (v === 2 ? 1 : 0) : v);
+  const report = {
+    mode,
+    threshold,
+    overall: score(modelPreds, modelProbs, null, null),
+    perHorizon: horizons.map(k => score(modelPreds, modelProbs, null, k)),
+    perSymbolHorizon: symbols.map((_, s) => horizons.map(k => score(modelPreds, modelProbs, s, k))),
+    calibration: mode === 'regression' ? null : calibrationBins(pick(probArr, null, null), upLabels),
+    baselines: {}
+  };
+  // baselines are scored at 0.5 (their outputs are 0/1 predictions)
+  const baselineScore = (arr, k) => mode === 'binary' || mode === 'threshold'
+    ? binaryMetrics(pick(arr, null, k), pick(truthArr, null, k), 0.5)
+    : score(arr, null, null, k);
+  for (const [name, arr] of Object.entries(baselines)) {
+    report.baselines[name] = {
+      overall: baselineScore(arr, null),
+      perHorizon: horizons.map(k => baselineScore(arr, k))
+    };
+  }
+  return report;
+}
+
+// Headline numbers for an evaluateTestSet result of any target mode (NaN where a metric does not
+// apply): { accuracy (directional for regression), auc, mcc, logLoss, rmse, mae }
+export function evaluationSummary(res, threshold = 0.5) {
+  const preds = res.predArr.flat(2);
+  const truths = res.truthArr.flat(2);
+  if (res.targetMode === 'regression') {
+    const m = regressionMetrics(preds, truths);
+    return { accuracy: m.directionalAccuracy, auc: rocAuc(preds, truths.map(v => v > 0 ? 1 : 0)), mcc: NaN, logLoss: NaN, rmse: m.rmse, mae: m.mae };
+  }
+  if (res.targetMode === 'threeClass') {
+    const m = multiClassMetrics(preds, truths, res.classProbArr.flat(2));
+    return { accuracy: m.accuracy, auc: rocAuc(res.probArr.flat(2), truths.map(v => v === 2 ? 1 : 0)), mcc: m.mcc, logLoss: m.logLoss, rmse: NaN, mae: NaN };
+  }
+  const m = binaryMetrics(res.probArr.flat(2), truths, threshold);
+  return { accuracy: m.accuracy, auc: m.auc, mcc: m.mcc, logLoss: m.logLoss, rmse: NaN, mae: NaN };
+}
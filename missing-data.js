@@ -0,0 +1,89 @@
+// missing-data.js
+// ES module: missing-data strategies for the pivoted per-symbol series and per-symbol quality stats.
+// Exports: MISSING_STRATEGIES, DEFAULT_MISSING_CONFIG, fillSeries, symbolQuality
+
+// drop:        leave gaps; any window touching a gap is discarded (original behaviour)
+// ffill:       carry the last value forward over gaps of at most maxGap days
+// interpolate: linear interpolation across interior gaps of at most maxGap days
+// mask:        forward/back-fill every gap and add a per-symbol 0/1 "missing" indicator feature
+// Interpolation and back-filling read a later day. fillSeries marks those days (lookahead) and the loader
+// never anchors a sample on them, so every such gap ends before the anchor of any window that uses it.
+export const MISSING_STRATEGIES = {
+  drop: 'Drop incomplete windows',
+  ffill: 'Forward-fill (max gap)',
+  interpolate: 'Linear interpolation (max gap)',
+  mask: 'Fill + missing indicator'
+};
+
+// minCoverage: symbols with a smaller fraction of dates present are dropped before preparing
+export const DEFAULT_MISSING_CONFIG = { strategy: 'drop', maxGap: 3, minCoverage: 0 };
+
+const VALUE_KEYS = ['open', 'high', 'low', 'close', 'adjClose', 'volume'];
+
+// runs of NaN in values: [{ start, end }] (inclusive)
+function nanRuns(values) {
+  const runs = [];
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isNaN(values[i])) continue;
+    let j = i;
+    while (j + 1 < values.length && Number.isNaN(values[j + 1])) j++;
+    runs.push({ start: i, end: j });
+    i = j;
+  }
+  return runs;
+}
+
+// fills one column; lookahead[t] is set where the fill used a later value
+function fillColumn(values, strategy, maxGap, lookahead) {
+  const out = values.slice();
+  if (strategy === 'drop') return out;
+  // columns that are entirely absent stay absent (feature config drops them)
+  if (values.every(v => Number.isNaN(v))) return out;
+  for (const { start, end } of nanRuns(values)) {
+    const len = end - start + 1;
+    const before = start > 0 ? out[start - 1] : NaN;
+    const after = end + 1 < values.length ? values[end + 1] : NaN;
+    if (strategy === 'mask') {
+      const fill = Number.isNaN(before) ? after : before; // leading gaps are back-filled
+      for (let t = start; t <= end; t++) { out[t] = fill; if (Number.isNaN(before)) lookahead[t] = 1; }
+    } else if (len <= maxGap && !Number.isNaN(before)) {
+      if (strategy === 'ffill') {
+        for (let t = start; t <= end; t++) out[t] = before;
+      } else if (strategy === 'interpolate' && !Number.isNaN(after)) {
+        for (let t = start; t <= end; t++) { out[t] = before + (after - before) * (t - start + 1) / (len + 1); lookahead[t] = 1; }
+      }
+    }
+  }
+  return out;
+}
+
+// Apply a strategy to one symbol's series ({date, open, ..., volume} per date).
+// Returns { series: filled copy, missing: number[], lookahead: number[] } where missing[t] = 1 if the row
+// had no close originally and lookahead[t] = 1 if any value of row t was filled from a later day.
+export function fillSeries(series, { strategy = 'drop', maxGap = 3 } = {}) {
+  if (!MISSING_STRATEGIES[strategy]) throw new Error(`Unknown missing-data strategy: ${strategy}`);
+  const filled = series.map(v => ({ ...v }));
+  const lookahead = new Array(series.length).fill(0);
+  for (const key of VALUE_KEYS) {
+    const col = fillColumn(series.map(v => v[key]), strategy, maxGap, lookahead);
+    col.forEach((value, t) => { filled[t][key] = value; });
+  }
+  return { series: filled, missing: series.map(v => Number.isNaN(v.close) ? 1 : 0), lookahead };
+}
+
+// Coverage and gap statistics for one symbol's (unfilled) series
+export function symbolQuality(series) {
+  const present = series.map(v => !Number.isNaN(v.close));
+  const first = present.indexOf(true);
+  const last = present.lastIndexOf(true);
+  const interior = first < 0 ? [] : series.slice(first, last + 1).map(v => v.close);
+  const gaps = nanRuns(interior);
+  return {
+    rows: present.filter(Boolean).length,
+    coverage: present.filter(Boolean).length / series.length,
+    firstDate: first < 0 ? null : series[first].date,
+    lastDate: last < 0 ? null : series[last].date,
+    gaps: gaps.length,
+    longestGap: gaps.reduce((m, g) => Math.max(m, g.end - g.start + 1), 0)
+  };
+}
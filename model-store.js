@@ -0,0 +1,176 @@
+// model-store.js
+// ES module: model bundles (model.json + weights + metadata manifest), named IndexedDB slots and
+// file download/upload. The manifest records what the model was trained on so a load can be
+// checked against the currently prepared dataset.
+// Exports: BUNDLE_FORMAT, buildManifest, validateManifest, fingerprintWarning, listSlots, saveToSlot, loadFromSlot,
+//          deleteSlot, bundleArtifacts, downloadArtifacts, loadFromFiles, loadFromArtifacts
+import { tf } from './runtime.js';
+import { describeTarget } from './targets.js';
+
+export const BUNDLE_FORMAT = 'gru-multi-stock-bundle';
+const BUNDLE_VERSION = 1;
+const SLOT_PREFIX = 'indexeddb://gru-slot-';
+
+// Manifest for a trained model and the dataset it was prepared from
+export function buildManifest(model, dataLoader) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    model: model.getConfig(),
+    symbols: dataLoader.symbols.slice(), // order matters: it defines the input/output columns
+    sequenceLength: dataLoader.sequenceLength,
+    forecastHorizon: dataLoader.forecastHorizon,
+    featureConfig: dataLoader.featureConfig,
+    featureNames: dataLoader.featureSpecs.map(f => f.name),
+    missingData: dataLoader.missingConfig,
+    target: dataLoader.target,
+    sampleLayout: dataLoader.sampleLayout,
+    marketContext: dataLoader.marketContext,
+    normalization: dataLoader.getNormalizationState(),
+    fingerprint: dataLoader.fingerprint() // content hash of the training data (see DataLoader.fingerprint)
+  };
+}
+
+// Compare a manifest with the prepared dataset. Returns a list of human-readable problems
+// (empty when the model can be used on this data as-is).
+export function validateManifest(manifest, dataLoader) {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    return ['Model has no bundle manifest: symbols, window and normalization cannot be checked.'];
+  }
+  const problems = [];
+  if (manifest.version > BUNDLE_VERSION) problems.push(`Bundle version ${manifest.version} is newer than supported (${BUNDLE_VERSION}).`);
+  const missing = manifest.symbols.filter(s => !dataLoader.symbols.includes(s));
+  const extra = dataLoader.symbols.filter(s => !manifest.symbols.includes(s));
+  if (missing.length) problems.push(`Symbols missing from data: ${missing.join(', ')}`);
+  if (extra.length) problems.push(`Symbols not in model: ${extra.join(', ')}`);
+  if (!missing.length && !extra.length && manifest.symbols.join() !== dataLoader.symbols.join()) {
+    problems.push(`Symbol order differs (model: ${manifest.symbols.join(', ')}).`);
+  }
+  if (manifest.sequenceLength !== dataLoader.sequenceLength) {
+    problems.push(`Sequence length: model ${manifest.sequenceLength}, data ${dataLoader.sequenceLength}`);
+  }
+  if (manifest.forecastHorizon !== dataLoader.forecastHorizon) {
+    problems.push(`Forecast horizon: model ${manifest.forecastHorizon}, data ${dataLoader.forecastHorizon}`);
+  }
+  const modelTarget = (manifest.model && manifest.model.target) || manifest.target || { mode: 'binary' };
+  // the threshold / dead band only change the labels of their own mode
+  const dataTarget = dataLoader.target;
+  if (modelTarget.mode !== dataTarget.mode) {
+    problems.push(`Target: model ${modelTarget.mode}, data ${dataTarget.mode}`);
+  } else if ((dataTarget.mode === 'threshold' && modelTarget.threshold !== dataTarget.threshold) ||
+             (dataTarget.mode === 'threeClass' && modelTarget.deadBand !== dataTarget.deadBand)) {
+    problems.push(`Target: model ${describeTarget(modelTarget)}, data ${describeTarget(dataTarget)}`);
+  }
+  const modelLayout = manifest.sampleLayout || 'joint';
+  if (modelLayout !== dataLoader.sampleLayout || !!manifest.marketContext !== dataLoader.marketContext) {
+    const describe = (layout, market) => `${layout}${market ? ' with market context' : ''}`;
+    problems.push(`Sample layout: model ${describe(modelLayout, manifest.marketContext)}, data ${describe(dataLoader.sampleLayout, dataLoader.marketContext)}`);
+  }
+  const dataFeatures = dataLoader.featureSpecs.map(f => f.name).join(', ');
+  if (manifest.featureNames.join(', ') !== dataFeatures) {
+    problems.push(`Features: model [${manifest.featureNames.join(', ')}], data [${dataFeatures}]`);
+  }
+  return problems;
+}
+
+// Warning text when the prepared data is not the data the model was trained on (different dataset
+// fingerprint), else null. Not a problem for validateManifest: the model still fits the data's shapes.
+export function fingerprintWarning(manifest, dataLoader) {
+  if (!manifest || !manifest.fingerprint) return null;
+  const data = dataLoader.fingerprint();
+  if (manifest.fingerprint.hash === data.hash) return null;
+  const fp = manifest.fingerprint;
+  return `Evaluating on different data than the model was trained on: dataset fingerprint ${data.hash} ` +
+    `(${data.firstDate}..${data.lastDate}), model trained on ${fp.hash} (${fp.firstDate}..${fp.lastDate}).`;
+}
+
+// Named IndexedDB slots: [{ name, dateSaved, sizeBytes }]
+export async function listSlots() {
+  const models = await tf.io.listModels();
+  return Object.entries(models)
+    .filter(([url]) => url.startsWith(SLOT_PREFIX))
+    .map(([url, info]) => ({
+      name: url.slice(SLOT_PREFIX.length),
+      dateSaved: info.dateSaved,
+      sizeBytes: (info.modelTopologyBytes || 0) + (info.weightDataBytes || 0)
+    }))
+    .sort((a, b) => new Date(b.dateSaved) - new Date(a.dateSaved));
+}
+
+export async function saveToSlot(model, name, manifest) {
+  return await model.save(`${SLOT_PREFIX}${name}`, manifest);
+}
+
+export async function loadFromSlot(model, name) {
+  return await model.load(`${SLOT_PREFIX}${name}`);
+}
+
+export async function deleteSlot(name) {
+  return await tf.io.removeModel(`${SLOT_PREFIX}${name}`);
+}
+
+// Serialized model (topology + weight specs + weight buffers, manifest embedded) without touching the
+// DOM, so a worker can hand it to the page: { artifacts, manifest }
+export async function bundleArtifacts(model, manifest) {
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async a => {
+    artifacts = a;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }), manifest);
+  return { artifacts, manifest };
+}
+
+// Download <name>.json + <name>.weights.bin (manifest embedded) and <name>.manifest.json
+// (same files as tf's downloads:// handler, plus the manifest)
+export function downloadArtifacts(name, { artifacts, manifest }) {
+  const modelJson = {
+    modelTopology: artifacts.modelTopology,
+    format: artifacts.format,
+    generatedBy: artifacts.generatedBy,
+    convertedBy: artifacts.convertedBy,
+    userDefinedMetadata: artifacts.userDefinedMetadata,
+    weightsManifest: [{ paths: [`./${name}.weights.bin`], weights: artifacts.weightSpecs }]
+  };
+  const files = [
+    [`${name}.json`, new Blob([JSON.stringify(modelJson)], { type: 'application/json' })],
+    [`${name}.weights.bin`, new Blob([].concat(artifacts.weightData), { type: 'application/octet-stream' })],
+    [`${name}.manifest.json`, new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' })]
+  ];
+  for (const [fileName, blob] of files) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+}
+
+// Load from uploaded files: model.json, its .bin weight file(s) and an optional *.manifest.json
+// (used when model.json carries no embedded manifest).
+export async function loadFromFiles(model, files) {
+  const list = Array.from(files);
+  const manifestFile = list.find(f => f.name.endsWith('.manifest.json'));
+  const jsonFile = list.find(f => f.name.endsWith('.json') && f !== manifestFile);
+  const weightFiles = list.filter(f => f.name.endsWith('.bin'));
+  if (!jsonFile) throw new Error('Select the model .json file (plus its .bin weights)');
+  if (!weightFiles.length) throw new Error('Select the .bin weight file(s) together with the model .json');
+  await model.load(tf.io.browserFiles([jsonFile, ...weightFiles]));
+  if (manifestFile) applyManifest(model, JSON.parse(await manifestFile.text()));
+  return model.model;
+}
+
+// Load serialized artifacts ({ modelTopology, weightSpecs, weightData, ... }, e.g. a bundle read from
+// disk); manifest is used when the artifacts carry no embedded one
+export async function loadFromArtifacts(model, artifacts, manifest = null) {
+  await model.load(tf.io.fromMemory(artifacts));
+  if (manifest) applyManifest(model, manifest);
+  return model.model;
+}
+
+// a separate manifest only fills in for a missing embedded one
+function applyManifest(model, manifest) {
+  if (model.metadata) return;
+  model.metadata = manifest;
+  if (manifest.model) Object.assign(model, manifest.model);
+}
@@ -0,0 +1,124 @@
+// models.js
+// ES module: model registry. Every architecture extends GRUModel and only swaps the sequence
+// encoder (buildBody), so fit/predict/evaluateTestSet/save/load behave the same for all of them.
+// Exports: LSTMModel, CNNModel, TransformerModel, LogisticModel, MODEL_REGISTRY, createModel
+import { GRUModel } from './gru.js';
+import { registerCustomLayers } from './layers.js';
+import { tf } from './runtime.js';
+
+// Stacked LSTM layers (same layout as the GRU stack)
+export class LSTMModel extends GRUModel {
+  constructor(opts = {}) {
+    super(opts);
+    this.architecture = 'lstm';
+  }
+
+  buildBody(input, { bidirectional = this.bidirectional, returnSequences = false } = {}) {
+    let x = input;
+    for (let l = 0; l < this.depth; l++) {
+      const last = l === this.depth - 1;
+      const lstm = tf.layers.lstm({
+        units: this.layerUnits(l),
+        returnSequences: last ? returnSequences : true,
+        dropout: this.dropout,
+        recurrentDropout: this.recurrentDropout
+      });
+      x = (bidirectional ? tf.layers.bidirectional({ layer: lstm, mergeMode: 'concat' }) : lstm).apply(x);
+    }
+    return x;
+  }
+}
+
+// Temporal convolution: stacked 1D convolutions over time, flattened for the head.
+// 'same' padding and no dilation (tfjs has no causal conv1d or dilated conv gradients);
+// the whole window is already in the past, so nothing leaks.
+export class CNNModel extends GRUModel {
+  constructor(opts = {}) {
+    super(opts);
+    this.architecture = 'cnn';
+    this.kernelSize = opts.kernelSize || 3;
+  }
+
+  buildBody(input) {
+    let x = input;
+    for (let l = 0; l < this.depth; l++) {
+      x = tf.layers.conv1d({
+        filters: this.gruUnits,
+        kernelSize: this.kernelSize,
+        padding: 'same',
+        activation: 'relu'
+      }).apply(x);
+      if (this.dropout > 0) x = tf.layers.dropout({ rate: this.dropout }).apply(x);
+    }
+    return x; // 3D, flattened by buildModel
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), kernelSize: this.kernelSize };
+  }
+}
+
+// Small Transformer encoder: linear projection + positional encoding, then `depth` blocks of
+// self-attention and feed-forward sublayers with residuals and layer norm, averaged over time.
+export class TransformerModel extends GRUModel {
+  constructor(opts = {}) {
+    super(opts);
+    this.architecture = 'transformer';
+    this.numHeads = opts.numHeads || 2;
+  }
+
+  buildBody(input) {
+    const { PositionalEncoding, SelfAttention } = registerCustomLayers();
+    const d = this.gruUnits;
+    let x = tf.layers.dense({ units: d }).apply(input);
+    x = new PositionalEncoding({}).apply(x);
+    for (let l = 0; l < this.depth; l++) {
+      let a = new SelfAttention({ numHeads: this.numHeads, keyDim: Math.max(4, Math.floor(d / this.numHeads)) }).apply(x);
+      if (this.dropout > 0) a = tf.layers.dropout({ rate: this.dropout }).apply(a);
+      x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, a]));
+      let f = tf.layers.dense({ units: d * 2, activation: 'relu' }).apply(x);
+      f = tf.layers.dense({ units: d }).apply(f);
+      if (this.dropout > 0) f = tf.layers.dropout({ rate: this.dropout }).apply(f);
+      x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, f]));
+    }
+    return tf.layers.globalAveragePooling1d().apply(x);
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), numHeads: this.numHeads };
+  }
+}
+
+// Baseline: logistic regression on the flattened input window (no hidden layers)
+export class LogisticModel extends GRUModel {
+  constructor(opts = {}) {
+    super(opts);
+    this.architecture = 'logistic';
+  }
+
+  buildBody(input) {
+    return tf.layers.flatten().apply(input);
+  }
+
+  // 'perHorizon' heads stay linear too, so every horizon is still a logistic regression on the window
+  horizonHidden(x) {
+    return x;
+  }
+}
+
+// name -> { label, create(opts) }; opts are the GRUModel constructor options
+export const MODEL_REGISTRY = {
+  gru: { label: 'GRU', create: opts => new GRUModel({ ...opts, bidirectional: false }) },
+  bigru: { label: 'Bidirectional GRU', create: opts => new GRUModel({ ...opts, bidirectional: true }) },
+  lstm: { label: 'LSTM', create: opts => new LSTMModel({ ...opts, bidirectional: false }) },
+  cnn: { label: 'Temporal 1D-CNN', create: opts => new CNNModel(opts) },
+  transformer: { label: 'Transformer encoder', create: opts => new TransformerModel(opts) },
+  logistic: { label: 'Logistic regression (baseline)', create: opts => new LogisticModel(opts) }
+};
+
+// Create an (unbuilt) model of the given architecture
+export function createModel(architecture = 'gru', opts = {}) {
+  const entry = MODEL_REGISTRY[architecture];
+  if (!entry) throw new Error(`Unknown model architecture: ${architecture}`);
+  return entry.create(opts);
+}
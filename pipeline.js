@@ -0,0 +1,622 @@
+// pipeline.js
+// ES module: the data / model pipeline behind the worker and the command line. Owns the DataLoader, the
+// model (or ensemble) and every tensor, and serves requests (prepare, train, evaluate, forecast, search,
+// walk-forward, explainability, model storage) one at a time by name. worker.js forwards page messages
+// to runRequest(); cli.js calls it directly under Node, so both run exactly the same code.
+// Exports: runRequest, requestStop, setLogger
+import { DataLoader } from './data-loader.js';
+import { GRUModel } from './gru.js';
+import { createModel } from './models.js';
+import { WalkForward } from './walk-forward.js';
+import { simulateStrategy, simulateBuyAndHold } from './backtest.js';
+import { computeMetricsReport, majorityBaseline, persistenceBaseline, evaluationSummary } from './metrics.js';
+import { HyperparameterSearch, DATA_PARAMS } from './search.js';
+import { buildManifest, validateManifest, fingerprintWarning, listSlots, saveToSlot, loadFromSlot, deleteSlot, bundleArtifacts, loadFromFiles,
+         loadFromArtifacts } from './model-store.js';
+import { saliency, integratedGradients, featureGroups, permutationImportance } from './explain.js';
+import { outputsPerStep } from './targets.js';
+import { trainEnsemble, sampleOutputs, summarizeSamples, coverageCurve } from './uncertainty.js';
+import { tf } from './runtime.js';
+import { seedRandom } from './random.js';
+import { predictionRecords } from './report.js';
+
+let logger = () => {};
+const log = (...args) => logger(...args);
+
+let dataLoader = new DataLoader({ sequenceLength: 12, forecastHorizon: 3 });
+dataLoader.setLogger(log);
+let model = new GRUModel(); // placeholder; shapes come from the prepared dataset when a model is built
+let members = [model]; // ensemble members; members[0] is `model` (saved, exported and explained)
+let training = null; // member currently in fit(), for stop requests
+let tensors = null;
+let lastMeta = null; // prepareDataset() result for the current tensors
+let evalResults = null; // full evaluateTestSet result for metrics / strategy requests
+let modelFromStore = false;
+let stopRequested = false;
+let pendingWindows = 0; // newest test windows appended since the last fine-tune
+
+// what the page needs to render a prepared dataset
+function datasetInfo() {
+  return {
+    meta: lastMeta,
+    sampleDatesTest: tensors.sampleDatesTest,
+    featureSpecNames: dataLoader.featureSpecs.map(f => f.name),
+    normalization: { scaler: dataLoader.scaler, range: dataLoader.normalizerFitRange },
+    missingStrategy: dataLoader.missingConfig.strategy,
+    quality: dataLoader.dataQualityReport(),
+    pendingWindows
+  };
+}
+
+function prepare(options) {
+  evalResults = null;
+  pendingWindows = 0;
+  lastMeta = dataLoader.prepareDataset(options);
+  tensors = dataLoader.getTensors();
+  return datasetInfo();
+}
+
+// a loaded model replaces the ensemble (only members[0] is stored)
+function dropEnsemble() {
+  members.slice(1).forEach(m => m.dispose());
+  members = [model];
+}
+
+// Accuracy of the model (ensemble mean) on the last n test windows:
+// { overall, perHorizon: number[h], perWindow: number[n] } (regression: directional accuracy)
+function recentAccuracy(n) {
+  const { symbols, forecastHorizon } = lastMeta;
+  const start = tensors.X_test.shape[0] - n * dataLoader.rowsPerSample;
+  const X = tensors.X_test.slice(start);
+  const y = tensors.y_test.slice(start);
+  const preds = tf.tidy(() => tf.stack(members.map(m => m.model.predict(X))).mean(0));
+  try {
+    const res = model.evaluatePredictions(preds, y, symbols, forecastHorizon);
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    return { overall: res.overallAcc, perHorizon: res.perHorizonAcc, perWindow: res.hitArr.map(sample => mean(sample.flat())) };
+  } finally {
+    [X, y, preds].forEach(t => t.dispose());
+  }
+}
+
+function requireDataset() {
+  if (!tensors) throw new Error('Prepare dataset first');
+}
+
+function requireModel() {
+  requireDataset();
+  if (!model.model) throw new Error('Model not built/trained');
+}
+
+// model summary for the page (it never sees the model itself)
+function modelInfo() {
+  return {
+    architecture: model.architecture,
+    target: model.target,
+    metricName: model.metricName,
+    params: model.model ? model.model.countParams() : 0,
+    fromStore: modelFromStore,
+    ensembleSize: members.length,
+    hasDropout: model.hasDropout,
+    sampleLayout: model.sampleLayout
+  };
+}
+
+// Model options from the page's model config; shapes always come from the loader so search trials
+// with other data params get matching input/output sizes (pooled: per symbol row, see SAMPLE_LAYOUTS)
+function modelFactory(config) {
+  return ({ architecture = config.architecture, ...cfg } = {}) => {
+    const opts = { ...config, ...cfg };
+    DATA_PARAMS.forEach(k => delete opts[k]);
+    delete opts.architecture; delete opts.batchSize;
+    const pooled = dataLoader.sampleLayout === 'pooled';
+    opts.inputShape = [dataLoader.sequenceLength, dataLoader.inputWidth()];
+    opts.denseUnits = (pooled ? 1 : dataLoader.symbols.length) * dataLoader.forecastHorizon * outputsPerStep(dataLoader.target);
+    opts.target = dataLoader.target;
+    opts.horizon = dataLoader.forecastHorizon;
+    opts.sampleLayout = dataLoader.sampleLayout;
+    opts.vocabulary = pooled ? dataLoader.symbols.length : 0;
+    return createModel(architecture, opts);
+  };
+}
+
+// metrics report with majority / persistence baselines for the current evaluation
+function metricsReport(threshold) {
+  const symbols = lastMeta.symbols;
+  const h = dataLoader.forecastHorizon;
+  const mode = evalResults.targetMode;
+  const K = outputsPerStep(dataLoader.target);
+  // training labels in the same form as evalResults.truthArr (class index for three classes)
+  const trainTruth = tf.tidy(() => tensors.y_train.reshape([-1, symbols.length, h, K]).arraySync())
+    .map(sample => sample.map(stock => stock.map(v => K === 3 ? v.indexOf(Math.max(...v)) : v[0])));
+  return computeMetricsReport({
+    mode,
+    probArr: evalResults.probArr,
+    predArr: evalResults.predArr,
+    classProbArr: evalResults.classProbArr,
+    truthArr: evalResults.truthArr,
+    symbols,
+    threshold,
+    baselines: {
+      [mode === 'regression' ? 'Mean return' : 'Majority class']: majorityBaseline(trainTruth, evalResults.truthArr.length, mode),
+      'Same as yesterday': persistenceBaseline(dataLoader, tensors.anchorsTest)
+    }
+  });
+}
+
+// [samples][S][h] numbers -> Float32Array (sample-major), for transfer / storage with the run history
+function flatArray(arr3) {
+  return arr3 ? Float32Array.from(arr3.flat(2)) : null;
+}
+
+// Sampled test/forecast outputs [M, samples, denseUnits] for an uncertainty request { method, passes }
+function uncertaintySamples(X, { method, passes = 20 }) {
+  if (method === 'ensemble' && members.length < 2) throw new Error('Train an ensemble (2 or more members) first');
+  if (method === 'mcDropout' && !model.hasDropout) throw new Error('Monte Carlo dropout needs a model trained with dropout > 0');
+  return sampleOutputs(members, X, { method, passes });
+}
+
+// Spread summary of an uncertainty evaluation: mean std, per-symbol std per test sample (mean over
+// horizons) and accuracy-vs-coverage curves ranked by spread and by the mean prediction's confidence
+function uncertaintyReport({ method, passes = 20 }) {
+  const { hitArr, stdArr, predArr, probArr, classProbArr, targetMode } = evalResults;
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+  // lower = more certain: minus the probability of the predicted class, or minus the predicted move
+  const unsure = targetMode === 'regression' ? predArr.map(sample => sample.map(stock => stock.map(v => -Math.abs(v))))
+    : classProbArr ? classProbArr.map(sample => sample.map(stock => stock.map(p => -Math.max(...p))))
+    : probArr.map(sample => sample.map(stock => stock.map(p => -Math.max(p, 1 - p))));
+  return {
+    method,
+    samples: method === 'ensemble' ? members.length : passes,
+    meanStd: mean(stdArr.flat(2)),
+    perStockStd: lastMeta.symbols.map((_, s) => stdArr.map(sample => mean(sample[s]))),
+    coverage: { spread: coverageCurve(hitArr, stdArr), confidence: coverageCurve(hitArr, unsure) }
+  };
+}
+
+// Each handler gets (payload, ctx) with ctx.progress(pct, text), ctx.event(name, data) and
+// ctx.transfer(...buffers); its return value is the request result.
+const HANDLERS = {
+  async load({ sources, options }) {
+    dataLoader.dispose();
+    tensors = null;
+    evalResults = null;
+    await dataLoader.loadFromSources(sources, options);
+    return { allSymbols: dataLoader.allSymbols };
+  },
+
+  prepare({ sequenceLength, forecastHorizon, ...options }) {
+    tensors = null;
+    dataLoader.sequenceLength = sequenceLength;
+    dataLoader.forecastHorizon = forecastHorizon;
+    return prepare(options);
+  },
+
+  quality() {
+    if (!dataLoader.raw) throw new Error('No data loaded');
+    return { quality: dataLoader.dataQualityReport(), missingStrategy: dataLoader.missingConfig.strategy };
+  },
+
+  // Validate the loaded model against the prepared dataset. A model trained on a subset of the loaded
+  // symbols or for another target re-prepares the data for those first; on success the data is
+  // re-prepared with the model's own normalization so inputs are scaled exactly as in training.
+  checkModel({ trainSplitPercent }) {
+    requireDataset();
+    const result = { switchedSymbols: null, switchedTarget: false, switchedLayout: null, normalizationApplied: false };
+    const wanted = model.metadata && model.metadata.symbols;
+    const switchSymbols = wanted && wanted.join() !== dataLoader.symbols.join() && wanted.every(sym => dataLoader.allSymbols.includes(sym));
+    const switchTarget = JSON.stringify(model.target) !== JSON.stringify(dataLoader.target);
+    const layout = { sampleLayout: model.sampleLayout, marketContext: !!(model.metadata && model.metadata.marketContext) };
+    const switchLayout = layout.sampleLayout !== dataLoader.sampleLayout || layout.marketContext !== dataLoader.marketContext;
+    if (switchSymbols || switchTarget || switchLayout) {
+      prepare({ trainSplitPercent, symbols: switchSymbols ? wanted : dataLoader.selectedSymbols, target: model.target, ...layout });
+      if (switchSymbols) result.switchedSymbols = wanted;
+      result.switchedTarget = switchTarget;
+      if (switchLayout) result.switchedLayout = layout;
+    }
+    const meta = lastMeta;
+    result.problems = model.metadata
+      ? validateManifest(model.metadata, dataLoader)
+      : (model.inputShape.join() !== [meta.sequenceLength, meta.featuresPerStep].join() || model.denseUnits !== meta.outputDim
+        ? [`Model shape [${model.inputShape}] -> ${model.denseUnits} does not match dataset [${meta.sequenceLength},${meta.featuresPerStep}] -> ${meta.outputDim}`]
+        : []);
+    if (!result.problems.length && model.metadata && model.metadata.normalization) {
+      prepare({ trainSplitPercent, normalization: model.metadata.normalization, missing: model.metadata.missingData || dataLoader.missingConfig });
+      result.normalizationApplied = true;
+    }
+    result.model = modelInfo();
+    result.dataset = datasetInfo();
+    return result;
+  },
+
+  // ensemble: { size, bootstrap } trains `size` members (see uncertainty.js); events 'built' (first member),
+  // 'member' ({ index, size }) and 'epoch' ({ member, epoch, ...logs }). The result describes the first member.
+  async train({ modelConfig, epochs, batchSize, trainingOptions, ensemble = null }, ctx) {
+    requireDataset();
+    members.forEach(m => m.dispose());
+    model.dispose();
+    evalResults = null;
+    modelFromStore = false;
+    const size = ensemble ? Math.max(1, ensemble.size) : 1;
+    let member = 0;
+    const { members: trained, histories } = await trainEnsemble(modelFactory(modelConfig), tensors.X_train, tensors.y_train, {
+      size,
+      bootstrap: !!(ensemble && ensemble.bootstrap),
+      rowsPerSample: dataLoader.rowsPerSample,
+      fitOptions: {
+        epochs, batchSize, ...trainingOptions,
+        onEpochEnd: (epoch, logs) => ctx.event('epoch', { member, epoch: epoch + 1, ...logs })
+      },
+      onMember: (index, m) => {
+        member = index;
+        training = m;
+        if (index === 0) {
+          model = m;
+          members = [m];
+          log(`Built ${m.architecture} model with ${m.model.countParams()} parameters.`);
+          ctx.event('built', modelInfo());
+        }
+        if (size > 1) {
+          log(`Training ensemble member ${index + 1}/${size}${ensemble.bootstrap ? ' (bootstrap sample)' : ''}.`);
+          ctx.event('member', { index, size });
+        }
+      },
+      shouldStop: () => stopRequested
+    });
+    training = null;
+    members = trained;
+    model = trained[0];
+    model.metadata = buildManifest(model, dataLoader);
+    const history = histories[0];
+    return {
+      model: modelInfo(),
+      epochs: history.epoch.length,
+      cancelled: histories.some(h => h.cancelled),
+      stoppedEarly: !!history.stoppedEarly,
+      bestEpoch: history.bestEpoch
+    };
+  },
+
+  // uncertainty: { method: 'ensemble'|'mcDropout', passes } evaluates the mean of the sampled outputs
+  // and adds the spread report (see uncertaintyReport). dataWarning is set when the model's manifest
+  // fingerprint differs from the prepared data's (see fingerprintWarning)
+  async evaluate({ threshold, uncertainty = null }, ctx) {
+    requireModel();
+    ctx.progress(0, 'Predicting on test set...');
+    const { symbols, forecastHorizon } = lastMeta;
+    const dataWarning = fingerprintWarning(model.metadata, dataLoader);
+    if (dataWarning) log(dataWarning);
+    if (uncertainty) {
+      const samples = uncertaintySamples(tensors.X_test, uncertainty);
+      const { mean, stdArr } = summarizeSamples(samples, model.target, symbols.length, forecastHorizon);
+      samples.dispose();
+      evalResults = model.evaluatePredictions(mean, tensors.y_test, symbols, forecastHorizon);
+      mean.dispose();
+      evalResults.stdArr = stdArr;
+    } else {
+      evalResults = await model.evaluateTestSet(tensors.X_test, tensors.y_test, symbols, forecastHorizon);
+    }
+    ctx.progress(60, 'Computing metrics...');
+    const { perStockAcc, overallAcc, perStockTimeline, perStockHorizonAcc, perHorizonAcc, targetMode,
+            predArr, probArr, truthArr, hitArr, stdArr } = evalResults;
+    // flat test-set predictions (transferred) so the page can keep them with the run record;
+    // hit (0/1 per sample/symbol/horizon) drives the per-horizon timelines
+    const predictions = {
+      shape: [truthArr.length, lastMeta.symbols.length, lastMeta.forecastHorizon],
+      pred: flatArray(predArr),
+      prob: flatArray(probArr),
+      truth: flatArray(truthArr),
+      hit: Uint8Array.from(hitArr.flat(2)),
+      std: flatArray(stdArr)
+    };
+    ctx.transfer(...[predictions.pred, predictions.prob, predictions.truth, predictions.hit, predictions.std].filter(Boolean).map(a => a.buffer));
+    return {
+      perStockAcc, overallAcc, perStockTimeline, perStockHorizonAcc, perHorizonAcc, targetMode, predictions, dataWarning,
+      uncertainty: uncertainty ? uncertaintyReport(uncertainty) : null,
+      summary: evaluationSummary(evalResults, threshold),
+      metrics: metricsReport(threshold)
+    };
+  },
+
+  metrics({ threshold }) {
+    if (!evalResults) throw new Error('Evaluate the model first');
+    return metricsReport(threshold);
+  },
+
+  // the last evaluation as flat per date / symbol / horizon records with realized closes (see report.js)
+  predictions() {
+    if (!evalResults) throw new Error('Evaluate the model first');
+    return {
+      targetMode: evalResults.targetMode,
+      target: lastMeta.target,
+      records: predictionRecords({
+        results: evalResults,
+        symbols: lastMeta.symbols,
+        horizon: lastMeta.forecastHorizon,
+        anchors: tensors.anchorsTest,
+        dates: dataLoader.dates,
+        detail: symbol => dataLoader.anchorDetail(symbol, tensors.anchorsTest)
+      })
+    };
+  },
+
+  // with uncertainty ({ method, passes }) rows are built from the mean output and carry std: [h]
+  forecast({ uncertainty = null } = {}) {
+    requireModel();
+    const input = dataLoader.buildForecastInput();
+    const { symbols, forecastHorizon } = lastMeta;
+    try {
+      if (!uncertainty) return { rows: model.forecast(input.X, symbols, forecastHorizon), anchorDate: input.anchorDate };
+      const samples = uncertaintySamples(input.X, uncertainty);
+      const { mean, stdArr } = summarizeSamples(samples, model.target, symbols.length, forecastHorizon);
+      samples.dispose();
+      const rows = model.forecastRows(mean, symbols, forecastHorizon);
+      mean.dispose();
+      rows.forEach((row, s) => { row.std = stdArr[stdArr.length - 1][s]; });
+      return { rows, anchorDate: input.anchorDate };
+    } finally {
+      input.X.dispose();
+    }
+  },
+
+  // Score loaded symbols the pooled model was not trained on (see DataLoader.symbolInputs): symbol id 0
+  // gets the mean learned embedding, then every member predicts. Per symbol: accuracy over its complete
+  // test windows (overall and per horizon) and the forecast row for its latest window.
+  // Returns { anchorDate, rows: [{ symbol, testWindows, overallAcc, perHorizonAcc, forecast }] }
+  scoreSymbols({ symbols }) {
+    requireModel();
+    if (model.sampleLayout !== 'pooled') throw new Error('Scoring new symbols needs a model trained on the pooled layout');
+    const h = lastMeta.forecastHorizon;
+    members.forEach(m => m.setUnknownSymbolEmbedding());
+    const meanOutput = X => tf.tidy(() => tf.stack(members.map(m => m.model.predict(X))).mean(0));
+    let anchorDate = null;
+    const rows = symbols.map(symbol => {
+      const { test, forecast } = dataLoader.symbolInputs(symbol);
+      const row = { symbol, testWindows: 0, overallAcc: NaN, perHorizonAcc: [], forecast: null };
+      try {
+        if (test) {
+          const preds = meanOutput(test.X);
+          const res = model.evaluatePredictions(preds, test.y, [symbol], h);
+          preds.dispose();
+          Object.assign(row, { testWindows: test.dates.length, overallAcc: res.overallAcc, perHorizonAcc: res.perHorizonAcc });
+        }
+        if (forecast) {
+          const preds = meanOutput(forecast.X);
+          row.forecast = { ...model.forecastRows(preds, [symbol], h)[0], anchorDate: forecast.anchorDate };
+          preds.dispose();
+          anchorDate = anchorDate || forecast.anchorDate;
+        }
+      } finally {
+        if (test) { test.X.dispose(); test.y.dispose(); }
+        if (forecast) forecast.X.dispose();
+      }
+      log(`Scored ${symbol} with the pooled model: ${row.testWindows} test windows${row.testWindows ? `, accuracy ${(row.overallAcc*100).toFixed(2)}%` : ''}.`);
+      return row;
+    });
+    return { anchorDate, rows };
+  },
+
+  // rows for days after the loaded data (see DataLoader.appendSources); the new windows join the test
+  // split and are queued for fineTune
+  append({ sources, options = {} }) {
+    requireDataset();
+    const res = dataLoader.appendSources(sources, options);
+    lastMeta = dataLoader.datasetMeta();
+    tensors = dataLoader.getTensors();
+    evalResults = null;
+    pendingWindows += res.samples;
+    return { ...res, dataset: datasetInfo() };
+  },
+
+  // Fine-tune every ensemble member on the windows appended since the last fine-tune (lower learning
+  // rate, few epochs; see GRUModel.fineTune) and compare accuracy on the latest `recentWindows` test
+  // windows (at least the new ones) before and after: overall, per horizon, and split into the new
+  // windows (now trained on) and the earlier ones (still out-of-sample). Events: 'epoch' ({ member, epoch, ...logs }).
+  async fineTune({ epochs = 3, learningRate = null, batchSize = 32, recentWindows = 20 }, ctx) {
+    requireModel();
+    if (!pendingWindows) throw new Error('No new windows to fine-tune on: append data first');
+    const total = tensors.sampleDatesTest.length;
+    const fresh = pendingWindows;
+    const recent = Math.min(total, Math.max(fresh, recentWindows));
+    const before = recentAccuracy(recent);
+    const rows = tensors.X_test.shape[0] - fresh * dataLoader.rowsPerSample;
+    const X = tensors.X_test.slice(rows);
+    const y = tensors.y_test.slice(rows);
+    const lr = learningRate || model.learningRate / 10;
+    let cancelled = false;
+    try {
+      for (let m = 0; m < members.length && !cancelled; m++) {
+        ctx.progress(100 * m / members.length, `Fine-tuning${members.length > 1 ? ` member ${m + 1}/${members.length}` : ''} on ${fresh} new windows...`);
+        training = members[m];
+        const history = await members[m].fineTune(X, y, {
+          epochs, batchSize, learningRate: lr,
+          onEpochEnd: (epoch, logs) => ctx.event('epoch', { member: m, epoch: epoch + 1, ...logs })
+        });
+        cancelled = history.cancelled;
+      }
+    } finally {
+      training = null;
+      X.dispose(); y.dispose();
+    }
+    pendingWindows = 0;
+    evalResults = null;
+    model.metadata = buildManifest(model, dataLoader);
+    const after = recentAccuracy(recent);
+    const group = (from, to) => {
+      const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+      return { windows: to - from, before: mean(before.perWindow.slice(from, to)), after: mean(after.perWindow.slice(from, to)) };
+    };
+    log(`Fine-tuned on ${fresh} new windows (lr ${lr}): recent accuracy ${(before.overall*100).toFixed(2)}% -> ${(after.overall*100).toFixed(2)}%.`);
+    return {
+      windows: fresh, learningRate: lr, epochs, cancelled, pendingWindows,
+      sampleDates: tensors.sampleDatesTest.slice(total - recent),
+      before, after,
+      groups: { earlier: group(0, recent - fresh), new: group(recent - fresh, recent) },
+      model: modelInfo()
+    };
+  },
+
+  async walkForward({ modelConfig, ...options }, ctx) {
+    requireDataset();
+    const wf = new WalkForward({ dataLoader, createModel: modelFactory(modelConfig) });
+    wf.setLogger(log);
+    const res = await wf.run({
+      ...options,
+      shouldStop: () => stopRequested,
+      onFoldEnd: (fold, i, n) => {
+        ctx.event('fold', fold);
+        ctx.progress(((i+1)/n) * 100, `Walk-forward fold ${i+1}/${n} — acc ${(fold.overallAcc*100).toFixed(2)}%`);
+      }
+    });
+    return { summary: res.summary, folds: res.folds.length };
+  },
+
+  async search({ modelConfig, ...options }, ctx) {
+    requireDataset();
+    const search = new HyperparameterSearch({ dataLoader, createModel: modelFactory(modelConfig) });
+    search.setLogger(log);
+    return await search.run({
+      ...options,
+      shouldStop: () => stopRequested,
+      onTrialEnd: (result, done, total) => {
+        ctx.event('trial', result);
+        ctx.progress(Math.min(100, (done/total) * 100), `Search trial ${done}/~${total}`);
+      }
+    });
+  },
+
+  // prices and realized returns of one symbol over the test samples, for the drill-down chart
+  drilldown({ symbol }) {
+    requireDataset();
+    return { symbol, ...dataLoader.anchorDetail(symbol, tensors.anchorsTest) };
+  },
+
+  strategy({ rules }) {
+    if (!evalResults) throw new Error('Evaluate the model first');
+    const anchors = tensors.anchorsTest;
+    return {
+      strategy: simulateStrategy({ probArr: evalResults.probArr, anchors, dataLoader, rules }),
+      benchmark: simulateBuyAndHold({ anchors, dataLoader, horizon: rules.horizon })
+    };
+  },
+
+  // attribution over the [sequenceLength, features] window of one test sample, as a transferred
+  // Float32Array in row-major [T, C] order (pooled: the symbol's own row)
+  explain({ s, sample, horizon, method }, ctx) {
+    requireModel();
+    const pooled = dataLoader.sampleLayout === 'pooled';
+    const row = pooled ? sample * dataLoader.rowsPerSample + s : sample;
+    const x = tf.tidy(() => tensors.X_test.gather([row]).squeeze([0]));
+    try {
+      const opts = pooled ? { S: 1, h: lastMeta.forecastHorizon, s: 0, horizon, fixed: 1 }
+        : { S: lastMeta.symbols.length, h: lastMeta.forecastHorizon, s, horizon };
+      const res = method === 'saliency' ? { attribution: saliency(model, x, opts), delta: null }
+        : integratedGradients(model, x, { ...opts, steps: 32 });
+      const [T, C] = x.shape;
+      const values = Float32Array.from(res.attribution.flat());
+      ctx.transfer(values.buffer);
+      return { values, shape: [T, C], delta: res.delta };
+    } finally {
+      x.dispose();
+    }
+  },
+
+  async importance({ by, repeats }, ctx) {
+    requireModel();
+    const groups = featureGroups(lastMeta.featureNames, lastMeta.symbols, by, lastMeta.sampleLayout);
+    const res = await permutationImportance(model, tensors.X_test, tensors.y_test, {
+      S: lastMeta.symbols.length,
+      h: lastMeta.forecastHorizon,
+      groups,
+      repeats,
+      shouldStop: () => stopRequested,
+      onProgress: (done, total) => ctx.progress((done / total) * 100, `Permutation importance ${done}/${total}`)
+    });
+    return { ...res, total: groups.length };
+  },
+
+  // compute backend: 'cpu' repeats cli.js results for the same seed (float math on WebGL differs in the
+  // last digits); null keeps the current one. Returns { backend } (the active backend)
+  async backend({ name = null }) {
+    if (name && name !== tf.getBackend() && !(await tf.setBackend(name))) throw new Error(`Backend not available: ${name}`);
+    await tf.ready();
+    return { backend: tf.getBackend() };
+  },
+
+  listSlots() {
+    return listSlots();
+  },
+
+  async saveSlot({ name }) {
+    if (!model.model) throw new Error('No model to save');
+    await saveToSlot(model, name, model.metadata || buildManifest(model, dataLoader));
+    return listSlots();
+  },
+
+  async deleteSlot({ name }) {
+    await deleteSlot(name);
+    return listSlots();
+  },
+
+  async loadSlot({ name }) {
+    dropEnsemble();
+    await loadFromSlot(model, name);
+    modelFromStore = true;
+    evalResults = null;
+    return modelInfo();
+  },
+
+  async loadFiles({ files }) {
+    dropEnsemble();
+    await loadFromFiles(model, files);
+    modelFromStore = true;
+    evalResults = null;
+    return modelInfo();
+  },
+
+  // { artifacts, manifest } as returned by exportModel (cli.js reads them from disk)
+  async loadArtifacts({ artifacts, manifest = null }) {
+    dropEnsemble();
+    await loadFromArtifacts(model, artifacts, manifest);
+    modelFromStore = true;
+    evalResults = null;
+    return modelInfo();
+  },
+
+  // model.json pieces + weights (transferred) + manifest for the page to download
+  async exportModel(payload, ctx) {
+    if (!model.model) throw new Error('No model to export');
+    const bundle = await bundleArtifacts(model, model.metadata || buildManifest(model, dataLoader));
+    ctx.transfer(...[].concat(bundle.artifacts.weightData));
+    return bundle;
+  }
+};
+
+// log lines from the loader, models and jobs: fn(...args)
+export function setLogger(fn) {
+  logger = fn || (() => {});
+}
+
+// Run one request; the caller serializes requests (one at a time). ctx is { progress(pct, text),
+// event(name, data), transfer(...buffers), stopped } where stopped is set when a Stop was sent for the
+// request while it was still queued: a stoppable job then fails without running. A payload.seed reseeds
+// the random generator first (see random.js), so the request's initialization, shuffling and sampling
+// repeat exactly.
+export async function runRequest(type, payload, ctx) {
+  const handler = HANDLERS[type];
+  if (!handler) throw new Error(`Unknown request: ${type}`);
+  if (ctx.stopped && STOPPABLE_REQUESTS.includes(type)) throw new Error('Stopped before it started');
+  if (payload && payload.seed !== undefined) seedRandom(payload.seed);
+  stopRequested = false;
+  return await handler(payload || {}, ctx);
+}
+
+// requests that requestStop() cancels
+const STOPPABLE_REQUESTS = ['train', 'walkForward', 'search', 'importance'];
+
+// cancel the running job (training, search, walk-forward, importance)
+export function requestStop() {
+  stopRequested = true;
+  model.stop();
+  if (training) training.stop();
+}
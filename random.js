@@ -0,0 +1,29 @@
+// random.js
+// ES module: repeatable randomness. seedRandom(seed) replaces Math.random with a seeded generator
+// (mulberry32), which is what tf.js falls back to for unseeded weight initializers, dropout masks and
+// fit() shuffling, and what our own samplers (bootstrap, permutations, random search) call. The same
+// seed therefore gives the same model in the worker and under Node. seedRandom(null) restores the
+// native generator.
+// Exports: seedRandom
+
+const nativeRandom = Math.random;
+
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// seed: integer (or numeric string); null / '' for the native generator
+export function seedRandom(value) {
+  if (value === null || value === undefined || value === '') {
+    Math.random = nativeRandom;
+    return;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`Invalid seed: ${value}`);
+  Math.random = mulberry32(Math.trunc(n) >>> 0);
+}
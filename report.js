@@ -0,0 +1,114 @@
+// report.js
+// ES module: exports of an evaluation. predictionRecords() flattens the test-set predictions into one
+// record per anchor date, symbol and horizon, next to the label and the realized closes. The CSV/JSON
+// writers serialize them. buildHtmlReport() renders a single self-contained HTML file (inline styles,
+// charts as data-URL images) with the configuration, dataset summary, results and metrics tables.
+// Exports: predictionRecords, rowsToCSV, recordsToJSON, buildHtmlReport
+import { CLASS_NAMES } from './targets.js';
+
+// label / predicted value -> text: 'up'/'down', 'above'/'below', a class name, or the return itself
+function labelName(value, mode) {
+  if (mode === 'regression') return value;
+  if (mode === 'threeClass') return CLASS_NAMES[value];
+  if (mode === 'threshold') return value ? 'above' : 'below';
+  return value ? 'up' : 'down';
+}
+
+// Test-set predictions as flat records. results: evaluatePredictions() output (predArr, probArr,
+// classProbArr, truthArr, hitArr, stdArr); anchors: date index per test sample; dates: all loaded dates;
+// detail(symbol): anchorDetail() of the symbol over the same anchors (closes and realized returns).
+// Record fields: date (anchor), symbol, horizon (k + 1), targetDate, predicted, probability (P(1) or
+// P(up); three classes also pDown/pFlat/pUp), actual, correct, close (anchor), realizedClose,
+// realizedReturn and std (uncertainty evaluations).
+export function predictionRecords({ results, symbols, horizon, anchors, dates, detail }) {
+  const { predArr, probArr, classProbArr, truthArr, hitArr, stdArr, targetMode: mode } = results;
+  const records = [];
+  const details = symbols.map(sym => detail(sym));
+  anchors.forEach((anchor, n) => {
+    symbols.forEach((symbol, s) => {
+      const { close, futureClose, realized } = details[s];
+      for (let k = 0; k < horizon; k++) {
+        const record = {
+          date: dates[anchor],
+          symbol,
+          horizon: k + 1,
+          targetDate: dates[anchor + k + 1],
+          predicted: labelName(predArr[n][s][k], mode),
+          probability: probArr ? probArr[n][s][k] : null,
+          actual: labelName(truthArr[n][s][k], mode),
+          correct: hitArr[n][s][k],
+          close: close[n],
+          realizedClose: futureClose[n][k],
+          realizedReturn: realized[n][k]
+        };
+        if (classProbArr) [record.pDown, record.pFlat, record.pUp] = classProbArr[n][s][k];
+        if (stdArr) record.std = stdArr[n][s][k];
+        records.push(record);
+      }
+    });
+  });
+  return records;
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined || (typeof v === 'number' && Number.isNaN(v))) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// flat objects -> CSV with the first row's keys as the header
+export function rowsToCSV(rows) {
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  return [columns.join(','), ...rows.map(row => columns.map(k => csvCell(row[k])).join(','))].join('\n');
+}
+
+// records plus what they were produced with, so the file stands on its own
+export function recordsToJSON(records, info = {}) {
+  return JSON.stringify({ ...info, records }, null, 2);
+}
+
+const escapeHtml = v => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function keyValueTable(entries) {
+  return '<table>' + entries.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('') + '</table>';
+}
+
+// Self-contained HTML report.
+//   title, generatedAt: heading and timestamp
+//   config: settings object (shown as JSON)
+//   dataset: [[label, value]] summary rows
+//   results: [[label, value]] headline numbers (overall accuracy, per horizon, ...)
+//   tables: [{ title, html }] tables already rendered on the page (their markup is copied as is)
+//   images: [{ title, src }] chart images as data URLs
+export function buildHtmlReport({ title, generatedAt = new Date().toISOString(), config = {}, dataset = [], results = [],
+                                  tables = [], images = [] }) {
+  const section = (heading, body) => `<section><h2>${escapeHtml(heading)}</h2>${body}</section>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 16px auto; max-width: 1100px; color: #222; }
+  section { border: 1px solid #ddd; border-radius: 8px; padding: 12px; margin-bottom: 12px; }
+  h2 { margin-top: 0; font-size: 1.2rem; }
+  table { border-collapse: collapse; font-size: 0.85rem; margin: 6px 0; }
+  th, td { border: 1px solid #ddd; padding: 3px 8px; text-align: left; }
+  pre { background: #f6f6f6; padding: 8px; overflow: auto; font-size: 0.8rem; }
+  figure { margin: 0 0 12px; }
+  figure img { max-width: 100%; border: 1px solid #eee; }
+  .small { color: #555; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="small">Generated ${escapeHtml(generatedAt)}</p>
+${section('Configuration', `<pre>${escapeHtml(JSON.stringify(config, null, 2))}</pre>`)}
+${dataset.length ? section('Dataset', keyValueTable(dataset)) : ''}
+${results.length ? section('Results', keyValueTable(results)) : ''}
+${tables.map(t => section(t.title, t.html)).join('\n')}
+${images.length ? section('Charts', images.map(img => `<figure><figcaption>${escapeHtml(img.title)}</figcaption><img src="${img.src}" alt="${escapeHtml(img.title)}" /></figure>`).join('\n')) : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,144 @@
+// runs.js
+// ES module: experiment tracking. Each training run is kept in IndexedDB with its configuration,
+// dataset fingerprint, training curves and (once evaluated) per-symbol accuracies, summary metrics
+// and test-set predictions, so runs can be listed, compared and exported later.
+// Exports: buildRun, saveRun, updateRun, listRuns, getRun, deleteRuns, runSummary, runsToCSV,
+//          runsToJSON
+import { rowsToCSV } from './report.js';
+
+const DB_NAME = 'gru-experiments';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+// Run record for a finished training job. config: { model, training, data }; meta: the prepared
+// dataset meta; curves: per-epoch logs ({ epoch, loss, val_loss, <metric>, val_<metric>, lr }).
+export function buildRun({ name = '', config, meta, model, curves, history }) {
+  return {
+    createdAt: new Date().toISOString(),
+    name,
+    config,
+    fingerprint: meta.fingerprint,
+    symbols: meta.symbols.slice(),
+    architecture: model.architecture,
+    params: model.params,
+    metricName: model.metricName,
+    curves,
+    history, // { epochs, cancelled, stoppedEarly, bestEpoch }
+    evaluation: null // { overallAcc, perStockAcc, perHorizonAcc, perStockHorizonAcc, targetMode, summary, predictions, sampleDates }
+  };
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// run fn(store) in one transaction; resolves with the value of the request fn returns (if any)
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// store a new run; resolves with its id
+export async function saveRun(run) {
+  return await withStore('readwrite', store => store.add(run));
+}
+
+// merge patch into a stored run
+export async function updateRun(id, patch) {
+  const run = await getRun(id);
+  if (!run) throw new Error(`Run ${id} not found`);
+  await withStore('readwrite', store => store.put({ ...run, ...patch, id }));
+}
+
+// all runs, newest first
+export async function listRuns() {
+  const runs = await withStore('readonly', store => store.getAll());
+  return runs.sort((a, b) => b.id - a.id);
+}
+
+export async function getRun(id) {
+  return await withStore('readonly', store => store.get(id));
+}
+
+export async function deleteRuns(ids) {
+  await withStore('readwrite', store => { ids.forEach(id => store.delete(id)); return null; });
+}
+
+// best value of a curve key over the epochs (min for losses, max otherwise)
+function bestOf(curves, key) {
+  const vals = curves.map(c => c[key]).filter(v => typeof v === 'number' && !Number.isNaN(v));
+  if (!vals.length) return NaN;
+  return /loss/i.test(key) ? Math.min(...vals) : Math.max(...vals);
+}
+
+// One flat row per run for the runs table and the CSV export
+export function runSummary(run) {
+  const data = run.config.data;
+  const ev = run.evaluation;
+  const summary = (ev && ev.summary) || {};
+  const last = run.curves[run.curves.length - 1] || {};
+  const num = v => (typeof v === 'number' ? v : NaN);
+  return {
+    id: run.id,
+    name: run.name,
+    createdAt: run.createdAt,
+    architecture: run.architecture,
+    params: run.params,
+    target: data.target.mode,
+    symbols: run.symbols.length,
+    sequenceLength: data.sequenceLength,
+    forecastHorizon: data.forecastHorizon,
+    features: data.featureNames ? data.featureNames.join(' ') : '',
+    scaler: data.scaler,
+    missing: data.missingData ? data.missingData.strategy : '',
+    sampleLayout: data.sampleLayout || 'joint',
+    marketContext: !!data.marketContext,
+    units: run.config.model.gruUnits,
+    depth: run.config.model.depth,
+    dropout: run.config.model.dropout,
+    headMode: run.config.model.headMode || 'shared',
+    embeddingDim: data.sampleLayout === 'pooled' ? run.config.model.embeddingDim : '',
+    learningRate: run.config.model.learningRate,
+    batchSize: run.config.training.batchSize,
+    ensembleSize: run.config.training.ensemble ? run.config.training.ensemble.size : 1,
+    seed: run.config.training.seed != null ? run.config.training.seed : '',
+    epochs: run.history.epochs,
+    loss: num(last.loss),
+    valLoss: num(last.val_loss),
+    bestValLoss: bestOf(run.curves, 'val_loss'),
+    testAccuracy: ev ? ev.overallAcc : NaN,
+    testAccuracyByHorizon: ev && ev.perHorizonAcc ? ev.perHorizonAcc.map(a => a.toFixed(4)).join(' ') : '',
+    testAuc: num(summary.auc),
+    testMcc: num(summary.mcc),
+    testLogLoss: num(summary.logLoss),
+    testRmse: num(summary.rmse),
+    fingerprint: run.fingerprint ? run.fingerprint.hash : ''
+  };
+}
+
+export function runsToCSV(runs) {
+  return rowsToCSV(runs.map(runSummary));
+}
+
+// full records; typed-array predictions become plain arrays
+export function runsToJSON(runs) {
+  return JSON.stringify(runs, (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value), 2);
+}
@@ -0,0 +1,14 @@
+// runtime.js
+// ES module: the TensorFlow.js and Papa Parse instances every shared module uses. In the browser they are
+// the globals from the CDN scripts (the worker imports tf.js before anything else, the page loads Papa
+// Parse with a classic script); Node scripts such as cli.js pass the npm packages to setRuntime().
+// Exports: tf, Papa (live bindings), setRuntime
+
+export let tf = globalThis.tf || null;
+export let Papa = globalThis.Papa || null;
+
+// Register library instances explicitly (omitted ones keep their current value)
+export function setRuntime({ tf: tfLib = null, Papa: papaLib = null } = {}) {
+  if (tfLib) tf = tfLib;
+  if (papaLib) Papa = papaLib;
+}
@@ -0,0 +1,65 @@
+// scalers.js
+// ES module: per-feature scalers. Fitted state is plain JSON so it can be stored next to a saved model.
+// Exports: SCALERS, fitScaler, applyScaler
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Each scaler: fit(values) -> params, transform(params, v, anchorValue) -> scaled value.
+// perWindow scalers need no fitting; they rescale relative to the window's anchor (last) day.
+export const SCALERS = {
+  // (v - min) / (max - min)
+  minmax: {
+    label: 'Min-max',
+    fit(values) {
+      const min = Math.min(...values), max = Math.max(...values);
+      // protect against zero range
+      return { min, max: max === min ? min + 1e-6 : max };
+    },
+    transform: (p, v) => (v - p.min) / (p.max - p.min)
+  },
+  // (v - mean) / std
+  zscore: {
+    label: 'Z-score',
+    fit(values) {
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const std = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length);
+      return { mean, std: std || 1e-6 };
+    },
+    transform: (p, v) => (v - p.mean) / p.std
+  },
+  // (v - median) / IQR, less sensitive to price spikes
+  robust: {
+    label: 'Robust (median/IQR)',
+    fit(values) {
+      const sorted = values.slice().sort((a, b) => a - b);
+      const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+      return { median: quantile(sorted, 0.5), iqr: iqr || 1e-6 };
+    },
+    transform: (p, v) => (v - p.median) / p.iqr
+  },
+  // v / v_anchor - 1: each window expressed as returns relative to its last day
+  rebase: {
+    label: 'Per-window returns',
+    perWindow: true,
+    fit: () => ({}),
+    transform: (p, v, anchorValue) => anchorValue ? v / anchorValue - 1 : 0
+  }
+};
+
+// Fit a scaler of the given type on finite values. Returns serializable state { type, ...params }
+export function fitScaler(type, values) {
+  const scaler = SCALERS[type];
+  if (!scaler) throw new Error(`Unknown scaler: ${type}`);
+  const finite = values.filter(v => Number.isFinite(v));
+  if (!finite.length && !scaler.perWindow) throw new Error(`No values to fit ${type} scaler`);
+  return { type, ...scaler.fit(finite) };
+}
+
+// Apply fitted state to a value; anchorValue is only used by per-window scalers
+export function applyScaler(state, v, anchorValue) {
+  return SCALERS[state.type].transform(state, v, anchorValue);
+}
@@ -0,0 +1,133 @@
+// search.js
+// ES module: hyperparameter search (grid / random, optional successive halving) over model and data
+// parameters. Each trial is scored on a chronological validation split carved from the end of the
+// training data; the test split is never touched.
+// Exports: DATA_PARAMS, gridTrials, randomTrials, HyperparameterSearch class
+import { evaluationSummary } from './metrics.js';
+
+// search-space keys that change how the dataset is built (everything else goes to the model)
+export const DATA_PARAMS = ['sequenceLength', 'forecastHorizon'];
+
+// Cartesian product of a search space { key: [values] } -> [{ key: value }]
+export function gridTrials(space) {
+  return Object.entries(space).reduce(
+    (acc, [key, values]) => acc.flatMap(cfg => values.map(v => ({ ...cfg, [key]: v }))),
+    [{}]
+  );
+}
+
+// n distinct random configurations (or the whole grid when it is smaller than n)
+export function randomTrials(space, n, rng = Math.random) {
+  const grid = gridTrials(space);
+  if (grid.length <= n) return grid;
+  const picked = [];
+  const pool = grid.slice();
+  while (picked.length < n) picked.push(pool.splice(Math.floor(rng() * pool.length), 1)[0]);
+  return picked;
+}
+
+export class HyperparameterSearch {
+  // createModel(config) -> unbuilt model for a trial config (data params already applied)
+  constructor({ dataLoader, createModel }) {
+    this.dataLoader = dataLoader;
+    this.createModel = createModel;
+  }
+
+  log(...args) { if (this.logger) this.logger(...args); }
+  setLogger(fn){ this.logger = fn; }
+
+  // Apply data params, then split the training portion into sub-train / validation anchors and fit
+  // the scalers on sub-train days only. Returns tensors the caller must dispose.
+  prepareTrial(config, trainSplitPercent, valPercent) {
+    const dl = this.dataLoader;
+    if (config.sequenceLength) dl.sequenceLength = config.sequenceLength;
+    if (config.forecastHorizon) dl.forecastHorizon = config.forecastHorizon;
+    const anchors = dl.collectAnchors();
+    const trainCount = Math.round((trainSplitPercent/100) * anchors.length);
+    const valCount = Math.round((valPercent/100) * trainCount);
+    if (valCount < 1 || trainCount - valCount < 1) throw new Error("Validation split leaves no training or validation samples.");
+    const subTrain = anchors.slice(0, trainCount - valCount);
+    const val = anchors.slice(trainCount - valCount, trainCount);
+    dl.fitNormalizers(subTrain[0] - dl.sequenceLength + 1, subTrain[subTrain.length - 1]);
+    return { train: dl.buildTensors(subTrain), val: dl.buildTensors(val) };
+  }
+
+  // Train one config for `epochs` and score it on the validation split
+  async runTrial(config, { epochs, batchSize, trainSplitPercent, valPercent }) {
+    const started = Date.now();
+    const { train, val } = this.prepareTrial(config, trainSplitPercent, valPercent);
+    const model = this.createModel(config);
+    try {
+      model.buildModel();
+      await model.fit(train.X, train.y, { epochs, batchSize: config.batchSize || batchSize });
+      const res = await model.evaluateTestSet(val.X, val.y, this.dataLoader.symbols, this.dataLoader.forecastHorizon);
+      const m = evaluationSummary(res);
+      return {
+        config,
+        epochs,
+        valAccuracy: m.accuracy,
+        valAuc: m.auc,
+        valLogLoss: m.logLoss,
+        valMcc: m.mcc,
+        valRmse: m.rmse,
+        trainSamples: train.dates.length,
+        valSamples: val.dates.length,
+        seconds: (Date.now() - started) / 1000
+      };
+    } finally {
+      model.dispose();
+      train.X.dispose(); train.y.dispose(); val.X.dispose(); val.y.dispose();
+    }
+  }
+
+  // strategy: 'grid' or 'random' (nTrials samples); metric: 'valAccuracy' | 'valAuc' | 'valMcc' | 'valLogLoss' | 'valRmse'
+  // halving: { eta, minEpochs } runs successive halving from minEpochs up to `epochs`, keeping the
+  // best 1/eta of trials at each rung; null trains every trial for `epochs`.
+  // onTrialEnd(result, done, total) after each trial. Returns leaderboard rows, best first.
+  async run({ space, strategy = 'grid', nTrials = 10, metric = 'valAccuracy', halving = null,
+              epochs = 20, batchSize = 32, trainSplitPercent = 80, valPercent = 20, rng = Math.random,
+              onTrialEnd = null, shouldStop = () => false } = {}) {
+    const dl = this.dataLoader;
+    const saved = { sequenceLength: dl.sequenceLength, forecastHorizon: dl.forecastHorizon, normalization: dl.getNormalizationState() };
+    const lowerIsBetter = metric === 'valLogLoss' || metric === 'valRmse';
+    const score = r => Number.isNaN(r[metric]) ? -Infinity : (lowerIsBetter ? -r[metric] : r[metric]);
+
+    let configs = strategy === 'random' ? randomTrials(space, nTrials, rng) : gridTrials(space);
+    const rungs = [];
+    if (halving) {
+      const eta = halving.eta || 3;
+      for (let e = Math.max(1, halving.minEpochs || 1); e < epochs; e *= eta) rungs.push(e);
+    }
+    rungs.push(epochs);
+    const total = rungs.reduce((acc, e, r) => acc + Math.max(1, Math.ceil(configs.length / ((halving && halving.eta) || 3) ** r)), 0);
+    this.log(`Search: ${configs.length} configs, ${strategy}${halving ? `, successive halving over epochs ${rungs.join('/')}` : ''}.`);
+
+    const leaderboard = [];
+    let done = 0;
+    try {
+      for (let r = 0; r < rungs.length && configs.length; r++) {
+        const rungResults = [];
+        for (const config of configs) {
+          if (shouldStop()) throw new Error('Search cancelled');
+          const result = await this.runTrial(config, { epochs: rungs[r], batchSize, trainSplitPercent, valPercent });
+          result.rung = r;
+          rungResults.push(result);
+          leaderboard.push(result);
+          done++;
+          this.log(`Trial ${done}: ${JSON.stringify(config)} @${rungs[r]} epochs -> ${metric} ${result[metric].toFixed(4)}`);
+          if (onTrialEnd) onTrialEnd(result, done, total);
+        }
+        if (r < rungs.length - 1) {
+          const keep = Math.max(1, Math.ceil(rungResults.length / (halving.eta || 3)));
+          configs = rungResults.sort((a, b) => score(b) - score(a)).slice(0, keep).map(x => x.config);
+        }
+      }
+    } finally {
+      dl.sequenceLength = saved.sequenceLength;
+      dl.forecastHorizon = saved.forecastHorizon;
+      dl.setNormalizationState(saved.normalization);
+    }
+    // later rungs (more epochs) rank above earlier ones, then by the metric
+    return leaderboard.sort((a, b) => (b.rung - a.rung) || (score(b) - score(a)));
+  }
+}
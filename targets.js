@@ -0,0 +1,61 @@
+// targets.js
+// ES module: prediction targets built from the future return r = Close(t+k) / Close(D) - 1.
+//   binary:     1 if r > 0 (up/down)
+//   threshold:  1 if r > threshold (e.g. a move above +1%)
+//   threeClass: down / flat / up with |r| <= deadBand counted as flat (one-hot, 3 outputs per step)
+//   regression: r itself
+// Exports: TARGET_MODES, DEFAULT_TARGET, CLASS_NAMES, outputsPerStep, isBinaryTarget, targetLabel,
+//          encodeLabel, isHit, describeTarget
+
+export const TARGET_MODES = {
+  binary: 'Up / down',
+  threshold: 'Move above threshold',
+  threeClass: 'Up / flat / down',
+  regression: 'Future return (regression)'
+};
+
+export const DEFAULT_TARGET = { mode: 'binary', threshold: 0.01, deadBand: 0.005 };
+
+// class index -> name for the three-class target
+export const CLASS_NAMES = ['down', 'flat', 'up'];
+
+// model outputs per symbol and horizon step
+export function outputsPerStep(target = DEFAULT_TARGET) {
+  return target.mode === 'threeClass' ? 3 : 1;
+}
+
+// binary and threshold targets share the sigmoid head, BCE/focal losses and the binary metrics
+export function isBinaryTarget(target = DEFAULT_TARGET) {
+  return target.mode === 'binary' || target.mode === 'threshold';
+}
+
+// Label for one future return: 0/1, a class index (0 down, 1 flat, 2 up) or the return itself
+export function targetLabel(ret, target = DEFAULT_TARGET) {
+  switch (target.mode) {
+    case 'threshold': return ret > target.threshold ? 1 : 0;
+    case 'threeClass': return Math.abs(ret) <= target.deadBand ? 1 : (ret > 0 ? 2 : 0);
+    case 'regression': return ret;
+    default: return ret > 0 ? 1 : 0;
+  }
+}
+
+// Label -> model output values (one-hot for three classes)
+export function encodeLabel(label, target = DEFAULT_TARGET) {
+  return target.mode === 'threeClass' ? CLASS_NAMES.map((_, c) => (c === label ? 1 : 0)) : [label];
+}
+
+// Whether a prediction counts as correct: same class, or for regression the same direction
+export function isHit(pred, truth, target = DEFAULT_TARGET) {
+  return target.mode === 'regression' ? (pred > 0) === (truth > 0) : pred === truth;
+}
+
+// Short text for logs and tables, e.g. "r > +1.00%"
+export function describeTarget(target = DEFAULT_TARGET) {
+  const pct = v => `${(v * 100).toFixed(2)}%`;
+  switch (target.mode) {
+    case 'threshold': return `r > ${target.threshold >= 0 ? '+' : ''}${pct(target.threshold)}`;
+    case 'threeClass': return `up / flat (|r| <= ${pct(target.deadBand)}) / down`;
+    case 'regression': return 'future return r';
+    default: return 'r > 0';
+  }
+}
@@ -0,0 +1,53 @@
+// test/backtest.test.js
+// node --test: strategy simulator and buy-and-hold benchmark on a hand-made two-symbol series.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateStrategy, simulateBuyAndHold } from '../backtest.js';
+
+const A = [100, 101, 103, 102, 104, 108, 107, 110];
+const B = [50, 49, 50, 52, 51, 50, 49, 48];
+const dataLoader = {
+  symbols: ['A', 'B'],
+  dates: A.map((_, i) => `2024-01-${String(i + 1).padStart(2, '0')}`),
+  perSymbolSeries: { A: A.map(close => ({ close })), B: B.map(close => ({ close })) }
+};
+// always long A (P(up) 0.9), never B (0.1); one horizon
+const probsFor = anchors => anchors.map(() => [[0.9], [0.1]]);
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-12, `${a} != ${b}`);
+
+test('holding one symbol compounds its daily returns and pays the cost once', () => {
+  const anchors = [0, 1, 2, 3, 4, 5, 6];
+  const res = simulateStrategy({ probArr: probsFor(anchors), anchors, dataLoader, rules: { costBps: 100 } });
+  close(res.equity[res.equity.length - 1], (1 + (A[1] / A[0] - 1) - 0.01) * (A[7] / A[1]));
+  assert.equal(res.turnover, 1);
+  assert.equal(res.trades, 1);
+  assert.deepEqual(res.dates, dataLoader.dates);
+});
+
+test('days without a test sample are held through and accrued like buy-and-hold', () => {
+  const anchors = [0, 1, 4, 5, 6]; // days 2 and 3 have no sample (e.g. filled days)
+  const res = simulateStrategy({ probArr: probsFor(anchors), anchors, dataLoader, rules: { costBps: 0 } });
+  const hold = simulateBuyAndHold({ anchors, dataLoader });
+  assert.deepEqual(res.dates, hold.dates);
+  assert.equal(res.equity.length, hold.equity.length);
+  close(res.cumulativeReturn, A[7] / A[0] - 1);
+  assert.equal(res.turnover, 1);
+});
+
+test('long/short takes the short side below 1 - threshold', () => {
+  const anchors = [0, 1, 2, 3, 4, 5, 6];
+  const res = simulateStrategy({ probArr: probsFor(anchors), anchors, dataLoader, rules: { mode: 'longShort', costBps: 0 } });
+  // half long A, half short B, rebalanced daily to equal weights
+  const expected = A.slice(1).reduce((eq, a, d) => eq * (1 + 0.5 * (a / A[d] - 1) - 0.5 * (B[d + 1] / B[d] - 1)), 1);
+  close(res.equity[res.equity.length - 1], expected);
+});
+
+test('buy-and-hold tracks the equal-weight portfolio value', () => {
+  const res = simulateBuyAndHold({ anchors: [0, 6], dataLoader });
+  close(res.cumulativeReturn, (A[7] / A[0] + B[7] / B[0]) / 2 - 1);
+  assert.ok(res.maxDrawdown > 0);
+});
+
+test('rejects a strategy horizon the model does not predict', () => {
+  assert.throws(() => simulateStrategy({ probArr: probsFor([0]), anchors: [0], dataLoader, rules: { horizon: 2 } }), /horizon/);
+});
@@ -0,0 +1,72 @@
+// test/formats.test.js
+// node --test: date parsing and detection, layout detection and canonical rows from CSV / JSON / NDJSON.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Papa from 'papaparse';
+import { setRuntime } from '../runtime.js';
+import { parseDate, detectDateFormat, detectLayout, wideColumns, guessMapping, symbolFromFileName, readSource,
+         importRows } from '../formats.js';
+
+setRuntime({ Papa });
+
+test('parseDate per format, rejecting impossible dates', () => {
+  assert.equal(parseDate('2024-03-05', 'iso'), '2024-03-05');
+  assert.equal(parseDate('05/03/2024', 'dmy'), '2024-03-05');
+  assert.equal(parseDate('03/05/2024', 'mdy'), '2024-03-05');
+  assert.equal(parseDate('05.03.24', 'dmy'), '2024-03-05');
+  assert.equal(parseDate('20240305', 'compact'), '2024-03-05');
+  assert.equal(parseDate('1709596800', 'epoch'), '2024-03-05');
+  assert.equal(parseDate('1709596800000', 'epoch'), '2024-03-05');
+  assert.equal(parseDate('31/02/2024', 'dmy'), null);
+  assert.equal(parseDate('2024-03-05', 'dmy'), null);
+  assert.equal(parseDate(''), null);
+});
+
+test('detectDateFormat: day-first vs month-first from components above 12', () => {
+  assert.deepEqual(detectDateFormat(['2024-01-02', '2024-01-03']), { format: 'iso', ambiguous: false });
+  assert.equal(detectDateFormat(['01/02/2024', '25/02/2024']).format, 'dmy');
+  assert.equal(detectDateFormat(['01/02/2024', '02/25/2024']).format, 'mdy');
+  assert.equal(detectDateFormat(['01/02/2024', '03/02/2024']).ambiguous, true);
+  assert.equal(detectDateFormat(['20240102']).format, 'compact');
+});
+
+test('layout detection and column mapping', () => {
+  assert.equal(detectLayout(['Date', 'Ticker', 'Open', 'Close']), 'long');
+  assert.equal(detectLayout(['Date', 'AAPL_Open', 'AAPL_Close', 'MSFT Close']), 'wide');
+  assert.equal(detectLayout(['Date', 'Open', 'Close']), 'single');
+  assert.deepEqual(wideColumns(['Date', 'aapl_close', 'Adj_Close', 'MSFT Volume']), [
+    { column: 'aapl_close', symbol: 'AAPL', field: 'close' },
+    { column: 'MSFT Volume', symbol: 'MSFT', field: 'volume' }
+  ]);
+  const mapping = guessMapping(['timestamp', 'Symbol', 'Adj Close', 'vol', 'Last']);
+  assert.equal(mapping.date, 'timestamp');
+  assert.equal(mapping.adjClose, 'Adj Close');
+  assert.equal(mapping.close, 'Last');
+  assert.equal(mapping.open, null);
+  assert.equal(symbolFromFileName('data/msft_daily.csv'), 'MSFT_DAILY');
+});
+
+test('readSource: CSV, JSON arrays, per-symbol JSON objects and NDJSON', () => {
+  const csv = readSource('Date,Symbol,Close\n2024-01-02,AAA,10\n', 'a.csv');
+  assert.deepEqual(csv.fields, ['Date', 'Symbol', 'Close']);
+  assert.equal(csv.records[0].Close, '10');
+  const json = readSource('{"AAA":[{"date":"2024-01-02","close":10}]}', 'a.json');
+  assert.deepEqual(json.records, [{ Symbol: 'AAA', date: '2024-01-02', close: 10 }]);
+  const ndjson = readSource('{"date":"2024-01-02","close":1}\n{"date":"2024-01-03","close":2}\n', 'a.ndjson');
+  assert.equal(ndjson.records.length, 2);
+  assert.throws(() => readSource('{"a":1}\n{oops}\n', 'a.ndjson'), /invalid JSON on line 2/);
+});
+
+test('importRows: wide and single-ticker sources become canonical long rows', () => {
+  const wide = readSource('Date,AAA_Open,AAA_Close,BBB_Close\n02/01/2024,1,2,\n03/01/2024,2,3,5\n', 'w.csv');
+  const res = importRows([wide], { dateFormat: 'dmy' });
+  assert.deepEqual(res.layouts, ['wide']);
+  assert.deepEqual(res.rows.map(r => [r.Date, r.Symbol, r.Close]),
+    [['2024-01-02', 'AAA', 2], ['2024-01-03', 'AAA', 3], ['2024-01-03', 'BBB', 5]]);
+  assert.ok(Number.isNaN(res.rows[2].Open));
+
+  const single = readSource('day,price\n2024-01-02,7\nnot a date,8\n', 'ccc.csv');
+  const one = importRows([single]);
+  assert.deepEqual(one.rows.map(r => [r.Date, r.Symbol, r.Close]), [['2024-01-02', 'CCC', 7]]);
+  assert.equal(one.unparseableDates, 1);
+});
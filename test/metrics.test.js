@@ -0,0 +1,88 @@
+// test/metrics.test.js
+// node --test: classification / regression metrics, calibration bins and the baselines.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rocAuc, binaryMetrics, multiClassMetrics, regressionMetrics, calibrationBins, majorityBaseline,
+         persistenceBaseline, computeMetricsReport } from '../metrics.js';
+
+const close = (a, b, eps = 1e-12) => assert.ok(Math.abs(a - b) < eps, `${a} != ${b}`);
+
+test('rocAuc: perfect, reversed, tied and one-class inputs', () => {
+  assert.equal(rocAuc([0.1, 0.2, 0.8, 0.9], [0, 0, 1, 1]), 1);
+  assert.equal(rocAuc([0.9, 0.8, 0.2, 0.1], [0, 0, 1, 1]), 0);
+  assert.equal(rocAuc([0.5, 0.5, 0.5, 0.5], [0, 1, 0, 1]), 0.5);
+  close(rocAuc([0.1, 0.4, 0.35, 0.8], [0, 0, 1, 1]), 0.75);
+  assert.ok(Number.isNaN(rocAuc([0.2, 0.3], [1, 1])));
+});
+
+test('binaryMetrics: confusion counts and derived scores', () => {
+  const m = binaryMetrics([0.9, 0.7, 0.4, 0.2, 0.6], [1, 0, 1, 0, 1]);
+  assert.deepEqual([m.tp, m.fp, m.tn, m.fn], [2, 1, 1, 1]);
+  close(m.accuracy, 3 / 5);
+  close(m.precision, 2 / 3);
+  close(m.recall, 2 / 3);
+  close(m.f1, 2 / 3);
+  close(m.mcc, (2 * 1 - 1 * 1) / Math.sqrt(3 * 3 * 2 * 2));
+  close(m.brier, (0.01 + 0.49 + 0.36 + 0.04 + 0.16) / 5);
+  // a higher threshold turns the 0.6 call into a miss
+  assert.equal(binaryMetrics([0.9, 0.7, 0.4, 0.2, 0.6], [1, 0, 1, 0, 1], 0.65).fn, 2);
+});
+
+test('multiClassMetrics: confusion matrix, macro F1 and MCC', () => {
+  const perfect = multiClassMetrics([0, 1, 2, 2], [0, 1, 2, 2]);
+  assert.equal(perfect.accuracy, 1);
+  assert.equal(perfect.macroF1, 1);
+  close(perfect.mcc, 1);
+  const m = multiClassMetrics([0, 2, 2, 1], [0, 1, 2, 1], [[0.8, 0.1, 0.1], [0.2, 0.3, 0.5], [0.1, 0.1, 0.8], [0.1, 0.6, 0.3]]);
+  assert.deepEqual(m.confusion, [[1, 0, 0], [0, 1, 1], [0, 0, 1]]);
+  close(m.accuracy, 0.75);
+  close(m.logLoss, -(Math.log(0.8) + Math.log(0.3) + Math.log(0.8) + Math.log(0.6)) / 4);
+});
+
+test('regressionMetrics: errors, direction and correlation', () => {
+  const m = regressionMetrics([0.01, -0.02, 0.03], [0.02, -0.01, -0.01]);
+  close(m.mae, (0.01 + 0.01 + 0.04) / 3);
+  close(m.rmse, Math.sqrt((0.0001 + 0.0001 + 0.0016) / 3));
+  close(m.directionalAccuracy, 2 / 3);
+  close(regressionMetrics([1, 2, 3], [2, 4, 6]).corr, 1);
+  assert.ok(Number.isNaN(regressionMetrics([], []).mae));
+});
+
+test('calibrationBins: mean prediction and up-rate per bin', () => {
+  const bins = calibrationBins([0.05, 0.15, 0.12, 1], [0, 1, 0, 1], 10);
+  assert.equal(bins.length, 10);
+  assert.equal(bins[1].count, 2);
+  close(bins[1].meanPred, 0.135);
+  assert.equal(bins[1].fracPos, 0.5);
+  assert.equal(bins[9].count, 1); // p = 1 goes into the last bin
+  assert.ok(Number.isNaN(bins[5].meanPred));
+});
+
+test('majorityBaseline: most common training label per symbol and horizon, ties go up', () => {
+  const train = [[[1, 0]], [[1, 1]], [[0, 0]], [[0, 1]]]; // [N=4][S=1][h=2]
+  assert.deepEqual(majorityBaseline(train, 2), [[[1, 1]], [[1, 1]]]);
+  assert.deepEqual(majorityBaseline([[[0.01]], [[0.03]]], 1, 'regression'), [[[0.02]]]);
+});
+
+test('persistenceBaseline: the last k-day move repeats', () => {
+  const dataLoader = {
+    forecastHorizon: 2,
+    symbols: ['A'],
+    target: { mode: 'binary' },
+    perSymbolSeries: { A: [10, 11, 10.5, 12].map(close => ({ close })) }
+  };
+  // anchor 2: 1-day move 11 -> 10.5 (down), 2-day move 10 -> 10.5 (up)
+  assert.deepEqual(persistenceBaseline(dataLoader, [2]), [[[0, 1]]]);
+});
+
+test('computeMetricsReport: overall, per horizon, per symbol and baselines', () => {
+  const truthArr = [[[1, 0]], [[0, 1]]];
+  const probArr = [[[0.8, 0.3]], [[0.4, 0.2]]];
+  const report = computeMetricsReport({ probArr, truthArr, symbols: ['A'], baselines: { up: [[[1, 1]], [[1, 1]]] } });
+  assert.equal(report.overall.n, 4);
+  close(report.overall.accuracy, 0.75);
+  assert.equal(report.perHorizon[0].accuracy, 1);
+  assert.equal(report.perHorizon[1].accuracy, 0.5);
+  assert.equal(report.perSymbolHorizon[0].length, 2);
+  assert.equal(report.baselines.up.overall.accuracy, 0.5);
+});
@@ -0,0 +1,59 @@
+// test/missing-data.test.js
+// node --test: gap filling per strategy, the look-ahead marks and symbol coverage stats.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillSeries, symbolQuality } from '../missing-data.js';
+
+// one symbol's series from closes (NaN = no row that day); the other values follow the close
+const series = closes => closes.map((close, t) => ({
+  date: `2024-01-${String(t + 1).padStart(2, '0')}`,
+  open: close, high: close, low: close, close, adjClose: close, volume: Number.isNaN(close) ? NaN : 100
+}));
+const closesOf = res => res.series.map(v => v.close);
+
+test('drop leaves every gap in place', () => {
+  const res = fillSeries(series([1, NaN, 3]), { strategy: 'drop' });
+  assert.ok(Number.isNaN(res.series[1].close));
+  assert.deepEqual(res.missing, [0, 1, 0]);
+  assert.deepEqual(res.lookahead, [0, 0, 0]);
+});
+
+test('ffill carries the last value over gaps up to maxGap, from the past only', () => {
+  const res = fillSeries(series([1, NaN, NaN, 4, NaN, NaN, NaN, 8, NaN]), { strategy: 'ffill', maxGap: 2 });
+  assert.deepEqual(closesOf(res).slice(0, 4), [1, 1, 1, 4]);
+  assert.ok(closesOf(res).slice(4, 7).every(Number.isNaN)); // 3-day gap is longer than maxGap
+  assert.equal(res.series[8].close, 8); // trailing gap
+  assert.deepEqual(res.lookahead, new Array(9).fill(0));
+});
+
+test('interpolate fills interior gaps and marks them as look-ahead', () => {
+  const res = fillSeries(series([1, NaN, NaN, 4, NaN]), { strategy: 'interpolate', maxGap: 3 });
+  assert.deepEqual(closesOf(res).slice(0, 4), [1, 2, 3, 4]);
+  assert.ok(Number.isNaN(res.series[4].close)); // no later value to interpolate towards
+  assert.deepEqual(res.lookahead, [0, 1, 1, 0, 0]);
+  assert.deepEqual(res.missing, [0, 1, 1, 0, 1]);
+});
+
+test('mask fills every gap; back-filled leading days are look-ahead', () => {
+  const res = fillSeries(series([NaN, NaN, 3, NaN, NaN, NaN, NaN, 8]), { strategy: 'mask', maxGap: 1 });
+  assert.deepEqual(closesOf(res), [3, 3, 3, 3, 3, 3, 3, 8]);
+  assert.deepEqual(res.lookahead, [1, 1, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(res.missing, [1, 1, 0, 1, 1, 1, 1, 0]);
+});
+
+test('the input series is not modified and unknown strategies throw', () => {
+  const input = series([1, NaN, 3]);
+  fillSeries(input, { strategy: 'interpolate' });
+  assert.ok(Number.isNaN(input[1].close));
+  assert.throws(() => fillSeries(input, { strategy: 'nope' }), /Unknown missing-data strategy/);
+});
+
+test('symbolQuality: coverage, interior gaps and date range', () => {
+  const q = symbolQuality(series([NaN, 2, NaN, NaN, 5, NaN, 7, NaN]));
+  assert.equal(q.rows, 3);
+  assert.equal(q.coverage, 3 / 8);
+  assert.equal(q.gaps, 2);
+  assert.equal(q.longestGap, 2);
+  assert.equal(q.firstDate, '2024-01-02');
+  assert.equal(q.lastDate, '2024-01-07');
+});
@@ -0,0 +1,38 @@
+// test/scalers.test.js
+// node --test: fitted scaler state and transforms.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitScaler, applyScaler } from '../scalers.js';
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test('minmax maps the fitted range to 0..1 and survives a flat series', () => {
+  const state = fitScaler('minmax', [10, 20, 15]);
+  assert.deepEqual(state, { type: 'minmax', min: 10, max: 20 });
+  assert.equal(applyScaler(state, 15), 0.5);
+  assert.equal(applyScaler(state, 25), 1.5); // test values outside the fit range are not clipped
+  assert.ok(Number.isFinite(applyScaler(fitScaler('minmax', [5, 5]), 5)));
+});
+
+test('zscore and robust scalers', () => {
+  const z = fitScaler('zscore', [1, 2, 3, 4]);
+  close(z.mean, 2.5);
+  close(z.std, Math.sqrt(1.25));
+  close(applyScaler(z, 2.5), 0);
+  const r = fitScaler('robust', [1, 2, 3, 4, 100]);
+  assert.equal(r.median, 3);
+  assert.equal(r.iqr, 2);
+  assert.equal(applyScaler(r, 5), 1);
+});
+
+test('rebase scales relative to the window anchor without fitting', () => {
+  const state = fitScaler('rebase', []);
+  close(applyScaler(state, 110, 100), 0.1);
+  assert.equal(applyScaler(state, 110, 0), 0);
+});
+
+test('fit skips non-finite values and rejects unknown or empty input', () => {
+  assert.deepEqual(fitScaler('minmax', [NaN, 1, Infinity, 3]), { type: 'minmax', min: 1, max: 3 });
+  assert.throws(() => fitScaler('minmax', [NaN]), /No values/);
+  assert.throws(() => fitScaler('nope', [1]), /Unknown scaler/);
+});
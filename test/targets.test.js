@@ -0,0 +1,40 @@
+// test/targets.test.js
+// node --test: labels, output encoding and hit rules of every target mode.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { outputsPerStep, isBinaryTarget, targetLabel, encodeLabel, isHit, describeTarget } from '../targets.js';
+
+const binary = { mode: 'binary' };
+const threshold = { mode: 'threshold', threshold: 0.01 };
+const threeClass = { mode: 'threeClass', deadBand: 0.005 };
+const regression = { mode: 'regression' };
+
+test('targetLabel per mode', () => {
+  assert.deepEqual([0.02, 0, -0.01].map(r => targetLabel(r, binary)), [1, 0, 0]);
+  assert.deepEqual([0.02, 0.01, 0.005].map(r => targetLabel(r, threshold)), [1, 0, 0]);
+  assert.deepEqual([-0.02, -0.005, 0.004, 0.006].map(r => targetLabel(r, threeClass)), [0, 1, 1, 2]);
+  assert.equal(targetLabel(-0.013, regression), -0.013);
+});
+
+test('outputs per step and encoded labels', () => {
+  assert.equal(outputsPerStep(threeClass), 3);
+  assert.equal(outputsPerStep(regression), 1);
+  assert.deepEqual(encodeLabel(2, threeClass), [0, 0, 1]);
+  assert.deepEqual(encodeLabel(1, binary), [1]);
+  assert.ok(isBinaryTarget(threshold));
+  assert.ok(!isBinaryTarget(threeClass));
+});
+
+test('isHit: same label, or the same direction for regression', () => {
+  assert.ok(isHit(1, 1, threeClass));
+  assert.ok(!isHit(2, 1, threeClass));
+  assert.ok(isHit(0.004, 0.02, regression));
+  assert.ok(!isHit(0.004, -0.02, regression));
+});
+
+test('describeTarget', () => {
+  assert.equal(describeTarget(binary), 'r > 0');
+  assert.equal(describeTarget(threshold), 'r > +1.00%');
+  assert.equal(describeTarget({ mode: 'threshold', threshold: -0.02 }), 'r > -2.00%');
+  assert.equal(describeTarget(threeClass), 'up / flat (|r| <= 0.50%) / down');
+});
@@ -0,0 +1,104 @@
+// uncertainty.js
+// ES module: prediction uncertainty from deep ensembles (N independently trained models, optionally on
+// bootstrap resamples of the training windows) or Monte Carlo dropout (dropout kept on at inference).
+// Both give a stack of sampled outputs whose mean is evaluated like a single model's prediction and
+// whose spread (standard deviation) says how sure the model is about each symbol/horizon call.
+// Exports: UNCERTAINTY_METHODS, trainEnsemble, sampleOutputs, summarizeSamples, coverageCurve
+
+import { outputsPerStep } from './targets.js';
+import { tf } from './runtime.js';
+
+export const UNCERTAINTY_METHODS = {
+  ensemble: 'Deep ensemble',
+  mcDropout: 'Monte Carlo dropout'
+};
+
+// Sorted bootstrap sample of the n rows (drawn with replacement; kept in time order so the
+// chronological validation split inside fit() still holds out the latest windows). Whole dates are
+// drawn when a date spans rowsPerSample rows (pooled layout).
+function bootstrapIndices(n, rowsPerSample = 1) {
+  const dates = n / rowsPerSample;
+  return Array.from({ length: dates }, () => Math.floor(Math.random() * dates)).sort((a, b) => a - b)
+    .flatMap(d => Array.from({ length: rowsPerSample }, (_, r) => d * rowsPerSample + r));
+}
+
+// Train `size` members created by makeModel() one after another. Each member starts from its own
+// random initialization; with bootstrap each also sees its own resample of the training windows.
+// onMember(index, model) is called before a member trains; shouldStop() is checked between members.
+// rowsPerSample: model rows per date (see DataLoader.rowsPerSample), for the bootstrap and fit().
+// Returns { members, histories } (members trained so far; the caller owns and disposes them).
+export async function trainEnsemble(makeModel, X, y, { size = 5, bootstrap = false, fitOptions = {},
+                                                      rowsPerSample = 1, onMember = null, shouldStop = () => false } = {}) {
+  const members = [], histories = [];
+  for (let m = 0; m < size; m++) {
+    if (m > 0 && shouldStop()) break;
+    const model = makeModel();
+    model.buildModel();
+    if (onMember) onMember(m, model);
+    let Xm = X, ym = y;
+    if (bootstrap) {
+      const idx = bootstrapIndices(X.shape[0], rowsPerSample);
+      Xm = tf.gather(X, idx);
+      ym = tf.gather(y, idx);
+    }
+    try {
+      histories.push(await model.fit(Xm, ym, { ...fitOptions, rowsPerSample }));
+    } catch (err) {
+      model.dispose();
+      throw err;
+    } finally {
+      if (bootstrap) { Xm.dispose(); ym.dispose(); }
+    }
+    members.push(model);
+    if (histories[m].cancelled) break;
+  }
+  return { members, histories };
+}
+
+// Sampled outputs [M, samples, denseUnits]: one slice per ensemble member ('ensemble') or per
+// stochastic forward pass of members[0] ('mcDropout')
+export function sampleOutputs(members, X, { method = 'ensemble', passes = 20 } = {}) {
+  if (!UNCERTAINTY_METHODS[method]) throw new Error(`Unknown uncertainty method: ${method} (use ${Object.keys(UNCERTAINTY_METHODS).join(' or ')})`);
+  if (method === 'mcDropout') return members[0].predictMonteCarlo(X, passes);
+  return tf.tidy(() => tf.stack(members.map(m => m.model.predict(X))));
+}
+
+// Mean and spread of sampled outputs [M, samples, S*h*K] (pooled models: [M, samples*S, h*K]) for the
+// given target. Returns { mean: Tensor shaped like one sample slice (caller disposes), stdArr:
+// number[samples][S][h] } where the spread is the std of P(1) (binary/threshold), of the probability
+// of the mean's predicted class (three classes), or of the predicted return (regression)
+export function summarizeSamples(samples, target, S, h) {
+  const K = outputsPerStep(target);
+  const M = samples.shape[0];
+  const N = samples.size / (M * S * h * K);
+  const mean = tf.tidy(() => samples.mean(0));
+  const stdArr = tf.tidy(() => {
+    const out = samples.reshape([M, N, S, h, K]);
+    let score = out; // [M, N, S, h, 1] after picking one output per step
+    if (K === 3) {
+      const predicted = mean.reshape([N, S, h, K]).argMax(-1); // [N, S, h]
+      score = out.mul(tf.oneHot(predicted, K).expandDims(0)).sum(-1, true);
+    }
+    return tf.moments(score, 0).variance.sqrt().reshape([N, S, h]).arraySync();
+  });
+  return { mean, stdArr };
+}
+
+// Accuracy when only the most certain predictions are kept. hitArr and scoreArr are [samples][S][h]
+// (lower score = more certain, e.g. the ensemble std). Predictions are ranked by score and, for each
+// coverage level, the accuracy of the kept share is reported.
+// Returns [{ coverage, accuracy, cutoff }] from the most selective level to coverage 1
+export function coverageCurve(hitArr, scoreArr, points = 20) {
+  const hits = hitArr.flat(2);
+  const scores = scoreArr.flat(2);
+  const order = scores.map((v, i) => i).sort((a, b) => scores[a] - scores[b]);
+  const curve = [];
+  let correct = 0, kept = 0;
+  for (let p = 1; p <= points; p++) {
+    const upTo = Math.round(order.length * p / points);
+    for (; kept < upTo; kept++) correct += hits[order[kept]];
+    if (!kept) continue;
+    curve.push({ coverage: kept / order.length, accuracy: correct / kept, cutoff: scores[order[kept - 1]] });
+  }
+  return curve;
+}
@@ -0,0 +1,106 @@
+// walk-forward.js
+// ES module: walk-forward / rolling-origin backtesting. Retrains (or fine-tunes) a model over
+// expanding or sliding windows and evaluates each following out-of-sample block.
+// Exports: WalkForward class
+
+function meanStd(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const std = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length);
+  return { mean, std };
+}
+
+// accuracy per horizon from evaluateTestSet's hitArr ([samples, S, h] 1 when the prediction counted as
+// correct for the target mode)
+function perHorizonAccuracy(hitArr) {
+  const h = hitArr[0][0].length;
+  const correct = new Array(h).fill(0);
+  let count = 0;
+  hitArr.forEach(sample => sample.forEach(stock => {
+    stock.forEach((hit, k) => { correct[k] += hit; });
+    count++;
+  }));
+  return correct.map(c => c / count);
+}
+
+export class WalkForward {
+  // createModel: () => GRUModel (unbuilt) used for each fold (or once, when fine-tuning)
+  constructor({ dataLoader, createModel }) {
+    this.dataLoader = dataLoader;
+    this.createModel = createModel;
+  }
+
+  log(...args) { if (this.logger) this.logger(...args); }
+  setLogger(fn){ this.logger = fn; }
+
+  // retrain: 'scratch' builds a fresh model and refits the scalers on each fold's training days;
+  // 'finetune' keeps one model (and the first fold's scalers) and continues training on each new fold.
+  // onFoldEnd(foldResult, foldIndex, foldCount) is called after each fold is evaluated;
+  // shouldStop() is checked before each fold.
+  // Returns { folds: [...], summary: { overall, perSymbol, perHorizon } } with mean/std over folds.
+  async run({ mode = 'expanding', initialTrainPercent = 50, step = 20, retrain = 'scratch',
+              epochs = 10, batchSize = 32, onFoldEnd = null, shouldStop = () => false } = {}) {
+    const dl = this.dataLoader;
+    const symbols = dl.symbols;
+    const h = dl.forecastHorizon;
+    const seq = dl.sequenceLength;
+    const folds = dl.walkForwardFolds({ mode, initialTrainPercent, step });
+    const savedNormalization = dl.getNormalizationState();
+    this.log(`Walk-forward: ${folds.length} folds (${mode}, step ${step}, ${retrain}).`);
+
+    const results = [];
+    let model = null;
+    try {
+      for (const f of folds) {
+        if (shouldStop()) { this.log('Walk-forward cancelled.'); break; }
+        if (retrain === 'scratch' || f.fold === 0) {
+          dl.fitNormalizers(f.trainAnchors[0] - seq + 1, f.trainAnchors[f.trainAnchors.length - 1]);
+        }
+        if (retrain === 'scratch' || !model) {
+          if (model) model.dispose();
+          model = this.createModel();
+          model.buildModel();
+        }
+        const train = dl.buildTensors(f.trainAnchors);
+        const test = dl.buildTensors(f.testAnchors);
+        try {
+          await model.fit(train.X, train.y, { epochs, batchSize });
+          const res = await model.evaluateTestSet(test.X, test.y, symbols, h);
+          const foldResult = {
+            fold: f.fold,
+            trainStart: train.dates[0],
+            trainEnd: train.dates[train.dates.length - 1],
+            testStart: test.dates[0],
+            testEnd: test.dates[test.dates.length - 1],
+            trainSamples: f.trainAnchors.length,
+            testSamples: f.testAnchors.length,
+            overallAcc: res.overallAcc,
+            perStockAcc: res.perStockAcc,
+            perHorizonAcc: perHorizonAccuracy(res.hitArr)
+          };
+          results.push(foldResult);
+          this.log(`Fold ${f.fold + 1}/${folds.length} ${foldResult.testStart}..${foldResult.testEnd}: acc ${(res.overallAcc*100).toFixed(2)}%`);
+          if (onFoldEnd) onFoldEnd(foldResult, f.fold, folds.length);
+        } finally {
+          train.X.dispose(); train.y.dispose(); test.X.dispose(); test.y.dispose();
+        }
+      }
+    } finally {
+      if (model) model.dispose();
+      // leave the loader's normalization as the prepared dataset expects it
+      dl.setNormalizationState(savedNormalization);
+    }
+
+    if (!results.length) throw new Error('Walk-forward cancelled before the first fold finished');
+    return { folds: results, summary: WalkForward.summarize(results, symbols) };
+  }
+
+  // mean/std of fold accuracies overall, per symbol and per horizon
+  static summarize(folds, symbols) {
+    const h = folds[0].perHorizonAcc.length;
+    return {
+      overall: meanStd(folds.map(f => f.overallAcc)),
+      perSymbol: symbols.map((symbol, s) => ({ symbol, ...meanStd(folds.map(f => f.perStockAcc[s])) })),
+      perHorizon: Array.from({ length: h }, (_, k) => ({ horizon: k + 1, ...meanStd(folds.map(f => f.perHorizonAcc[k])) }))
+    };
+  }
+}
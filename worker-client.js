@@ -0,0 +1,62 @@
+// worker-client.js
+// ES module: page-side handle for the compute worker (worker.js). Requests return promises;
+// progress, streamed events and logs arrive through callbacks. See worker.js for the protocol.
+// Exports: WorkerClient class
+
+export class WorkerClient {
+  constructor(url = new URL('./worker.js', import.meta.url)) {
+    this.worker = new Worker(url, { type: 'module' });
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, onProgress, onEvent }
+    this.worker.onmessage = ({ data }) => this.handle(data);
+    this.worker.onerror = evt => {
+      // a worker that fails to start (e.g. a module import error) rejects everything in flight
+      const message = evt.message || 'Worker failed';
+      this.log(`Worker error: ${message}`);
+      for (const req of this.pending.values()) req.reject(new Error(message));
+      this.pending.clear();
+    };
+  }
+
+  log(...args) { if (this.logger) this.logger(...args); }
+  setLogger(fn){ this.logger = fn; }
+
+  // Send a request. onProgress(pct, text) and onEvent(name, data) receive streamed messages;
+  // transfer lists buffers to move (not copy) to the worker. Resolves with the handler's result.
+  call(type, payload = {}, { onProgress = null, onEvent = null, transfer = [] } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress, onEvent });
+      this.worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  // switch the worker's tf.js backend ('cpu', 'webgl'; null reports the current one); resolves with { backend }
+  setBackend(name) {
+    return this.call('backend', { name });
+  }
+
+  // cancel the running job; its request still resolves (with partial results) or rejects. Jobs sent
+  // before the Stop but still queued in the worker are cancelled too (they reject without running).
+  stop() {
+    this.worker.postMessage({ type: 'stop', ids: [...this.pending.keys()] });
+  }
+
+  handle(msg) {
+    if (msg.type === 'log') { this.log(msg.text); return; }
+    const req = this.pending.get(msg.id);
+    if (!req) return;
+    switch (msg.type) {
+      case 'progress': if (req.onProgress) req.onProgress(msg.pct, msg.text); break;
+      case 'event': if (req.onEvent) req.onEvent(msg.name, msg.data); break;
+      case 'done': this.pending.delete(msg.id); req.resolve(msg.result); break;
+      case 'error': this.pending.delete(msg.id); req.reject(new Error(msg.message)); break;
+    }
+  }
+
+  terminate() {
+    this.worker.terminate();
+    for (const req of this.pending.values()) req.reject(new Error('Worker terminated'));
+    this.pending.clear();
+  }
+}
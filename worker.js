@@ -0,0 +1,46 @@
+// worker.js
+// ES module worker: runs the pipeline (pipeline.js: data preparation, training, evaluation, search,
+// walk-forward, explainability and model storage) off the main thread. The page talks to it through
+// WorkerClient (worker-client.js).
+//
+// Protocol (structured-clone messages):
+//   page -> worker  { id, type, payload }     request; type is a pipeline request name
+//                   { type: 'stop', ids }     cancel the running job (training, search, walk-forward, importance)
+//                                             and those of the requests ids that are still queued
+//   worker -> page  { id, type: 'done', result }          request finished
+//                   { id, type: 'error', message }        request failed
+//                   { id, type: 'progress', pct, text }   progress of a long request
+//                   { id, type: 'event', name, data }     streamed results: 'built', 'member', 'epoch', 'fold', 'trial'
+//                   { type: 'log', text }                 log line from the loader / model / jobs
+// Large numeric results (attributions, test-set predictions, model weights) are sent as typed arrays in the transfer list.
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.13.0/dist/tf.min.js';
+import { runRequest, requestStop, setLogger } from './pipeline.js';
+
+setLogger((...args) => self.postMessage({ type: 'log', text: args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(' ') }));
+
+let queue = Promise.resolve(); // requests run one at a time, in arrival order
+const stopped = new Set(); // ids of queued requests a Stop was sent for
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  if (type === 'stop') {
+    (data.ids || []).forEach(stopId => stopped.add(stopId));
+    requestStop();
+    return;
+  }
+  queue = queue.then(async () => {
+    const transfer = [];
+    const ctx = {
+      progress: (pct, text = '') => self.postMessage({ id, type: 'progress', pct, text }),
+      event: (name, eventData) => self.postMessage({ id, type: 'event', name, data: eventData }),
+      transfer: (...buffers) => transfer.push(...buffers),
+      stopped: stopped.delete(id)
+    };
+    try {
+      const result = await runRequest(type, payload, ctx);
+      self.postMessage({ id, type: 'done', result }, transfer);
+    } catch (err) {
+      self.postMessage({ id, type: 'error', message: err.message || String(err) });
+    }
+  });
+};